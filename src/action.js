@@ -0,0 +1,34 @@
+'use strict'
+import { InvalidArgumentError } from './errors'
+/**
+ * Action class for defining the declarative effects a rule can have when it passes
+ *
+ * Actions are listed in a rule's event, e.g.
+ *   event: { type: 'vip', actions: [{ type: 'setFact', fact: 'tier', value: 'gold' }] }
+ * and executed in order, against the run's almanac, after the rule passes.
+ */
+export default class Action {
+  /**
+   * Constructor for creating action instances
+   * @param {string} name - unique action identifier, referenced by the "type" of an action definition
+   * @param {Function} cb - handler called with (action definition, { almanac, ruleResult, engine });
+   *   may return a promise, which is waited on before the next action is executed
+   * @returns {Action} new action instance
+   */
+  constructor (name, cb) {
+    this.name = String(name)
+    if (!name) { throw new InvalidArgumentError('Missing action name', { argument: 'name' }) }
+    if (typeof cb !== 'function') { throw new InvalidArgumentError('Missing action callback', { argument: 'callback' }) }
+    this.cb = cb
+  }
+
+  /**
+   * Executes the action
+   * @param {Object} action - action definition from the rule event
+   * @param {Object} context - { almanac, ruleResult, engine } of the passing rule
+   * @returns {Promise} resolves once the action has completed
+   */
+  execute (action, context) {
+    return Promise.resolve().then(() => this.cb(action, context))
+  }
+}
@@ -1,7 +1,8 @@
 'use strict'
 import Fact from './fact'
-import { UndefinedFactError } from './errors'
-import debug from './debug'
+import { UndefinedFactError, FactTimeoutError, FactCycleError, InvalidArgumentError } from './errors'
+import { defaultLogger } from './logger'
+import { now } from './trace'
 import { JSONPath } from 'jsonpath-plus'
 /**
  * Default path resolver using JSONPath for object property access
@@ -28,6 +29,11 @@ export default class Almanac {
    * @param {Object} options - configuration options
    * @param {boolean} options.allowUndefinedFacts - whether to allow undefined facts (default: false)
    * @param {Function} options.pathResolver - custom path resolver function
+   * @param {Almanac} options.sharedAlmanac - almanac shared facts are calculated and cached in, reused across almanacs of the same batch
+   * @param {boolean} options.evictRejectedFacts - discard cached fact values that reject, so the next lookup calculates them again (default: false)
+   * @param {boolean} options.trace - attach evaluation traces to the results of rules evaluated against the almanac
+   * @param {Logger} options.logger - logger of the almanac's records (default: console.debug when DEBUG matches 'rule-engine')
+   * @param {MetricsCollector} options.metrics - collector dynamic fact lookups are reported to
    */
   constructor (options = {}) {
     this.factMap = new Map()
@@ -36,6 +42,19 @@ export default class Almanac {
     this.pathResolver = options.pathResolver || defaultPathResolver
     this.events = { success: [], failure: [] }
     this.ruleResults = []
+    this.erroredResults = [] // results of rules whose evaluation threw, under the non-throwing error policies
+    this.ruleEvaluations = new Map() // { ruleName: RuleResult } latest evaluation of each rule
+    this.timedOutFacts = []
+    this.sharedAlmanac = options.sharedAlmanac
+    this.evictRejectedFacts = Boolean(options.evictRejectedFacts)
+    this.factDependencies = new Map() // { factId: Set<factId> }
+    this.factStack = [] // facts being calculated by the current caller; see _dependentAlmanac()
+    this.pendingFacts = new Map() // { factId: number of calculations in progress }
+    this.factCacheKeys = new Map() // { factId: Set<cacheKey> }
+    this.factChanges = [] // [{ factId, rule }] for every fact added or replaced, in order
+    this.tracing = Boolean(options.trace) // whether rule results get evaluation traces
+    this.metrics = options.metrics
+    this.logger = options.logger || defaultLogger
   }
 
   /**
@@ -44,7 +63,7 @@ export default class Almanac {
    * @param {string} outcome - either "success" or "failure"
    */
   addEvent (event, outcome) {
-    if (!outcome) { throw new Error('outcome required: "success" | "failure"]') }
+    if (!outcome) { throw new InvalidArgumentError('outcome required: "success" | "failure"]', { argument: 'outcome', value: outcome }) }
     this.events[outcome].push(event)
   }
 
@@ -66,6 +85,32 @@ export default class Almanac {
     this.ruleResults.push(ruleResult)
   }
 
+  /**
+   * Adds the result of a rule whose evaluation threw to the almanac's collection
+   * @param {RuleResult} ruleResult - rule result carrying the error
+   */
+  addErroredResult (ruleResult) {
+    this.erroredResults.push(ruleResult)
+  }
+
+  /**
+   * Records the result of a rule evaluation, so rule conditions of later rules can read it.
+   * Unlike addResult(), this happens for every evaluation, including those a strategy does not report.
+   * @param {RuleResult} ruleResult - result of rule evaluation
+   */
+  _recordRuleResult (ruleResult) {
+    this.ruleEvaluations.set(ruleResult.name, ruleResult)
+  }
+
+  /**
+   * Retrieves the result of the latest evaluation of a rule during this run
+   * @param {string} name - rule name
+   * @return {RuleResult|undefined} the result, or undefined when the rule has not been evaluated
+   */
+  getRuleResult (name) {
+    return this.ruleEvaluations.get(name)
+  }
+
   /**
    * Retrieves all rule results from this almanac session
    * @return {RuleResult[]} array of rule results with scores
@@ -74,6 +119,114 @@ export default class Almanac {
     return this.ruleResults
   }
 
+  /**
+   * Retrieves the results of rules whose evaluation threw during this almanac session
+   * @return {RuleResult[]} rule results carrying the error
+   */
+  getErroredResults () {
+    return this.erroredResults
+  }
+
+  /**
+   * Retrieves the ids of facts whose calculation exceeded their timeout
+   * @return {string[]} fact ids
+   */
+  getTimedOutFacts () {
+    return this.timedOutFacts
+  }
+
+  /**
+   * Retrieves the facts each dynamic fact requested while it was calculated during this run
+   * @return {Object} { factId: [ids of the facts it requested] }
+   */
+  getFactDependencyGraph () {
+    const graph = {}
+    this.factDependencies.forEach((dependencies, factId) => {
+      graph[factId] = Array.from(dependencies)
+    })
+    return graph
+  }
+
+  /**
+   * Returns the almanac passed to a dynamic fact's calculation method. It shares all
+   * state with this almanac, but knows which fact is calculating, so the facts it
+   * requests are recorded as dependencies and cycles can be detected.
+   * @param {Fact} fact - the fact being calculated
+   * @param {Object} params - parameters the fact is calculated with
+   * @return {Almanac}
+   */
+  _dependentAlmanac (fact, params) {
+    const almanac = Object.create(this)
+    almanac.factStack = this.factStack.concat({ id: fact.id, params })
+    return almanac
+  }
+
+  /**
+   * Returns an almanac sharing all state with this one, used on behalf of a single rule.
+   * Facts added through it are attributed to the rule, and the ids of the facts read
+   * through it (including by the facts they call) are collected into reads.
+   * @param {Rule} rule - rule the almanac is used for
+   * @param {Set<string>} reads - receives the ids of the facts read; optional
+   * @return {Almanac}
+   */
+  _ruleAlmanac (rule, reads) {
+    const almanac = Object.create(this)
+    almanac.rule = rule
+    almanac.factReads = reads
+    return almanac
+  }
+
+  /**
+   * Returns an almanac sharing all state with this one, which records every fact lookup made
+   * through it, including by the facts it calculates, for evaluation traces
+   * @param {Object[]} lookups - receives { id, params, path, requestedBy, cached, started, finished } per lookup
+   * @return {Almanac}
+   */
+  _tracingAlmanac (lookups) {
+    const almanac = Object.create(this)
+    almanac.factTrace = lookups
+    return almanac
+  }
+
+  /**
+   * Finds the fact calculations that would wait on themselves if factId were calculated by the current caller
+   * @param {string} factId - requested fact
+   * @param {Object} params - parameters the fact is requested with
+   * @return {string[]|undefined} the cycle, as fact ids, or undefined when there is none
+   */
+  _findFactCycle (factId, params) {
+    const start = this.factStack.findIndex((frame) => {
+      return frame.id === factId && Fact.hashFromObject(frame.params) === Fact.hashFromObject(params)
+    })
+    if (start > -1) {
+      return this.factStack.slice(start).map((frame) => frame.id).concat(factId)
+    }
+  }
+
+  /**
+   * Finds the fact calculations that would wait on themselves if the current caller waited on a
+   * calculation of factId already in progress, e.g. started concurrently by another rule
+   * @param {string} factId - requested fact, being calculated
+   * @return {string[]|undefined} the cycle, as fact ids, or undefined when there is none
+   */
+  _findPendingFactCycle (factId) {
+    const stack = this.factStack.map((frame) => frame.id)
+    const visited = new Set()
+    const visit = (id, path) => {
+      if (visited.has(id) || !this.pendingFacts.has(id)) return undefined
+      visited.add(id)
+      for (const dependency of this.factDependencies.get(id) || []) {
+        const start = stack.indexOf(dependency)
+        if (start > -1) {
+          return stack.slice(start).concat(path, dependency)
+        }
+        const cycle = visit(dependency, path.concat(dependency))
+        if (cycle) return cycle
+      }
+    }
+    return visit(factId, [factId])
+  }
+
   /**
    * Retrieves a fact definition by identifier
    * @param {string} factId - unique fact identifier
@@ -88,10 +241,64 @@ export default class Almanac {
    * @param {Fact} fact - the constant fact to register
    */
   _addConstantFact (fact) {
-    this.factMap.set(fact.id, fact)
+    this._registerFact(fact)
     this._setFactValue(fact, {}, fact.value)
   }
 
+  /**
+   * Registers a fact definition, replacing any fact with the same id. When the fact
+   * changes, cached values of the replaced fact and of every fact that requested it
+   * are discarded, and the change is recorded in factChanges.
+   * @param {Fact} fact - the fact to register
+   */
+  _registerFact (fact) {
+    const previous = this.factMap.get(fact.id)
+    this.factMap.set(fact.id, fact)
+    if (previous && previous.isConstant() && fact.isConstant() &&
+      Fact.hashFromObject({ value: previous.value }) === Fact.hashFromObject({ value: fact.value })) {
+      return
+    }
+    if (previous) {
+      this._invalidateFact(fact.id)
+    }
+    this.factChanges.push({ factId: fact.id, rule: this.rule })
+  }
+
+  /**
+   * Discards the cached values of a fact and, transitively, of the facts that requested it
+   * @param {string} factId - fact identifier
+   * @param {Set<string>} visited - facts already invalidated
+   */
+  _invalidateFact (factId, visited = new Set()) {
+    if (visited.has(factId)) return
+    visited.add(factId)
+    const cacheKeys = this.factCacheKeys.get(factId)
+    if (cacheKeys) {
+      cacheKeys.forEach((cacheKey) => this.factResultsCache.delete(cacheKey))
+      this.factCacheKeys.delete(factId)
+    }
+    this.factDependencies.forEach((dependencies, dependentId) => {
+      if (dependencies.has(factId)) {
+        this.logger.trace('almanac.fact.invalidated', { fact: dependentId, dependency: factId })
+        this._invalidateFact(dependentId, visited)
+      }
+    })
+  }
+
+  /**
+   * Records a cached value of a fact, so it can be discarded when the fact changes
+   * @param {Fact} fact - the fact definition
+   * @param {string} cacheKey - cache key of the value
+   * @param {Promise} factValue - the cached value
+   */
+  _cacheFactValue (fact, cacheKey, factValue) {
+    this.factResultsCache.set(cacheKey, factValue)
+    if (!this.factCacheKeys.has(fact.id)) {
+      this.factCacheKeys.set(fact.id, new Set())
+    }
+    this.factCacheKeys.get(fact.id).add(cacheKey)
+  }
+
   /**
    * Caches the computed value of a fact for future retrieval
    * @param {Fact} fact - the fact definition
@@ -103,11 +310,80 @@ export default class Almanac {
     const cacheKey = fact.getCacheKey(params)
     const factValue = Promise.resolve(value)
     if (cacheKey) {
-      this.factResultsCache.set(cacheKey, factValue)
+      this._cacheFactValue(fact, cacheKey, factValue)
+      if (this.evictRejectedFacts) {
+        factValue.catch(() => {
+          if (this.factResultsCache.get(cacheKey) === factValue) {
+            this.factResultsCache.delete(cacheKey)
+            this.factCacheKeys.get(fact.id).delete(cacheKey)
+          }
+        })
+      }
     }
     return factValue
   }
 
+  /**
+   * Calculates a fact value, honoring the fact's timeout option. The fact counts as pending
+   * until the calculation settles, for cycle detection; see _findPendingFactCycle()
+   * @param {Fact} fact - the fact definition
+   * @param {Object} params - parameters to pass to the calculation method
+   * @return {*|Promise} the calculated value
+   */
+  _calculateFactValue (fact, params) {
+    if (!this.factDependencies.has(fact.id)) {
+      this.factDependencies.set(fact.id, new Set())
+    }
+    this.pendingFacts.set(fact.id, (this.pendingFacts.get(fact.id) || 0) + 1)
+    const settled = () => {
+      const count = this.pendingFacts.get(fact.id) - 1
+      if (count) this.pendingFacts.set(fact.id, count)
+      else this.pendingFacts.delete(fact.id)
+    }
+    let value
+    try {
+      value = this._raceFactTimeout(fact, fact.calculate(params, this._dependentAlmanac(fact, params)))
+    } catch (error) {
+      settled()
+      throw error
+    }
+    if (value && typeof value.then === 'function') {
+      value.then(settled, settled)
+    } else {
+      settled()
+    }
+    return value
+  }
+
+  /**
+   * Bounds a fact calculation by the fact's timeout option
+   * When the timeout elapses first, the fact's fallback value is used, or a FactTimeoutError is raised
+   * @param {Fact} fact - the fact definition
+   * @param {*|Promise} value - the calculated value
+   * @return {*|Promise} the value, or a promise settling with it or on timeout
+   */
+  _raceFactTimeout (fact, value) {
+    const timeout = fact.options.timeout
+    if (!timeout) {
+      return value
+    }
+    let timer
+    const expiry = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        this.logger.warn('almanac.fact.timedOut', { fact: fact.id, timeout })
+        if (!this.timedOutFacts.includes(fact.id)) {
+          this.timedOutFacts.push(fact.id)
+        }
+        if (fact.hasFallback()) {
+          resolve(fact.options.fallback)
+        } else {
+          reject(new FactTimeoutError(fact.id, timeout))
+        }
+      }, timeout)
+    })
+    return Promise.race([Promise.resolve(value), expiry]).finally(() => clearTimeout(timer))
+  }
+
   /**
    * Registers a fact definition with the almanac
    * @param {string|Fact} id - fact identifier or Fact instance
@@ -124,8 +400,8 @@ export default class Almanac {
     } else {
       fact = new Fact(id, valueOrMethod, options)
     }
-    debug('almanac::addFact', { id: factId })
-    this.factMap.set(factId, fact)
+    this.logger.trace('almanac.fact.added', { fact: factId })
+    this._registerFact(fact)
     if (fact.isConstant()) {
       this._setFactValue(fact, {}, fact.value)
     }
@@ -139,7 +415,7 @@ export default class Almanac {
    * @param {*} value - constant value for this fact
    */
   addRuntimeFact (factId, value) {
-    debug('almanac::addRuntimeFact', { id: factId })
+    this.logger.trace('almanac.fact.added', { fact: factId })
     const fact = new Fact(factId, value)
     return this._addConstantFact(fact)
   }
@@ -154,37 +430,88 @@ export default class Almanac {
    */
   factValue (factId, params = {}, path = '') {
     let factValuePromise
+    const caller = this.factStack[this.factStack.length - 1]
+    if (caller) {
+      this.factDependencies.get(caller.id).add(factId)
+    }
+    if (this.factReads) {
+      this.factReads.add(factId)
+    }
+    let lookup
+    if (this.factTrace) {
+      lookup = { id: factId, cached: false, started: now() }
+      if (Object.keys(params).length) lookup.params = params
+      if (path) lookup.path = path
+      if (caller) lookup.requestedBy = caller.id
+      this.factTrace.push(lookup)
+    }
     const fact = this._getFact(factId)
     if (fact === undefined) {
+      if (lookup) lookup.finished = now()
       if (this.allowUndefinedFacts) {
         return Promise.resolve(undefined)
       } else {
-        return Promise.reject(new UndefinedFactError(`Undefined fact: ${factId}`))
+        return Promise.reject(new UndefinedFactError(factId))
       }
     }
     if (fact.isConstant()) {
       factValuePromise = Promise.resolve(fact.calculate(params, this))
     } else {
+      const started = this.metrics && now()
+      let cached = false
+      const cycle = caller && this._findFactCycle(factId, params)
+      if (cycle) {
+        this.logger.warn('almanac.fact.cycle', { fact: factId, cycle })
+        return Promise.reject(new FactCycleError(cycle))
+      }
       const cacheKey = fact.getCacheKey(params)
       const cacheVal = cacheKey && this.factResultsCache.get(cacheKey)
+      const pendingCycle = cacheVal && caller && this.pendingFacts.has(factId) && this._findPendingFactCycle(factId)
+      if (pendingCycle) {
+        this.logger.warn('almanac.fact.cycle', { fact: factId, cycle: pendingCycle })
+        return Promise.reject(new FactCycleError(pendingCycle))
+      }
       if (cacheVal) {
         factValuePromise = Promise.resolve(cacheVal)
-        debug('almanac::factValue cache hit for fact', { id: factId })
+        this.logger.trace('almanac.fact.cacheHit', { fact: factId })
+        cached = true
+      } else if (cacheKey && fact.options.shared && this.sharedAlmanac) {
+        // calculated by the shared almanac, so the value cannot depend on the facts of this almanac
+        const sharedAlmanac = this.sharedAlmanac
+        factValuePromise = sharedAlmanac.factResultsCache.get(cacheKey)
+        if (factValuePromise) {
+          this.logger.trace('almanac.fact.sharedCacheHit', { fact: factId })
+          cached = true
+        } else {
+          this.logger.trace('almanac.fact.sharedCacheMiss', { fact: factId })
+          factValuePromise = sharedAlmanac._setFactValue(fact, params, sharedAlmanac._calculateFactValue(fact, params))
+        }
+        this._cacheFactValue(fact, cacheKey, factValuePromise)
       } else {
-        debug('almanac::factValue cache miss, calculating', { id: factId })
-        factValuePromise = this._setFactValue(fact, params, fact.calculate(params, this))
+        this.logger.trace('almanac.fact.cacheMiss', { fact: factId })
+        factValuePromise = this._setFactValue(fact, params, this._calculateFactValue(fact, params))
       }
+      if (lookup) lookup.cached = cached
+      if (this.metrics) {
+        const metrics = this.metrics
+        factValuePromise = factValuePromise.finally(() => {
+          metrics.recordFact({ id: factId, cached, duration: now() - started })
+        })
+      }
+    }
+    if (lookup) {
+      factValuePromise = factValuePromise.finally(() => { lookup.finished = now() })
     }
     if (path) {
-      debug('condition::evaluate extracting object', { property: path })
+      this.logger.trace('almanac.path.resolving', { fact: factId, path })
       return factValuePromise
         .then(factValue => {
           if (factValue != null && typeof factValue === 'object') {
             const pathValue = this.pathResolver(factValue, path)
-            debug('condition::evaluate extracting object', { property: path, received: pathValue })
+            this.logger.trace('almanac.path.resolved', { fact: factId, path, value: pathValue })
             return pathValue
           } else {
-            debug('condition::evaluate could not compute object path of non-object', { path, factValue, type: typeof factValue })
+            this.logger.trace('almanac.path.notObject', { fact: factId, path, value: factValue, type: typeof factValue })
             return factValue
           }
         })
@@ -1,5 +1,7 @@
 'use strict'
-import debug from './debug'
+import Operator from './operator'
+import { now } from './trace'
+import { InvalidArgumentError, InvalidConditionError, UnknownOperatorError } from './errors'
 /**
  * Condition class for representing and evaluating rule conditions with scoring and weight support
  */
@@ -8,6 +10,7 @@ export default class Condition {
    * Constructor for creating condition instances
    * @param {Object} properties - condition properties
    * @param {string} properties.fact - fact identifier for non-boolean conditions
+   * @param {string} properties.rule - name of the rule whose result is tested; replaces "fact"
    * @param {string} properties.operator - operator name for non-boolean conditions
    * @param {any} properties.value - value to compare against for non-boolean conditions
    * @param {string} properties.path - optional path for accessing nested fact properties
@@ -21,17 +24,17 @@ export default class Condition {
    * @param {string} properties.condition - reference to a named condition
    */
   constructor (properties) {
-    if (!properties) { throw new Error('Condition: constructor options required') }
+    if (!properties) { throw new InvalidConditionError('Condition: constructor options required') }
     const booleanOperator = Condition.booleanOperator(properties)
     Object.assign(this, properties)
     if (booleanOperator) {
       const subConditions = properties[booleanOperator]
       const subConditionsIsArray = Array.isArray(subConditions)
       if (booleanOperator !== 'not' && !subConditionsIsArray) {
-        throw new Error(`"${booleanOperator}" must be an array`)
+        throw new InvalidConditionError(`"${booleanOperator}" must be an array`)
       }
       if (booleanOperator === 'not' && subConditionsIsArray) {
-        throw new Error(`"${booleanOperator}" cannot be an array`)
+        throw new InvalidConditionError(`"${booleanOperator}" cannot be an array`)
       }
       this.operator = booleanOperator
       // boolean conditions always have a priority; default 1
@@ -39,19 +42,22 @@ export default class Condition {
       // boolean conditions can have weights for scoring; default 1
       this.weight = parseInt(properties.weight, 10) || 1
       if (subConditionsIsArray) {
-        this[booleanOperator] = subConditions.map((c) => new Condition(c))
+        this[booleanOperator] = subConditions.map((c, index) => subCondition(c, `/${booleanOperator}/${index}`))
       } else {
-        this[booleanOperator] = new Condition(subConditions)
+        this[booleanOperator] = subCondition(subConditions, '/not')
       }
     } else if (!Object.prototype.hasOwnProperty.call(properties, 'condition')) {
-      if (!Object.prototype.hasOwnProperty.call(properties, 'fact')) {
-        throw new Error('Condition: constructor "fact" property required')
+      const ruleReference = Object.prototype.hasOwnProperty.call(properties, 'rule')
+      if (!ruleReference && !Object.prototype.hasOwnProperty.call(properties, 'fact')) {
+        throw new InvalidConditionError('Condition: constructor "fact" property required', { property: 'fact' })
       }
       if (!Object.prototype.hasOwnProperty.call(properties, 'operator')) {
-        throw new Error('Condition: constructor "operator" property required')
+        throw new InvalidConditionError('Condition: constructor "operator" property required', { property: 'operator' })
       }
-      if (!Object.prototype.hasOwnProperty.call(properties, 'value')) {
-        throw new Error('Condition: constructor "value" property required')
+      // the passed/failed rule operators do not compare against a value
+      const valueRequired = !ruleReference || !Condition.ruleOperators.has(properties.operator)
+      if (valueRequired && !Object.prototype.hasOwnProperty.call(properties, 'value')) {
+        throw new InvalidConditionError('Condition: constructor "value" property required', { property: 'value' })
       }
       // a non-boolean condition does not have a priority by default. this allows
       // priority to be dictated by the fact definition
@@ -92,8 +98,15 @@ export default class Condition {
       props.condition = this.condition
     } else {
       props.operator = this.operator
-      props.value = this.value
-      props.fact = this.fact
+      if (this.isRuleReference()) {
+        props.rule = this.rule
+        if (this.value !== undefined) {
+          props.value = this.value
+        }
+      } else {
+        props.value = this.value
+        props.fact = this.fact
+      }
       if (this.factResult !== undefined) {
         props.factResult = this.factResult
       }
@@ -131,40 +144,113 @@ export default class Condition {
    *   - leftHandSideValue: the actual fact value
    *   - rightHandSideValue: the comparison value
    *   - operator: the operator used
+   *   - timing: when the almanac is tracing, { started, finished, cached, facts } of the evaluation
    */
   evaluate (almanac, operatorMap) {
-    if (!almanac) { return Promise.reject(new Error('almanac required')) }
-    if (!operatorMap) { return Promise.reject(new Error('operatorMap required')) }
+    if (!almanac) { return Promise.reject(new InvalidArgumentError('almanac required', { argument: 'almanac' })) }
+    if (!operatorMap) { return Promise.reject(new InvalidArgumentError('operatorMap required', { argument: 'operatorMap' })) }
     if (this.isBooleanOperator()) {
-      return Promise.reject(new Error('Cannot evaluate() a boolean condition'))
+      return Promise.reject(new InvalidConditionError('Cannot evaluate() a boolean condition'))
     }
-    const op = operatorMap.get(this.operator)
+    const op = Condition.resolveOperator(this, operatorMap, almanac.logger)
     if (!op) {
-      return Promise.reject(new Error(`Unknown operator: ${this.operator}`))
+      return Promise.reject(new UnknownOperatorError(`Unknown operator: ${this.operator}`, { operator: this.operator }))
     }
-    return Promise.all([
-      almanac.getValue(this.value),
-      almanac.factValue(this.fact, this.params, this.path)
-    ]).then(([rightHandSideValue, leftHandSideValue]) => {
+    return this.evaluateOperator(almanac, op)
+  }
+
+  /**
+   * Resolves the left hand side of the condition: the fact value, or for rule conditions
+   * the referenced rule's result (passed/failed operators) or score (any other operator).
+   * Rules that have not been evaluated during the run resolve undefined.
+   * @param {Almanac} almanac - almanac instance for fact and rule result retrieval
+   * @param {Operator} op - operator the condition is evaluated with
+   * @return {Promise<any>}
+   */
+  leftHandSideValue (almanac, op) {
+    if (!this.isRuleReference()) {
+      return almanac.factValue(this.fact, this.params, this.path)
+    }
+    const ruleResult = almanac.getRuleResult(this.rule)
+    if (!ruleResult) {
+      return Promise.resolve(undefined)
+    }
+    return Promise.resolve(Condition.ruleOperators.get(op.name) === op ? ruleResult.result : ruleResult.score)
+  }
+
+  /**
+   * Evaluates the condition with an already resolved operator
+   * @param {Almanac} almanac - almanac instance for fact retrieval
+   * @param {Operator} op - operator to compare the fact value and value with
+   * @return {Promise<Object>} evaluation result; see evaluate()
+   */
+  evaluateOperator (almanac, op) {
+    // when tracing, fact lookups made on behalf of the condition are recorded into timing.facts
+    const timing = almanac.tracing ? { started: now(), facts: [] } : null
+    const factAlmanac = timing ? almanac._tracingAlmanac(timing.facts) : almanac
+    const rightHandSide = factAlmanac.getValue(this.value)
+    const lookup = timing && timing.facts.length
+    const leftHandSide = this.leftHandSideValue(factAlmanac, op)
+    return Promise.all([rightHandSide, leftHandSide]).then(([rightHandSideValue, leftHandSideValue]) => {
       const score = op.evaluate(leftHandSideValue, rightHandSideValue)
       const result = score >= 1
-      debug('condition::evaluate', {
+      almanac.logger.trace('condition.evaluated', {
+        fact: this.fact,
+        rule: this.rule,
         leftHandSideValue,
         operator: this.operator,
         rightHandSideValue,
         score,
         result
       })
-      return {
+      const evaluation = {
         score,
         result,
         leftHandSideValue,
         rightHandSideValue,
         operator: this.operator
       }
+      if (timing) {
+        timing.finished = now()
+        // the fact lookup of the left hand side; rule conditions do not look up facts
+        timing.cached = timing.facts[lookup] && timing.facts[lookup].cached
+        evaluation.timing = timing
+      }
+      return evaluation
     })
   }
 
+  /**
+   * Visits this condition and every nested condition, depth first
+   * @param {Function} visit - called with (condition, path) for each condition, where path is
+   *   the JSON pointer of the condition relative to this one (e.g. '/all/2/not')
+   * @param {string} path - JSON pointer of this condition (default: '')
+   */
+  walk (visit, path = '') {
+    visit(this, path)
+    const oper = Condition.booleanOperator(this)
+    if (oper === 'not') {
+      this.not.walk(visit, `${path}/not`)
+    } else if (oper) {
+      this[oper].forEach((condition, index) => condition.walk(visit, `${path}/${oper}/${index}`))
+    }
+  }
+
+  /**
+   * Resolves the operator a non-boolean condition is evaluated with. Rule conditions may use
+   * the passed/failed rule operators in addition to the operators of the map.
+   * @param {Object} condition - condition object
+   * @param {OperatorMap} operatorMap - map of available operators
+   * @param {Logger} logger - logger an unknown operator is reported to (default: the map's logger)
+   * @return {Operator|null} the operator, or null when it is unknown
+   */
+  static resolveOperator (condition, operatorMap, logger) {
+    if (Object.prototype.hasOwnProperty.call(condition, 'rule') && Condition.ruleOperators.has(condition.operator)) {
+      return Condition.ruleOperators.get(condition.operator)
+    }
+    return operatorMap.get(condition.operator, logger)
+  }
+
   /**
    * Determines the boolean operator type for a condition object
    * @param {Object} condition - condition object to inspect
@@ -180,6 +266,22 @@ export default class Condition {
     }
   }
 
+  /**
+   * Describes a condition in a single line, e.g. 'age greaterThan 18'; boolean conditions are
+   * described by their operator alone
+   * @param {Object} condition - condition object or instance
+   * @return {string}
+   */
+  static describe (condition) {
+    const has = property => Object.prototype.hasOwnProperty.call(condition, property)
+    const operator = Condition.booleanOperator(condition)
+    if (operator) return operator
+    if (has('condition')) return `condition ${JSON.stringify(condition.condition)}`
+    const value = condition.value === undefined ? '' : ` ${JSON.stringify(condition.value)}`
+    if (has('rule')) return `rule ${JSON.stringify(condition.rule)} ${condition.operator}${value}`
+    return `${condition.fact}${condition.path ? ` ${condition.path}` : ''} ${condition.operator}${value}`
+  }
+
   /**
    * Returns the boolean operator type for this condition instance
    * @return {string|undefined} 'all', 'any', 'not', or undefined
@@ -203,4 +305,37 @@ export default class Condition {
   isConditionReference () {
     return Object.prototype.hasOwnProperty.call(this, 'condition')
   }
+
+  /**
+   * Determines if this condition tests the result of another rule
+   * @return {boolean} true if this condition has a 'rule' property
+   */
+  isRuleReference () {
+    return Object.prototype.hasOwnProperty.call(this, 'rule')
+  }
+}
+
+/**
+ * Constructs a nested condition, prefixing the path of invalid condition errors with its location
+ * @param {Object} properties - condition properties
+ * @param {string} path - JSON pointer of the nested condition relative to its parent, e.g. '/all/2'
+ * @return {Condition}
+ */
+function subCondition (properties, path) {
+  try {
+    return new Condition(properties)
+  } catch (error) {
+    if (error instanceof InvalidConditionError) {
+      error.path = path + (error.path || '')
+    }
+    throw error
+  }
 }
+
+/**
+ * Operators only available to rule conditions, testing whether the referenced rule passed or failed
+ */
+Condition.ruleOperators = new Map([
+  ['passed', new Operator('passed', (result) => result === true ? 1 : 0)],
+  ['failed', new Operator('failed', (result) => result === false ? 1 : 0)]
+])
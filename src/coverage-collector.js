@@ -0,0 +1,218 @@
+'use strict'
+import Condition from './condition'
+import { Histogram, SCORE_BUCKETS } from './metrics-collector'
+
+/**
+ * Pads the cells of a table into aligned columns
+ * @param {string[][]} rows - header row first
+ * @return {string}
+ */
+function formatTable (rows) {
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)))
+  return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n')
+}
+
+/**
+ * Formats a ratio as a percentage
+ * @param {number} count
+ * @param {number} total
+ * @return {string} e.g. '7/9 (78%)'
+ */
+function percentage (count, total) {
+  return `${count}/${total} (${total ? Math.round(count / total * 100) : 100}%)`
+}
+
+/**
+ * Condition coverage collector, set with the engine's "coverage" option.
+ *
+ * Records, for every condition of the engine's rules and named conditions, how many times it was
+ * evaluated, passed and failed, and the distribution of its scores. Conditions are addressed by the
+ * rule or named condition they belong to and their JSON pointer within it: '/conditions/all/0' in
+ * rule 'vip', or '/all/0' in named condition 'isAdult'. Conditions reached through a condition
+ * reference are recorded both on the reference and on the named condition.
+ *
+ * The engine reports to the collector through two methods:
+ *  - attach(engine) - by the Engine constructor; the engine's rules and named conditions are the
+ *    conditions the collector reports on, evaluated or not
+ *  - recordRule({ rule, conditions, result, score }) - by Rule#evaluate(), once per evaluation;
+ *    conditions is the condition tree of the RuleResult, annotated with results and scores
+ */
+export default class CoverageCollector {
+  constructor () {
+    this.engine = null
+    this.reset()
+  }
+
+  /**
+   * Discards every recorded evaluation
+   */
+  reset () {
+    this.nodes = new Map() // { 'rule'|'condition' + name: { path: { source, path, label, passed, failed, score: Histogram } } }
+  }
+
+  /**
+   * Sets the engine whose conditions are reported on
+   * @param {Engine} engine
+   */
+  attach (engine) {
+    this.engine = engine
+  }
+
+  /**
+   * Identifies the rule or named condition a condition belongs to
+   * @param {Object} source - { rule: name } or { condition: name }
+   * @return {string}
+   */
+  key (source) {
+    return source.rule !== undefined ? `rule ${source.rule}` : `condition ${source.condition}`
+  }
+
+  /**
+   * Returns the entry of a condition, creating it if needed
+   * @param {Object} source - { rule: name } or { condition: name }
+   * @param {string} path - JSON pointer of the condition within its rule or named condition
+   * @param {Condition} condition - definition of the condition
+   * @return {Object} entry
+   */
+  entry (source, path, condition) {
+    const key = this.key(source)
+    if (!this.nodes.has(key)) {
+      this.nodes.set(key, new Map())
+    }
+    const entries = this.nodes.get(key)
+    if (!entries.has(path)) {
+      entries.set(path, { source, path, label: Condition.describe(condition), passed: 0, failed: 0, score: new Histogram(SCORE_BUCKETS) })
+    }
+    return entries.get(path)
+  }
+
+  /**
+   * Records a rule evaluation
+   * @param {Object} evaluation - { rule, conditions, result, score }; conditions is the evaluated condition tree
+   */
+  recordRule ({ rule, conditions, result, score }) {
+    if (!rule.conditions) return
+    const named = rule.engine ? rule.engine.conditions : new Map()
+    // walks the definition and the evaluated tree side by side; the evaluated tree has references projected
+    const record = (source, definition, node, path, resolving) => {
+      const entry = this.entry(source, path, definition)
+      const evaluated = node && typeof node.score === 'number'
+      if (evaluated) {
+        if (node.result === true || (node.result === undefined && node.score >= 1)) {
+          entry.passed++
+        } else {
+          entry.failed++
+        }
+        entry.score.observe(node.score)
+      }
+      if (definition.isConditionReference()) {
+        const name = definition.condition
+        if (named.has(name) && !resolving.includes(name)) {
+          record({ condition: name }, named.get(name), node, '', resolving.concat(name))
+        }
+        return
+      }
+      const operator = Condition.booleanOperator(definition)
+      if (operator === 'not') {
+        record(source, definition.not, node && node.not, `${path}/not`, resolving)
+      } else if (operator) {
+        definition[operator].forEach((child, index) => {
+          record(source, child, node && node[operator] && node[operator][index], `${path}/${operator}/${index}`, resolving)
+        })
+      }
+    }
+    // the root boolean condition of a rule is not annotated; its result is the rule's
+    const operator = Condition.booleanOperator(rule.conditions)
+    const root = operator && conditions ? { result, score, [operator]: conditions[operator] } : conditions
+    record({ rule: rule.name }, rule.conditions, root, '/conditions', [])
+  }
+
+  /**
+   * Returns a JSON-friendly coverage report
+   * @return {Object} { summary: { conditions, evaluated, passed }, conditions: [{ rule|condition, path, label,
+   *   evaluations, passed, failed, score }] }; summary counts the conditions evaluated and passed at least once.
+   *   Once attached, only the conditions the engine currently has are reported: entries of rules and named
+   *   conditions since removed or renamed are left out, and those of conditions since replaced start over.
+   */
+  snapshot () {
+    let current // { key: Set<path> } conditions of the attached engine
+    if (this.engine) {
+      current = new Map()
+      // conditions never evaluated are reported too, in the order of the engine's rules and named conditions
+      const collect = (source, conditions, rootPath) => {
+        const key = this.key(source)
+        const paths = new Set()
+        conditions.walk((condition, path) => {
+          if (this.entry(source, path, condition).label !== Condition.describe(condition)) {
+            this.nodes.get(key).delete(path)
+            this.entry(source, path, condition)
+          }
+          paths.add(path)
+        }, rootPath)
+        current.set(key, paths)
+      }
+      this.engine.rules.forEach((rule) => {
+        if (rule.conditions) collect({ rule: rule.name }, rule.conditions, '/conditions')
+      })
+      this.engine.conditions.forEach((conditions, name) => collect({ condition: name }, conditions))
+    }
+    const conditions = []
+    const keys = current ? Array.from(current.keys()) : Array.from(this.nodes.keys())
+    keys.forEach(key => this.nodes.get(key).forEach((entry) => {
+      if (current && !current.get(key).has(entry.path)) return
+      conditions.push(Object.assign({}, entry.source, {
+        path: entry.path,
+        label: entry.label,
+        evaluations: entry.passed + entry.failed,
+        passed: entry.passed,
+        failed: entry.failed,
+        score: entry.score.toJSON()
+      }))
+    }))
+    return {
+      summary: {
+        conditions: conditions.length,
+        evaluated: conditions.filter(condition => condition.evaluations > 0).length,
+        passed: conditions.filter(condition => condition.passed > 0).length
+      },
+      conditions
+    }
+  }
+
+  /**
+   * @return {Object} see snapshot()
+   */
+  toJSON () {
+    return this.snapshot()
+  }
+
+  /**
+   * Formats the coverage report as a plain-text table. Conditions that were never evaluated, or
+   * never passed, are flagged in the first column.
+   * @return {string}
+   */
+  toTable () {
+    const { summary, conditions } = this.snapshot()
+    const rows = [['STATUS', 'SOURCE', 'PATH', 'CONDITION', 'EVALUATED', 'PASSED', 'FAILED', 'MEAN SCORE']]
+    conditions.forEach((condition) => {
+      let status = ''
+      if (!condition.evaluations) status = 'NEVER EVALUATED'
+      else if (!condition.passed) status = 'NEVER PASSED'
+      rows.push([
+        status,
+        condition.rule !== undefined ? `rule ${condition.rule}` : `condition ${condition.condition}`,
+        condition.path || '/',
+        condition.label,
+        String(condition.evaluations),
+        String(condition.passed),
+        String(condition.failed),
+        condition.evaluations ? (condition.score.sum / condition.evaluations).toFixed(2) : '-'
+      ])
+    })
+    return [
+      `Conditions evaluated: ${percentage(summary.evaluated, summary.conditions)}; passed: ${percentage(summary.passed, summary.conditions)}`,
+      '',
+      formatTable(rows)
+    ].join('\n') + '\n'
+  }
+}
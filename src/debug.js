@@ -2,10 +2,14 @@ function createDebug () {
   try {
     if ((typeof process !== 'undefined' && process.env && process.env.DEBUG && process.env.DEBUG.match(/rule-engine/)) ||
       (typeof window !== 'undefined' && window.localStorage && window.localStorage.debug && window.localStorage.debug.match(/rule-engine/))) {
-      return console.debug.bind(console)
+      const debug = console.debug.bind(console)
+      debug.enabled = true
+      return debug
     }
   } catch (ex) {
   }
-  return () => { }
+  const debug = () => { }
+  debug.enabled = false
+  return debug
 }
 export default createDebug()
@@ -0,0 +1,78 @@
+'use strict'
+import Action from './action'
+import { InvalidActionError } from './errors'
+/**
+ * Default actions available to rule events
+ *
+ * Values in action definitions may reference facts, e.g. { fact: 'cartTotal' }; they are
+ * resolved against the run's almanac before the action is applied.
+ */
+const Actions = []
+/**
+ * Returns the current value of a fact, or undefined when the almanac does not define it
+ * @param {Almanac} almanac
+ * @param {string} factId
+ * @return {Promise<any>}
+ */
+function currentValue (almanac, factId) {
+  if (!almanac._getFact(factId)) {
+    return Promise.resolve(undefined)
+  }
+  return almanac.factValue(factId)
+}
+/**
+ * Throws when an action definition is missing a required property
+ * @param {Object} action - action definition
+ * @param {string} property - required property name
+ */
+function requireProperty (action, property) {
+  if (!Object.prototype.hasOwnProperty.call(action, property)) {
+    throw new InvalidActionError(`Action "${action.type}" requires a "${property}" property`, { action: action.type, property })
+  }
+}
+// { type: 'setFact', fact, value } - sets the fact to value
+Actions.push(new Action('setFact', (action, { almanac }) => {
+  requireProperty(action, 'fact')
+  requireProperty(action, 'value')
+  return almanac.getValue(action.value).then((value) => {
+    almanac.addFact(action.fact, value)
+  })
+}))
+// { type: 'incrementFact', fact, by = 1 } - adds "by" to the fact; undefined facts start at 0
+Actions.push(new Action('incrementFact', (action, { almanac }) => {
+  requireProperty(action, 'fact')
+  return Promise.all([
+    currentValue(almanac, action.fact),
+    almanac.getValue(action.by === undefined ? 1 : action.by)
+  ]).then(([current, by]) => {
+    almanac.addFact(action.fact, (current === undefined ? 0 : current) + by)
+  })
+}))
+// { type: 'appendToFact', fact, value } - appends value to the fact's array; undefined facts start empty
+Actions.push(new Action('appendToFact', (action, { almanac }) => {
+  requireProperty(action, 'fact')
+  requireProperty(action, 'value')
+  return Promise.all([
+    currentValue(almanac, action.fact),
+    almanac.getValue(action.value)
+  ]).then(([current, value]) => {
+    if (current !== undefined && !Array.isArray(current)) {
+      throw new InvalidActionError(`Action "appendToFact" requires fact "${action.fact}" to be an array`, { action: action.type, factId: action.fact })
+    }
+    almanac.addFact(action.fact, (current || []).concat([value]))
+  })
+}))
+// { type: 'emit', event, params } - emits event on the engine, with params resolved against the almanac
+Actions.push(new Action('emit', (action, { almanac, ruleResult, engine }) => {
+  requireProperty(action, 'event')
+  const params = action.params || {}
+  const keys = Object.keys(params)
+  return Promise.all(keys.map((key) => almanac.getValue(params[key]))).then((values) => {
+    const resolved = keys.reduce((hash, key, index) => {
+      hash[key] = values[index]
+      return hash
+    }, {})
+    return engine.emitForRun(almanac.run, engine, action.event, resolved, almanac, ruleResult)
+  })
+}))
+export default Actions
@@ -0,0 +1,161 @@
+'use strict'
+import { MaxIterationsError } from './errors'
+/**
+ * Execution strategies decide which rules are evaluated during a run, and which
+ * rule results are recorded and emitted.
+ *
+ * Each strategy receives the engine, the rules grouped by priority
+ * (highest -> lowest), the run's almanac, its RunHandle and the run's strategy
+ * options ({ maxIterations }), and returns a promise that resolves once
+ * evaluation is complete.
+ */
+const Strategies = {}
+/**
+ * 'all' - evaluates every priority set in turn; rules within a set are evaluated
+ * in parallel and every result is recorded. This is the default behavior.
+ */
+Strategies.all = (engine, orderedSets, almanac, run) => {
+  return orderedSets.reduce((cursor, set) => {
+    return cursor.then(() => engine.evaluateRules(set, almanac, run))
+  }, Promise.resolve())
+}
+/**
+ * 'first' - evaluates rules one at a time in priority order (insertion order within
+ * a priority) and stops the run at the first passing rule.
+ */
+Strategies.first = (engine, orderedSets, almanac, run) => {
+  return orderedSets.flat().reduce((cursor, rule) => {
+    return cursor.then(() => engine.evaluateRule(rule, almanac, run)).then((ruleResult) => {
+      if (ruleResult && ruleResult.result) {
+        run.logger.debug('strategy.first.passed', { rule: ruleResult.name })
+        run.stop()
+      }
+    })
+  }, Promise.resolve())
+}
+/**
+ * 'best' - evaluates every rule, then records and emits only the highest scoring
+ * passing rule; when no rule passes, nothing is recorded or emitted. Ties are won
+ * by the rule evaluated first in priority order. Since events are
+ * held back until all rules are evaluated, event handlers cannot feed facts to
+ * lower priority rules under this strategy.
+ */
+Strategies.best = (engine, orderedSets, almanac, run) => {
+  const candidates = []
+  return orderedSets.reduce((cursor, set) => {
+    return cursor.then(() => Promise.all(set.map((rule) => {
+      if (!run.isRunning()) {
+        return Promise.resolve()
+      }
+      return rule.evaluate(almanac, { deferEvents: true }).then((ruleResult) => ({ rule, ruleResult }))
+    }))).then((evaluated) => {
+      evaluated.forEach((candidate) => {
+        if (!candidate || (candidate.ruleResult.error && !engine.processError(candidate.ruleResult, almanac, run))) {
+          return
+        }
+        if (candidate.ruleResult.result) {
+          candidates.push(candidate)
+        }
+      })
+    })
+  }, Promise.resolve()).then(() => {
+    if (run.isCancelled() || candidates.length === 0) {
+      return
+    }
+    const best = candidates.reduce((winner, candidate) => {
+      return candidate.ruleResult.score > winner.ruleResult.score ? candidate : winner
+    })
+    run.logger.debug('strategy.best.selected', { rule: best.ruleResult.name, score: best.ruleResult.score })
+    return best.rule.emitResult(best.ruleResult, almanac)
+      .then(() => engine.processResult(best.ruleResult, almanac, run))
+  })
+}
+/**
+ * Expands the facts a rule read with every fact they requested, transitively
+ * @param {Set<string>} reads - ids of the facts the rule read
+ * @param {Object} graph - almanac fact dependency graph
+ * @return {Set<string>} fact ids
+ */
+function transitiveInputs (reads, graph) {
+  const inputs = new Set(reads)
+  inputs.forEach((factId) => (graph[factId] || []).forEach((dependency) => inputs.add(dependency)))
+  return inputs
+}
+/**
+ * 'forward' - forward chaining. Rules are first evaluated as under 'all'. Facts added to
+ * the almanac while handling rule events then re-evaluate, in priority order, every rule
+ * that read them, until no rule needs re-evaluating (a fixpoint) or options.maxIterations
+ * passes have run. Rules with noLoop are not re-evaluated by facts asserted by their own
+ * events. Rules testing the result of a re-evaluated rule are re-evaluated after it. Every
+ * evaluation emits events; the run reports the last result of each rule.
+ */
+Strategies.forward = (engine, orderedSets, almanac, run, options) => {
+  const evaluations = new Map() // { rule: { reads, since, ruleResult } }
+  const evaluate = (rule) => {
+    if (!run.isRunning()) {
+      return Promise.resolve()
+    }
+    const reads = new Set()
+    const since = almanac.factChanges.length
+    return rule.evaluate(almanac._ruleAlmanac(rule, reads), { deferEvents: true }).then((ruleResult) => {
+      evaluations.set(rule, { reads, since, ruleResult })
+      if (run.isCancelled()) {
+        return
+      }
+      const ruleAlmanac = almanac._ruleAlmanac(rule)
+      if (ruleResult.error && !engine.processError(ruleResult, ruleAlmanac, run)) {
+        return
+      }
+      return rule.emitResult(ruleResult, ruleAlmanac)
+        .then(() => engine.processResult(ruleResult, ruleAlmanac, run))
+    })
+  }
+  const isStale = (rule, graph) => {
+    const { reads, since } = evaluations.get(rule)
+    const inputs = transitiveInputs(reads, graph)
+    return almanac.factChanges.slice(since).some((change) => {
+      return inputs.has(change.factId) && !(rule.noLoop && change.rule === rule)
+    })
+  }
+  const iterate = (sets, iteration) => {
+    return sets.reduce((cursor, set) => {
+      return cursor.then(() => Promise.all(set.map(evaluate)))
+    }, Promise.resolve()).then(() => {
+      const graph = almanac.getFactDependencyGraph()
+      const scheduled = new Set()
+      // sets are ordered after the rules they depend on, so dependencies are scheduled first
+      const agenda = orderedSets
+        .map((set) => set.filter((rule) => {
+          if (!evaluations.has(rule)) return false
+          const dependsOnScheduled = Array.from(engine.getRuleDependencies(rule)).some((name) => scheduled.has(name))
+          if (dependsOnScheduled || isStale(rule, graph)) {
+            scheduled.add(rule.name)
+            return true
+          }
+          return false
+        }))
+        .filter((set) => set.length)
+      if (agenda.length === 0 || !run.isRunning()) {
+        run.logger.debug('strategy.forward.completed', { iterations: iteration })
+        return
+      }
+      if (iteration >= options.maxIterations) {
+        throw new MaxIterationsError(options.maxIterations)
+      }
+      run.logger.debug('strategy.forward.iteration', { iteration: iteration + 1, rules: agenda.flat().map((rule) => rule.name) })
+      return iterate(agenda, iteration + 1)
+    })
+  }
+  return iterate(orderedSets, 1).then(() => {
+    const latest = new Set(Array.from(evaluations.values()).map(({ ruleResult }) => ruleResult))
+    // the events of superseded evaluations go with their results; events added by handlers are kept
+    almanac.ruleResults.filter((ruleResult) => !latest.has(ruleResult)).forEach((ruleResult) => {
+      const events = almanac.events[ruleResult.result ? 'success' : 'failure']
+      const index = events.indexOf(ruleResult.event)
+      if (index > -1) events.splice(index, 1)
+    })
+    almanac.ruleResults = almanac.ruleResults.filter((ruleResult) => latest.has(ruleResult))
+    almanac.erroredResults = almanac.erroredResults.filter((ruleResult) => latest.has(ruleResult))
+  })
+}
+export default Strategies
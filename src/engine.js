@@ -1,16 +1,34 @@
 'use strict'
 import Fact from './fact'
 import Rule from './rule'
+import RuleResult from './rule-result'
 import Almanac from './almanac'
 import EventEmitter from 'eventemitter2'
 import defaultOperators from './engine-default-operators'
 import defaultDecorators from './engine-default-operator-decorators'
-import debug from './debug'
+import defaultActions from './engine-default-actions'
+import Logger from './logger'
 import Condition from './condition'
 import OperatorMap from './operator-map'
-export const READY = 'READY'
-export const RUNNING = 'RUNNING'
-export const FINISHED = 'FINISHED'
+import RunHandle, { READY, RUNNING, FINISHED, CANCELLED } from './run-handle'
+import Strategies from './engine-strategies'
+import RunStream from './run-stream'
+import Operator from './operator'
+import OperatorDecorator from './operator-decorator'
+import Action from './action'
+import MetricsCollector from './metrics-collector'
+import CoverageCollector from './coverage-collector'
+import validateRule, { validateConditions, findConditionCycles } from './rule-validator'
+import getRuleSchema from './rule-schema'
+import lintConditions from './rule-linter'
+import findConflicts from './rule-conflicts'
+import { now as timestamp } from './trace'
+import {
+  RuleEngineError, RuleCycleError, InvalidArgumentError, InvalidRuleError, InvalidConditionError,
+  InvalidFactError, RuleNotFoundError, UnknownOperatorError, UnknownActionError
+} from './errors'
+export { READY, RUNNING, FINISHED, CANCELLED }
+const ERROR_POLICIES = ['throw', 'fail-rule', 'skip-rule']
 /**
  * Returns a new Engine instance
  * @param {Rule[]} rules - array of rules to initialize with
@@ -19,6 +37,20 @@ export const FINISHED = 'FINISHED'
  * @param {boolean} options.allowUndefinedConditions - whether to throw when undefined conditions are encountered
  * @param {boolean} options.replaceFactsInEventParams - whether to replace fact values in event parameters
  * @param {Function} options.pathResolver - custom path resolver for facts
+ * @param {string} options.strategy - execution strategy: 'all' (default), 'first', 'best' or 'forward'
+ * @param {number} options.maxIterations - maximum evaluation passes of the 'forward' strategy (default: 100)
+ * @param {Function} options.clock - returns the current time as a Date; used to skip rules that are not active
+ * @param {boolean} options.compileRules - whether to compile rule conditions into evaluators (default: true)
+ * @param {string} options.errorPolicy - what a rule whose evaluation throws does to the run: 'throw' rejects the run
+ *   (default), 'fail-rule' reports the rule as failed and 'skip-rule' leaves it out of the results; either way the
+ *   rule result carries the error, is listed in erroredResults and the engine emits 'error'
+ * @param {Object} options.logger - sink of the engine's structured log records, with trace(), debug(), info(), warn()
+ *   and error() methods; defaults to console.debug when DEBUG matches 'rule-engine'
+ * @param {string} options.logLevel - least severe level passed to the logger (default: 'trace')
+ * @param {MetricsCollector|boolean} options.metrics - collector runs, rule evaluations and fact lookups are reported to;
+ *   true creates an in-memory MetricsCollector (optional)
+ * @param {CoverageCollector|boolean} options.coverage - collector condition evaluations are reported to; true creates
+ *   a CoverageCollector (optional)
  * @return {Engine} engine instance
  */
 class Engine extends EventEmitter {
@@ -33,13 +65,36 @@ class Engine extends EventEmitter {
     this.allowUndefinedConditions = options.allowUndefinedConditions || false
     this.replaceFactsInEventParams = options.replaceFactsInEventParams || false
     this.pathResolver = options.pathResolver
-    this.operators = new OperatorMap()
+    this.strategy = options.strategy || 'all'
+    this.clock = options.clock || (() => new Date())
+    this.compileRules = options.compileRules !== false
+    this.compileVersion = 0
+    this.metrics = options.metrics === true ? new MetricsCollector() : options.metrics || null
+    this.coverage = options.coverage === true ? new CoverageCollector() : options.coverage || null
+    if (this.coverage) {
+      this.coverage.attach(this)
+    }
+    if (!Strategies[this.strategy]) {
+      throw new InvalidArgumentError(`Engine: unknown strategy "${this.strategy}"`, { argument: 'strategy', value: this.strategy })
+    }
+    this.maxIterations = options.maxIterations || 100
+    this.errorPolicy = options.errorPolicy || 'throw'
+    if (!ERROR_POLICIES.includes(this.errorPolicy)) {
+      throw new InvalidArgumentError(`Engine: unknown errorPolicy "${this.errorPolicy}"`, { argument: 'errorPolicy', value: this.errorPolicy })
+    }
+    this.logger = new Logger(options.logger, { level: options.logLevel })
+    this.operators = new OperatorMap({ logger: this.logger })
     this.facts = new Map()
     this.conditions = new Map()
+    this.actions = new Map()
     this.status = READY
-    rules.map(r => this.addRule(r))
+    this.activeRuns = new Set()
+    this.handlingRun = null // run whose event handlers are being called; see emitForRun()
+    this.disabledRuleSets = new Set()
     defaultOperators.map(o => this.addOperator(o))
     defaultDecorators.map(d => this.addOperatorDecorator(d))
+    defaultActions.map(a => this.addAction(a))
+    rules.map(r => this.addRule(r))
   }
 
   /**
@@ -50,18 +105,31 @@ class Engine extends EventEmitter {
    * @param {string} properties.event.type - name of event to emit
    * @param {string} properties.event.params - parameters to pass to the event listener
    * @param {Object} properties.conditions - conditions to evaluate when processing this rule
+   * @param {Object} options - options for adding the rule
+   * @param {string} options.set - rule set to assign the rule to; overrides properties.ruleSet
+   * @throws {RuleCycleError} when the rule's conditions test its own result, directly or through other rules
    */
-  addRule (properties) {
-    if (!properties) { throw new Error('Engine: addRule() requires options') }
+  addRule (properties, options = {}) {
+    if (!properties) { throw new InvalidArgumentError('Engine: addRule() requires options', { argument: 'properties' }) }
     let rule
     if (properties instanceof Rule) {
       rule = properties
     } else {
-      if (!Object.prototype.hasOwnProperty.call(properties, 'event')) { throw new Error('Engine: addRule() argument requires "event" property') }
-      if (!Object.prototype.hasOwnProperty.call(properties, 'conditions')) { throw new Error('Engine: addRule() argument requires "conditions" property') }
+      ;['event', 'conditions'].forEach((property) => {
+        if (!Object.prototype.hasOwnProperty.call(properties, property)) {
+          throw new InvalidRuleError(`Engine: addRule() argument requires "${property}" property`, { rule: properties.name, property })
+        }
+      })
       rule = new Rule(properties)
     }
+    if (options.set) {
+      rule.setRuleSet(options.set)
+    }
+    this.assertNoRuleCycle(rule)
     rule.setEngine(this)
+    if (this.compileRules && rule.conditions) {
+      rule.compile()
+    }
     this.rules.push(rule)
     this.prioritizedRules = null
     return this
@@ -74,11 +142,16 @@ class Engine extends EventEmitter {
   updateRule (rule) {
     const ruleIndex = this.rules.findIndex(ruleInEngine => ruleInEngine.name === rule.name)
     if (ruleIndex > -1) {
-      this.rules.splice(ruleIndex, 1)
-      this.addRule(rule)
+      const [previous] = this.rules.splice(ruleIndex, 1)
+      try {
+        this.addRule(rule)
+      } catch (error) {
+        this.rules.splice(ruleIndex, 0, previous)
+        throw error
+      }
       this.prioritizedRules = null
     } else {
-      throw new Error('Engine: updateRule() rule not found')
+      throw new RuleNotFoundError('Engine: updateRule() rule not found', { rule: rule.name })
     }
   }
 
@@ -105,18 +178,69 @@ class Engine extends EventEmitter {
     return ruleRemoved
   }
 
+  /**
+   * Enables a rule set that was previously disabled
+   * @param {string} name - rule set name
+   * @return {Engine}
+   */
+  enableRuleSet (name) {
+    this.disabledRuleSets.delete(name)
+    return this
+  }
+
+  /**
+   * Disables a rule set; its rules are skipped by every run until the set is enabled again
+   * @param {string} name - rule set name
+   * @return {Engine}
+   */
+  disableRuleSet (name) {
+    if (!name) { throw new InvalidArgumentError('Engine: disableRuleSet() requires name', { argument: 'name' }) }
+    this.disabledRuleSets.add(name)
+    return this
+  }
+
+  /**
+   * Whether the rules of a rule set are evaluated
+   * @param {string} name - rule set name
+   * @return {boolean}
+   */
+  isRuleSetEnabled (name) {
+    return !this.disabledRuleSets.has(name)
+  }
+
+  /**
+   * Returns the names of all rule sets that rules have been assigned to
+   * @return {string[]} rule set names
+   */
+  getRuleSets () {
+    return Array.from(new Set(this.rules.map(rule => rule.ruleSet).filter(Boolean)))
+  }
+
   /**
    * Set a named condition that can be referenced by rules
    * @param {string} name - condition identifier
    * @param {Object} conditions - condition definition with 'all', 'any', 'not', or 'condition'
    */
   setCondition (name, conditions) {
-    if (!name) { throw new Error('Engine: setCondition() requires name') }
-    if (!conditions) { throw new Error('Engine: setCondition() requires conditions') }
+    if (!name) { throw new InvalidArgumentError('Engine: setCondition() requires name', { argument: 'name' }) }
+    if (!conditions) { throw new InvalidArgumentError('Engine: setCondition() requires conditions', { argument: 'conditions' }) }
     if (!Object.prototype.hasOwnProperty.call(conditions, 'all') && !Object.prototype.hasOwnProperty.call(conditions, 'any') && !Object.prototype.hasOwnProperty.call(conditions, 'not') && !Object.prototype.hasOwnProperty.call(conditions, 'condition')) {
-      throw new Error('"conditions" root must contain a single instance of "all", "any", "not", or "condition"')
+      throw new InvalidConditionError('"conditions" root must contain a single instance of "all", "any", "not", or "condition"', { condition: name, path: '' })
+    }
+    let condition
+    try {
+      condition = new Condition(conditions)
+    } catch (error) {
+      if (error instanceof RuleEngineError) {
+        error.condition = name
+        if (error.path === undefined) error.path = ''
+      }
+      throw error
     }
-    this.conditions.set(name, new Condition(conditions))
+    this.conditions.set(name, condition)
+    this.invalidateCompiledRules()
+    // named conditions may test rule results, which affects the evaluation order
+    this.prioritizedRules = null
     return this
   }
 
@@ -126,9 +250,19 @@ class Engine extends EventEmitter {
    * @return {boolean} whether the condition was successfully removed
    */
   removeCondition (name) {
+    this.invalidateCompiledRules()
+    this.prioritizedRules = null
     return this.conditions.delete(name)
   }
 
+  /**
+   * Marks every compiled rule as stale; rules recompile before their next evaluation.
+   * Called whenever operators, named conditions or facts change.
+   */
+  invalidateCompiledRules () {
+    this.compileVersion++
+  }
+
   /**
    * Add a custom operator definition to the engine
    * @param {string|Operator} operatorOrName - operator identifier, or Operator instance
@@ -136,6 +270,7 @@ class Engine extends EventEmitter {
    */
   addOperator (operatorOrName, cb) {
     this.operators.addOperator(operatorOrName, cb)
+    this.invalidateCompiledRules()
   }
 
   /**
@@ -144,6 +279,7 @@ class Engine extends EventEmitter {
    * @return {boolean} whether the operator was successfully removed
    */
   removeOperator (operatorOrName) {
+    this.invalidateCompiledRules()
     return this.operators.removeOperator(operatorOrName)
   }
 
@@ -154,6 +290,7 @@ class Engine extends EventEmitter {
    */
   addOperatorDecorator (decoratorOrName, cb) {
     this.operators.addOperatorDecorator(decoratorOrName, cb)
+    this.invalidateCompiledRules()
   }
 
   /**
@@ -162,9 +299,36 @@ class Engine extends EventEmitter {
    * @return {boolean} whether the decorator was successfully removed
    */
   removeOperatorDecorator (decoratorOrName) {
+    this.invalidateCompiledRules()
     return this.operators.removeOperatorDecorator(decoratorOrName)
   }
 
+  /**
+   * Add a custom action, which rule events can list in their "actions"
+   * @param {string|Action} actionOrName - action identifier, or Action instance
+   * @param {Function} cb - action handler, called with (action definition, { almanac, ruleResult, engine })
+   */
+  addAction (actionOrName, cb) {
+    let action
+    if (actionOrName instanceof Action) {
+      action = actionOrName
+    } else {
+      action = new Action(actionOrName, cb)
+    }
+    this.logger.debug('engine.action.added', { action: action.name })
+    this.actions.set(action.name, action)
+  }
+
+  /**
+   * Remove a custom action
+   * @param {string|Action} actionOrName - action identifier or Action instance
+   * @return {boolean} whether the action was successfully removed
+   */
+  removeAction (actionOrName) {
+    const actionName = actionOrName instanceof Action ? actionOrName.name : actionOrName
+    return this.actions.delete(actionName)
+  }
+
   /**
    * Add a fact definition to the engine. Facts are called by rules as they are evaluated.
    * @param {string|Fact} id - fact identifier or Fact instance
@@ -172,6 +336,9 @@ class Engine extends EventEmitter {
    * @param {Object} options - fact configuration options
    * @param {boolean} options.cache - whether to cache the fact's value for future rules (default: true)
    * @param {number} options.priority - fact priority for computing order (default: 1)
+   * @param {number} options.timeout - maximum time (ms) to wait for the fact to be computed
+   * @param {any} options.fallback - value used when the fact times out
+   * @param {boolean} options.shared - compute the fact once per engine.runBatch() instead of once per item (default: false)
    */
   addFact (id, valueOrMethod, options) {
     let factId = id
@@ -182,8 +349,9 @@ class Engine extends EventEmitter {
     } else {
       fact = new Fact(id, valueOrMethod, options)
     }
-    debug('engine::addFact', { id: factId })
+    this.logger.debug('engine.fact.added', { fact: factId })
     this.facts.set(factId, fact)
+    this.invalidateCompiledRules()
     return this
   }
 
@@ -199,41 +367,196 @@ class Engine extends EventEmitter {
     } else {
       factId = factOrId.id
     }
+    this.invalidateCompiledRules()
     return this.facts.delete(factId)
   }
 
   /**
    * Iterates over the engine rules, organizing them by highest -> lowest priority
+   * Rules testing the results of other rules are moved to a set after every rule they depend on.
    * @return {Rule[][]} two dimensional array of Rules.
    *    Each outer array element represents a single priority(integer). Inner array is
    *    all rules with that priority.
+   * @throws {RuleCycleError} when rules test each other's results in a cycle
    */
   prioritizeRules () {
     if (!this.prioritizedRules) {
+      const ranks = this.rankRules()
       const ruleSets = this.rules.reduce((sets, rule) => {
-        const priority = rule.priority
-        if (!sets[priority]) { sets[priority] = [] }
-        sets[priority].push(rule)
+        const rank = ranks.get(rule)
+        if (!sets[rank]) { sets[rank] = [] }
+        sets[rank].push(rule)
         return sets
       }, {})
       this.prioritizedRules = Object.keys(ruleSets).sort((a, b) => {
-        return Number(a) > Number(b) ? -1 : 1 // order highest priority -> lowest
-      }).map((priority) => ruleSets[priority])
+        return Number(a) < Number(b) ? -1 : 1 // order lowest rank -> highest
+      }).map((rank) => ruleSets[rank])
     }
     return this.prioritizedRules
   }
 
+  /**
+   * Ranks rules for evaluation: by priority, highest first, and after every rule whose result they test
+   * @return {Map<Rule, number>} rank of each rule; rules are evaluated lowest rank first
+   * @throws {RuleCycleError} when rules test each other's results in a cycle
+   */
+  rankRules () {
+    const priorities = Array.from(new Set(this.rules.map(rule => rule.priority))).sort((a, b) => b - a)
+    const rulesByName = this.getRulesByName()
+    const ranks = new Map()
+    const rank = (rule, path) => {
+      if (ranks.has(rule)) return ranks.get(rule)
+      const index = path.indexOf(rule)
+      if (index > -1) {
+        throw new RuleCycleError(path.slice(index).concat(rule).map(r => r.name))
+      }
+      let result = priorities.indexOf(rule.priority)
+      this.getRuleDependencies(rule).forEach(name => (rulesByName.get(name) || []).forEach(dependency => {
+        result = Math.max(result, rank(dependency, path.concat(rule)) + 1)
+      }))
+      ranks.set(rule, result)
+      return result
+    }
+    this.rules.forEach(rule => rank(rule, []))
+    return ranks
+  }
+
+  /**
+   * Groups the engine's rules by name
+   * @return {Map<string, Rule[]>}
+   */
+  getRulesByName () {
+    const rulesByName = new Map()
+    this.rules.forEach(rule => {
+      if (!rulesByName.has(rule.name)) rulesByName.set(rule.name, [])
+      rulesByName.get(rule.name).push(rule)
+    })
+    return rulesByName
+  }
+
+  /**
+   * Returns the names of the rules whose results a rule's conditions test, including
+   * through named condition references
+   * @param {Rule} rule
+   * @return {Set<string>} rule names
+   */
+  getRuleDependencies (rule) {
+    const names = new Set()
+    const referenced = new Set()
+    const collect = (conditions) => conditions.walk((condition) => {
+      if (condition.isRuleReference()) {
+        names.add(condition.rule)
+      } else if (condition.isConditionReference() && !referenced.has(condition.condition)) {
+        referenced.add(condition.condition)
+        const named = this.conditions.get(condition.condition)
+        if (named) collect(named)
+      }
+    })
+    if (rule.conditions) {
+      // conditions assigned directly to the rule may not have been wrapped in a Condition yet
+      collect(rule.conditions instanceof Condition ? rule.conditions : new Condition(rule.conditions))
+    }
+    return names
+  }
+
+  /**
+   * Throws when adding a rule would make it depend on its own result
+   * @param {Rule} rule - rule about to be added
+   * @throws {RuleCycleError}
+   */
+  assertNoRuleCycle (rule) {
+    const dependencies = this.getRuleDependencies(rule)
+    if (dependencies.size === 0) return
+    const rulesByName = this.getRulesByName()
+    const visited = new Set()
+    const search = (names, path) => names.forEach(name => {
+      if (name === rule.name) {
+        throw new RuleCycleError(path.concat(name))
+      }
+      ;(rulesByName.get(name) || []).forEach(dependency => {
+        if (visited.has(dependency)) return
+        visited.add(dependency)
+        search(this.getRuleDependencies(dependency), path.concat(name))
+      })
+    })
+    search(dependencies, [rule.name])
+  }
+
+  /**
+   * Narrows prioritized rules down to those in enabled rule sets, and optionally to the requested sets.
+   * Rules without a rule set are only excluded when specific sets are requested.
+   * @param {Rule[][]} orderedSets - rules grouped by priority, as returned by prioritizeRules()
+   * @param {string[]} sets - names of the rule sets to keep (optional)
+   * @return {Rule[][]} rules grouped by priority; priorities left without rules are dropped
+   */
+  filterRuleSets (orderedSets, sets) {
+    if (!sets && this.disabledRuleSets.size === 0) {
+      return orderedSets
+    }
+    const requested = sets && new Set([].concat(sets))
+    return orderedSets
+      .map(set => set.filter(rule => {
+        if (requested && !requested.has(rule.ruleSet)) return false
+        return !rule.ruleSet || this.isRuleSetEnabled(rule.ruleSet)
+      }))
+      .filter(set => set.length > 0)
+  }
+
+  /**
+   * Separates rules that are active at a point in time from those outside their validity window or schedule
+   * @param {Rule[][]} orderedSets - rules grouped by priority
+   * @param {Date} now - point in time to test
+   * @return {Object} { orderedSets: Rule[][] of active rules, inactiveRules: Rule[] }
+   */
+  partitionActiveRules (orderedSets, now) {
+    const inactiveRules = []
+    const activeSets = orderedSets
+      .map(set => set.filter(rule => {
+        if (rule.isActive(now)) return true
+        inactiveRules.push(rule)
+        return false
+      }))
+      .filter(set => set.length > 0)
+    return { orderedSets: activeSets, inactiveRules }
+  }
+
   /**
    * Stops the rules engine from running the next priority set of Rules. All remaining rules will be resolved as undefined,
    * and no further events emitted. Since rules of the same priority are evaluated in parallel(not series), other rules of
    * the same priority may still emit events, even though the engine is in a "finished" state.
+   * Called synchronously by an event handler, this stops only the run the event belongs to; otherwise it stops every
+   * run currently in flight. Use the RunHandle returned by run() (also available as almanac.run) to stop a single run
+   * from anywhere, e.g. after an await in an async handler.
    * @return {Engine}
    */
   stop () {
+    if (this.handlingRun) {
+      this.handlingRun.stop()
+      return this
+    }
     this.status = FINISHED
+    this.activeRuns.forEach(run => run.stop())
     return this
   }
 
+  /**
+   * Emits an event on behalf of a run: handlers are called synchronously, so engine.stop() calls they make
+   * while the event is emitted apply to that run only
+   * @param {RunHandle} run - run the event belongs to; may be undefined outside runs
+   * @param {EventEmitter2} emitter - the engine, or a rule
+   * @param {...any} args - arguments of emitAsync()
+   * @return {Promise} resolves when all handlers have settled
+   */
+  emitForRun (run, emitter, ...args) {
+    const previous = this.handlingRun
+    this.handlingRun = run
+    try {
+      return emitter.emitAsync(...args)
+    } finally {
+      this.handlingRun = previous
+    }
+  }
+
   /**
    * Returns a fact by fact-id
    * @param {string} factId - fact identifier
@@ -243,31 +566,437 @@ class Engine extends EventEmitter {
     return this.facts.get(factId)
   }
 
+  /**
+   * Returns the names of every operator referenced by the engine's rules and named conditions
+   * @return {Object[]} { operator, rule, condition } entries; rule or condition names the referencing definition
+   */
+  getOperatorReferences () {
+    const references = []
+    const collect = (conditions, source) => conditions.walk((condition) => {
+      if (condition.isBooleanOperator() || condition.isConditionReference()) return
+      // the passed/failed operators of rule conditions are built in
+      if (condition.isRuleReference() && Condition.ruleOperators.has(condition.operator)) return
+      references.push(Object.assign({ operator: condition.operator }, source))
+    })
+    this.rules.forEach(rule => rule.conditions && collect(rule.conditions, { rule: rule.name }))
+    this.conditions.forEach((conditions, name) => collect(conditions, { condition: name }))
+    return references
+  }
+
+  /**
+   * Throws when a rule or named condition references an operator or decorator that is not registered
+   */
+  assertOperatorsRegistered () {
+    this.getOperatorReferences().forEach(({ operator, rule, condition }) => {
+      if (this.operators.get(operator)) return
+      const source = condition !== undefined ? `condition "${condition}"` : `rule "${rule}"`
+      const names = operator.split(':')
+      const decorator = names.slice(0, -1).find(name => !this.operators.decorators.has(name))
+      if (decorator !== undefined) {
+        throw new UnknownOperatorError(`Engine: ${source} uses unregistered operator decorator "${decorator}" (in "${operator}")`, { operator, decorator, rule, condition })
+      }
+      throw new UnknownOperatorError(`Engine: ${source} uses unregistered operator "${names[names.length - 1]}"`, { operator, rule, condition })
+    })
+  }
+
+  /**
+   * Throws when a rule event lists an action type that is not registered
+   */
+  assertActionsRegistered () {
+    this.rules.forEach(rule => {
+      (rule.ruleEvent.actions || []).forEach(({ type }) => {
+        if (!this.actions.has(type)) {
+          throw new UnknownActionError(`Engine: rule "${rule.name}" uses unregistered action "${type}"`, { action: type, rule: rule.name })
+        }
+      })
+    })
+  }
+
+  /**
+   * Validates the rules and named conditions against the registered operators, decorators, actions,
+   * named conditions and rules. Unlike run(), which rejects on the first problem it meets, every
+   * problem is reported.
+   * @return {Object[]} problems: { severity, code, path, message }, plus the name of the rule or the
+   *   named condition the problem is found in; path is a JSON pointer into that rule or condition
+   */
+  validate () {
+    const options = {
+      operators: this.operators.operators,
+      decorators: this.operators.decorators,
+      conditions: this.conditions,
+      actions: this.actions,
+      rules: this.rules.map(rule => rule.name),
+      allowUndefinedConditions: this.allowUndefinedConditions
+    }
+    const problems = []
+    this.rules.forEach((rule) => {
+      // rules without conditions always pass; there is nothing to validate
+      if (!rule.conditions) return
+      validateRule(rule.toJSON(false), options).forEach(problem => problems.push(Object.assign({ rule: rule.name }, problem)))
+    })
+    this.conditions.forEach((conditions, name) => {
+      validateConditions(conditions.toJSON(false), options).forEach(problem => problems.push(Object.assign({ condition: name }, problem)))
+    })
+    return problems.concat(findConditionCycles(this.conditions))
+  }
+
+  /**
+   * Lints the rules and named conditions, finding conditions that can never pass, duplicated or
+   * shadowed conditions, empty "all"/"any" conditions and double negations
+   * @return {Object[]} findings: { severity, code, path, message, related }, plus the name of the rule or
+   *   the named condition the finding is in; path is a JSON pointer into that rule or condition
+   */
+  lint () {
+    // only operators that kept their default implementation have known semantics
+    const operators = defaultOperators.filter(operator => this.operators.operators.get(operator.name) === operator).map(operator => operator.name)
+    const findings = []
+    this.rules.forEach((rule) => {
+      if (!rule.conditions) return
+      lintConditions(rule.conditions, { operators, path: '/conditions' }).forEach(finding => findings.push(Object.assign({ rule: rule.name }, finding)))
+    })
+    this.conditions.forEach((conditions, name) => {
+      lintConditions(conditions, { operators }).forEach(finding => findings.push(Object.assign({ condition: name }, finding)))
+    })
+    return findings
+  }
+
+  /**
+   * Finds the pairs of rules that can fire together, by intersecting their conditions symbolically.
+   * Rules of disabled rule sets and rules whose validity windows do not overlap are left out.
+   * @param {Object} options
+   * @param {string[]} options.eventTypes - only compare rules emitting these event types (default: all rules)
+   * @return {Object[]} conflicts: { rules, events, example, approximate }; example is an object of fact values
+   *   triggering both rules, approximate is true when some of their conditions could not be analyzed
+   */
+  findConflicts (options = {}) {
+    if (options.eventTypes !== undefined && !Array.isArray(options.eventTypes)) {
+      throw new InvalidArgumentError('Engine: findConflicts() eventTypes must be an array', { argument: 'eventTypes', value: options.eventTypes })
+    }
+    const eventTypes = options.eventTypes && new Set(options.eventTypes)
+    const rules = this.rules.filter((rule) => {
+      if (eventTypes && !eventTypes.has(rule.event.type)) return false
+      return !rule.ruleSet || this.isRuleSetEnabled(rule.ruleSet)
+    })
+    const operators = defaultOperators.filter(operator => this.operators.operators.get(operator.name) === operator).map(operator => operator.name)
+    return findConflicts(rules, { operators, conditions: this.conditions })
+  }
+
+  /**
+   * Generates the JSON Schema (draft 2020-12) of rules for this engine: operator, decorator and
+   * action names are restricted to those registered
+   * @return {Object} JSON Schema document
+   */
+  getRuleSchema () {
+    return getRuleSchema({
+      operators: Array.from(this.operators.operators.keys()),
+      decorators: Array.from(this.operators.decorators.keys()),
+      actions: Array.from(this.actions.keys())
+    })
+  }
+
+  /**
+   * Serializes the engine: options, rules, named conditions, fact declarations, disabled rule sets
+   * and the names of registered operators, decorators and actions. Functions (dynamic fact methods, operator,
+   * decorator and action callbacks, pathResolver, clock) cannot be serialized and must be supplied to fromJSON().
+   * @param {boolean} stringify - whether to return JSON string or object (default: true)
+   * @return {string|Object} JSON representation of the engine
+   */
+  toJSON (stringify = true) {
+    const conditions = {}
+    this.conditions.forEach((condition, name) => {
+      conditions[name] = condition.toJSON(false)
+    })
+    const props = {
+      options: {
+        allowUndefinedFacts: this.allowUndefinedFacts,
+        allowUndefinedConditions: this.allowUndefinedConditions,
+        replaceFactsInEventParams: this.replaceFactsInEventParams,
+        strategy: this.strategy,
+        maxIterations: this.maxIterations,
+        errorPolicy: this.errorPolicy
+      },
+      rules: this.rules.map(rule => rule.toJSON(false)),
+      conditions,
+      facts: Array.from(this.facts.values()).map(fact => fact.toJSON(false)),
+      operators: Array.from(this.operators.operators.keys()).filter(name => !name.includes(':')),
+      decorators: Array.from(this.operators.decorators.keys()),
+      actions: Array.from(this.actions.keys()),
+      disabledRuleSets: Array.from(this.disabledRuleSets)
+    }
+    if (stringify) {
+      return JSON.stringify(props)
+    }
+    return props
+  }
+
+  /**
+   * Restores an engine serialized with toJSON(). Every operator, decorator and action the serialized
+   * engine registered must be registered again, through the defaults or options.
+   * @param {Object|string} json - serialized engine, or its JSON string
+   * @param {Object} options - implementations that cannot be serialized, plus engine options
+   * @param {Operator[]|Object} options.operators - custom operators; Operator instances, or { name: callback }
+   * @param {OperatorDecorator[]|Object} options.decorators - custom decorators; OperatorDecorator instances, or { name: callback }
+   * @param {Action[]|Object} options.actions - custom actions; Action instances, or { name: callback }
+   * @param {Object} options.facts - { factId: method|Fact } implementations of dynamic facts
+   * @return {Engine} engine instance
+   */
+  static fromJSON (json, options = {}) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json)
+    }
+    const { operators = [], decorators = [], actions = [], facts = {}, ...engineOptions } = options
+    const engine = new this([], Object.assign({}, json.options, engineOptions))
+    const register = (definitions, Type, add) => {
+      if (Array.isArray(definitions)) {
+        definitions.forEach(definition => add(definition))
+      } else {
+        Object.keys(definitions).forEach(name => {
+          const definition = definitions[name]
+          add(definition instanceof Type ? definition : name, definition instanceof Type ? undefined : definition)
+        })
+      }
+    }
+    register(operators, Operator, (operator, cb) => engine.addOperator(operator, cb))
+    register(decorators, OperatorDecorator, (decorator, cb) => engine.addOperatorDecorator(decorator, cb))
+    register(actions, Action, (action, cb) => engine.addAction(action, cb))
+    const conditions = json.conditions || {}
+    Object.keys(conditions).forEach(name => engine.setCondition(name, conditions[name]))
+    ;(json.rules || []).forEach(rule => engine.addRule(rule))
+    ;(json.facts || []).forEach(({ id, type, value, options }) => {
+      if (type === Fact.DYNAMIC) {
+        const implementation = facts[id]
+        if (!implementation) {
+          throw new InvalidFactError(`Engine: no implementation provided for dynamic fact "${id}"`, { factId: id })
+        }
+        engine.addFact(implementation instanceof Fact ? implementation : new Fact(id, implementation, options))
+      } else {
+        engine.addFact(id, value, options)
+      }
+    })
+    Object.keys(facts).forEach(id => {
+      if (!engine.facts.has(id)) {
+        engine.addFact(facts[id] instanceof Fact ? facts[id] : new Fact(id, facts[id]))
+      }
+    })
+    ;(json.disabledRuleSets || []).forEach(name => engine.disableRuleSet(name))
+    engine.assertOperatorsRegistered()
+    engine.assertActionsRegistered()
+    // the serialized engine may register operators, decorators and actions its rules do not use yet
+    const unregistered = (names, registered) => (names || []).find(name => !registered.has(name))
+    const operator = unregistered(json.operators, engine.operators.operators)
+    if (operator !== undefined) {
+      throw new UnknownOperatorError(`Engine: serialized operator "${operator}" is not registered; supply it in options.operators`, { operator })
+    }
+    const decorator = unregistered(json.decorators, engine.operators.decorators)
+    if (decorator !== undefined) {
+      throw new UnknownOperatorError(`Engine: serialized operator decorator "${decorator}" is not registered; supply it in options.decorators`, { decorator })
+    }
+    const action = unregistered(json.actions, engine.actions)
+    if (action !== undefined) {
+      throw new UnknownActionError(`Engine: serialized action "${action}" is not registered; supply it in options.actions`, { action })
+    }
+    return engine
+  }
+
+  /**
+   * Evaluates a single rule, then records and emits its result
+   * @param {Rule} rule - rule to be evaluated
+   * @param {Almanac} almanac - almanac instance for rule evaluation
+   * @param {RunHandle} run - handle of the run the rule belongs to
+   * @return {Promise<RuleResult|undefined>} resolves with the rule result, or undefined when the rule was skipped
+   */
+  evaluateRule (rule, almanac, run) {
+    if (!run.isRunning()) {
+      run.logger.debug('engine.rule.skipped', { rule: rule.name, status: run.status })
+      return Promise.resolve()
+    }
+    return rule.evaluate(almanac).then((ruleResult) => {
+      if (run.isCancelled()) {
+        run.logger.debug('engine.rule.discarded', { rule: ruleResult.name })
+        return
+      }
+      if (ruleResult.error && !this.processError(ruleResult, almanac, run)) {
+        return ruleResult
+      }
+      return this.processResult(ruleResult, almanac, run).then(() => ruleResult)
+    })
+  }
+
   /**
    * Runs an array of rules
    * @param {Rule[]} ruleArray - array of rules to be evaluated
    * @param {Almanac} almanac - almanac instance for rule evaluation
+   * @param {RunHandle} run - handle of the run the rules belong to
    * @return {Promise} resolves when all rules in the array have been evaluated
    */
-  evaluateRules (ruleArray, almanac) {
-    return Promise.all(ruleArray.map((rule) => {
-      if (this.status !== RUNNING) {
-        debug('engine::run, skipping remaining rules', { status: this.status })
+  evaluateRules (ruleArray, almanac, run) {
+    return Promise.all(ruleArray.map((rule) => this.evaluateRule(rule, almanac, run)))
+  }
+
+  /**
+   * Records a rule result in the almanac and emits the engine events for it
+   * @param {RuleResult} ruleResult - evaluated rule result
+   * @param {Almanac} almanac - almanac instance of the run
+   * @param {RunHandle} run - handle of the run the result belongs to
+   * @return {Promise} resolves when all event handlers have settled
+   */
+  processResult (ruleResult, almanac, run) {
+    run.logger.debug('engine.rule.evaluated', { rule: ruleResult.name, result: ruleResult.result, score: ruleResult.score })
+    almanac.addResult(ruleResult)
+    run.notifyResult(ruleResult)
+    if (ruleResult.result) {
+      almanac.addEvent(ruleResult.event, 'success')
+      return this.executeActions(ruleResult, almanac)
+        .then(() => this.emitForRun(run, this, 'success', ruleResult.event, almanac, ruleResult))
+        .then(() => this.emitForRun(run, this, ruleResult.event.type, ruleResult.event.params, almanac, ruleResult))
+    } else {
+      almanac.addEvent(ruleResult.event, 'failure')
+      return this.emitForRun(run, this, 'failure', ruleResult.event, almanac, ruleResult)
+    }
+  }
+
+  /**
+   * Records the result of a rule whose evaluation threw and emits the 'error' event for it
+   * @param {RuleResult} ruleResult - rule result carrying the error
+   * @param {Almanac} almanac - almanac instance of the run
+   * @param {RunHandle} run - handle of the run the result belongs to
+   * @return {boolean} whether the result is still reported as a failed rule; false under the 'skip-rule' policy
+   */
+  processError (ruleResult, almanac, run) {
+    run.logger.warn('engine.rule.errored', { rule: ruleResult.name, error: ruleResult.error })
+    almanac.addErroredResult(ruleResult)
+    // like any EventEmitter, emitting 'error' without listeners would throw
+    if (this.listeners('error').length) {
+      this.emit('error', ruleResult.error, ruleResult, almanac)
+    }
+    return this.errorPolicy !== 'skip-rule'
+  }
+
+  /**
+   * Executes the actions of a passing rule's event, one after the other
+   * @param {RuleResult} ruleResult - passing rule result
+   * @param {Almanac} almanac - almanac instance of the run
+   * @return {Promise} resolves once every action has completed
+   */
+  executeActions (ruleResult, almanac) {
+    const actions = ruleResult.event.actions || []
+    const context = { almanac, ruleResult, engine: this }
+    return actions.reduce((cursor, definition) => cursor.then(() => {
+      const action = this.actions.get(definition.type)
+      if (!action) {
+        throw new UnknownActionError(`Engine: unknown action "${definition.type}" in rule "${ruleResult.name}"`, { action: definition.type, rule: ruleResult.name })
+      }
+      almanac.logger.debug('engine.action.executing', { action: definition.type, rule: ruleResult.name })
+      return action.execute(definition, context).catch((error) => {
+        if (error instanceof RuleEngineError && error.rule === undefined) error.rule = ruleResult.name
+        throw error
+      })
+    }), Promise.resolve())
+  }
+
+  /**
+   * Reports the outcome and duration of a run to the metrics collector once it settles
+   * @param {RunHandle} run - the started run
+   * @param {string} strategy - the strategy the run evaluates rules with
+   */
+  recordRunMetrics (run, strategy) {
+    const metrics = this.metrics
+    const started = timestamp()
+    const record = (outcome) => metrics.recordRun({ strategy, outcome, duration: timestamp() - started })
+    run.promise.then(() => record('completed'), () => record(run.isCancelled() ? 'cancelled' : 'failed'))
+  }
+
+  /**
+   * Creates an almanac configured with the engine's options
+   * @param {Object} options - additional almanac options
+   * @return {Almanac}
+   */
+  createAlmanac (options = {}) {
+    return new Almanac(Object.assign({
+      allowUndefinedFacts: this.allowUndefinedFacts,
+      pathResolver: this.pathResolver,
+      logger: this.logger,
+      metrics: this.metrics
+    }, options))
+  }
+
+  /**
+   * Runs the rules engine once per fact object. Facts declared with the "shared" option are
+   * computed once for the whole batch, from the engine's facts only; every other fact is computed per item.
+   * A shared fact that rejects is computed again for the next item that requests it.
+   * Errors are collected per item and never abort the rest of the batch.
+   * @param {Object[]} factsList - runtime facts for each item
+   * @param {Object} options - run options applied to every item (see run()), plus:
+   * @param {number} options.concurrency - maximum number of items evaluated at once (default: 10)
+   * @return {Promise} resolves once every item has settled with an object containing:
+   *   {Object[]} results - one entry per item, in input order:
+   *     { index, status: 'fulfilled', result } or { index, status: 'rejected', error }
+   *   {Object[]} errors - the rejected entries
+   */
+  runBatch (factsList, options = {}) {
+    if (!Array.isArray(factsList)) {
+      return Promise.reject(new InvalidArgumentError('Engine: runBatch() requires an array of facts', { argument: 'factsList' }))
+    }
+    const { concurrency = 10, ...runOptions } = options
+    if (!(concurrency >= 1)) {
+      return Promise.reject(new InvalidArgumentError('Engine: runBatch() "concurrency" must be at least 1', { argument: 'concurrency', value: concurrency }))
+    }
+    this.logger.debug('engine.batch.started', { size: factsList.length, concurrency })
+    const sharedAlmanac = this.createAlmanac({ evictRejectedFacts: true })
+    this.facts.forEach(fact => {
+      sharedAlmanac.addFact(fact)
+    })
+    const results = new Array(factsList.length)
+    let next = 0
+    const worker = () => {
+      if (next >= factsList.length) {
         return Promise.resolve()
       }
-      return rule.evaluate(almanac).then((ruleResult) => {
-        debug('engine::run', { ruleResult: ruleResult.result, score: ruleResult.score })
-        almanac.addResult(ruleResult)
-        if (ruleResult.result) {
-          almanac.addEvent(ruleResult.event, 'success')
-          return this.emitAsync('success', ruleResult.event, almanac, ruleResult)
-            .then(() => this.emitAsync(ruleResult.event.type, ruleResult.event.params, almanac, ruleResult))
-        } else {
-          almanac.addEvent(ruleResult.event, 'failure')
-          return this.emitAsync('failure', ruleResult.event, almanac, ruleResult)
+      const index = next++
+      return Promise.resolve()
+        .then(() => this.run(factsList[index], Object.assign({}, runOptions, {
+          almanac: this.createAlmanac({ sharedAlmanac })
+        })))
+        .then(
+          (result) => { results[index] = { index, status: 'fulfilled', result } },
+          (error) => {
+            this.logger.warn('engine.batch.itemFailed', { index, error })
+            results[index] = { index, status: 'rejected', error }
+          }
+        )
+        .then(worker)
+    }
+    const workers = []
+    for (let i = 0; i < Math.min(concurrency, factsList.length); i++) {
+      workers.push(worker())
+    }
+    return Promise.all(workers).then(() => {
+      this.logger.debug('engine.batch.completed', { size: factsList.length })
+      return {
+        results,
+        errors: results.filter(item => item.status === 'rejected')
+      }
+    })
+  }
+
+  /**
+   * Runs the rules engine, streaming rule results as they are evaluated
+   * @param {Object} runtimeFacts - fact values known at runtime
+   * @param {Object} runOptions - run options; see run()
+   * @return {RunStream} async iterator yielding each RuleResult in priority group order, followed by a
+   *   summary item ({ type: 'summary', almanac, results, ... }). Exiting the iteration early stops the run.
+   */
+  runStream (runtimeFacts = {}, runOptions = {}) {
+    const stream = new RunStream()
+    const run = this.run(runtimeFacts, Object.assign({}, runOptions, {
+      onResult: (ruleResult) => {
+        if (runOptions.onResult) {
+          runOptions.onResult(ruleResult)
         }
-      })
+        stream.push(ruleResult)
+      }
     }))
+    return stream.attach(run)
   }
 
   /**
@@ -275,20 +1004,65 @@ class Engine extends EventEmitter {
    * @param {Object} runtimeFacts - fact values known at runtime
    * @param {Object} runOptions - run options
    * @param {Almanac} runOptions.almanac - custom almanac instance (optional)
-   * @return {Promise} resolves when the engine has completed running with an object containing:
+   * @param {AbortSignal} runOptions.signal - aborting the signal cancels this run (optional)
+   * @param {number} runOptions.timeout - time limit for the whole run in milliseconds; exceeding it rejects with a RunTimeoutError (optional)
+   * @param {string} runOptions.strategy - execution strategy for this run; overrides the engine's strategy (optional)
+   * @param {string[]} runOptions.sets - only evaluate rules in these rule sets (optional)
+   * @param {Date} runOptions.now - point in time used to determine which rules are active; defaults to the engine clock (optional)
+   * @param {Function} runOptions.onResult - called with each RuleResult as soon as it is evaluated (optional)
+   * @param {number} runOptions.maxIterations - maximum evaluation passes of the 'forward' strategy; overrides the engine option (optional)
+   * @param {boolean} runOptions.trace - attach an evaluation trace, with fact values and timings, to each RuleResult (optional)
+   * @param {string} runOptions.runId - identifies the run in log records; available as the handle's "id" (optional)
+   * @return {RunHandle} thenable handle for this run; resolves when the engine has completed running with an object containing:
    *   {Object} almanac - the almanac instance used
    *   {Object[]} results - rule results for successful rules
    *   {Object[]} failureResults - rule results for failed rules
    *   {Object[]} events - events emitted by successful rules
    *   {Object[]} failureEvents - events emitted by failed rules
+   *   {string[]} timedOutFacts - ids of facts whose calculation exceeded their timeout
+   *   {string} strategy - the execution strategy that produced the results
+   *   {Object[]} inactive - rule results for rules skipped because they were not active
    */
   run (runtimeFacts = {}, runOptions = {}) {
-    debug('engine::run started')
-    this.status = RUNNING
-    const almanac = runOptions.almanac || new Almanac({
-      allowUndefinedFacts: this.allowUndefinedFacts,
-      pathResolver: this.pathResolver
+    const run = new RunHandle({
+      id: runOptions.runId,
+      logger: this.logger,
+      signal: runOptions.signal,
+      timeout: runOptions.timeout,
+      onResult: runOptions.onResult
     })
+    run.logger.debug('engine.run.started')
+    const strategy = runOptions.strategy || this.strategy
+    if (!Strategies[strategy]) {
+      run.fail(new InvalidArgumentError(`Engine: unknown strategy "${strategy}"`, { argument: 'strategy', value: strategy }))
+      return run
+    }
+    let prioritizedRules
+    try {
+      prioritizedRules = this.prioritizeRules()
+    } catch (error) {
+      run.fail(error)
+      return run
+    }
+    if (run.isCancelled()) {
+      run.logger.debug('engine.run.aborted')
+      return run
+    }
+    this.status = RUNNING
+    this.activeRuns.add(run)
+    run.start()
+    if (this.metrics) {
+      this.recordRunMetrics(run, strategy)
+    }
+    const almanac = runOptions.almanac || this.createAlmanac()
+    almanac.run = run
+    almanac.logger = run.logger
+    if (this.metrics) {
+      almanac.metrics = this.metrics
+    }
+    if (runOptions.trace) {
+      almanac.tracing = true
+    }
     this.facts.forEach(fact => {
       almanac.addFact(fact)
     })
@@ -300,37 +1074,47 @@ class Engine extends EventEmitter {
         fact = new Fact(factId, runtimeFacts[factId])
       }
       almanac.addFact(fact)
-      debug('engine::run initialized runtime fact', { id: fact.id, value: fact.value, type: typeof fact.value })
-    }
-    const orderedSets = this.prioritizeRules()
-    let cursor = Promise.resolve()
-    // for each rule set, evaluate in parallel,
-    // before proceeding to the next priority set.
-    return new Promise((resolve, reject) => {
-      orderedSets.map((set) => {
-        cursor = cursor.then(() => {
-          return this.evaluateRules(set, almanac)
-        }).catch(reject)
-        return cursor
-      })
-      cursor.then(() => {
+      run.logger.trace('engine.run.factInitialized', { fact: fact.id, value: fact.value, type: typeof fact.value })
+    }
+    const now = runOptions.now || this.clock()
+    const { orderedSets, inactiveRules } = this.partitionActiveRules(this.filterRuleSets(prioritizedRules, runOptions.sets), now)
+    const inactive = inactiveRules.map(rule => new RuleResult(rule.conditions, rule.ruleEvent, rule.priority, rule.name))
+    run.logger.debug('engine.run.inactiveRules', { now, rules: inactive.map(ruleResult => ruleResult.name) })
+    run.logger.debug('engine.run.evaluating', { strategy, sets: runOptions.sets })
+    const cursor = Strategies[strategy](this, orderedSets, almanac, run, {
+      maxIterations: runOptions.maxIterations || this.maxIterations
+    })
+    const release = () => {
+      this.activeRuns.delete(run)
+      if (this.activeRuns.size === 0) {
         this.status = FINISHED
-        debug('engine::run completed')
-        const ruleResults = almanac.getResults()
-        const { results, failureResults } = ruleResults.reduce((hash, ruleResult) => {
-          const group = ruleResult.result ? 'results' : 'failureResults'
-          hash[group].push(ruleResult)
-          return hash
-        }, { results: [], failureResults: [] })
-        resolve({
-          almanac,
-          results,
-          failureResults,
-          events: almanac.getEvents('success'),
-          failureEvents: almanac.getEvents('failure')
-        })
-      }).catch(reject)
+      }
+    }
+    cursor.then(() => {
+      release()
+      run.logger.debug('engine.run.completed', { strategy })
+      const ruleResults = almanac.getResults()
+      const { results, failureResults } = ruleResults.reduce((hash, ruleResult) => {
+        const group = ruleResult.result ? 'results' : 'failureResults'
+        hash[group].push(ruleResult)
+        return hash
+      }, { results: [], failureResults: [] })
+      run.finish({
+        almanac,
+        results,
+        failureResults,
+        events: almanac.getEvents('success'),
+        failureEvents: almanac.getEvents('failure'),
+        timedOutFacts: almanac.getTimedOutFacts(),
+        erroredResults: almanac.getErroredResults(),
+        strategy,
+        inactive
+      })
+    }).catch((error) => {
+      release()
+      run.fail(error)
     })
+    return run
   }
 }
 export default Engine
@@ -1,7 +1,205 @@
 'use strict'
-export class UndefinedFactError extends Error {
-  constructor (...props) {
-    super(...props)
+/**
+ * Base class of every error the engine throws. Each error has a stable "code" and carries the
+ * context of the failure as properties, e.g. the rule name, condition path, fact id or operator.
+ */
+export class RuleEngineError extends Error {
+  /**
+   * @param {string} message - human readable message
+   * @param {Object} context - properties describing the failure, assigned to the error
+   */
+  constructor (message, context = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = 'RULE_ENGINE_ERROR'
+    Object.keys(context).forEach((key) => {
+      if (context[key] !== undefined) this[key] = context[key]
+    })
+  }
+}
+
+export class UndefinedFactError extends RuleEngineError {
+  /**
+   * @param {string} factId - id of the undefined fact
+   */
+  constructor (factId) {
+    super(`Undefined fact: ${factId}`, { factId })
     this.code = 'UNDEFINED_FACT'
   }
 }
+
+export class InvalidFactError extends RuleEngineError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { factId, property }
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'INVALID_FACT'
+  }
+}
+
+export class UnknownOperatorError extends RuleEngineError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { operator, decorator, rule, condition, path }; decorator is set when
+   *   the operator's decorator is the one not registered
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'UNKNOWN_OPERATOR'
+  }
+}
+
+export class UndefinedConditionError extends RuleEngineError {
+  /**
+   * @param {string} condition - name of the undefined named condition
+   * @param {Object} context - { rule, path }
+   */
+  constructor (condition, context = {}) {
+    super(`No condition ${condition} exists`, Object.assign({ condition }, context))
+    this.code = 'UNDEFINED_CONDITION'
+  }
+}
+
+export class ConditionCycleError extends RuleEngineError {
+  /**
+   * @param {string} condition - name of the named condition referencing itself
+   * @param {Object} context - { rule, path }
+   */
+  constructor (condition, context = {}) {
+    super(`Condition ${condition} references itself`, Object.assign({ condition }, context))
+    this.code = 'CONDITION_CYCLE'
+  }
+}
+
+export class InvalidConditionError extends RuleEngineError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { rule, condition, path }; condition names the named condition at fault
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'INVALID_CONDITION'
+  }
+}
+
+export class InvalidRuleError extends RuleEngineError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { rule, property }
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'INVALID_RULE'
+  }
+}
+
+export class InvalidPriorityError extends InvalidRuleError {
+  /**
+   * @param {any} priority - the rejected priority
+   * @param {Object} context - { rule }
+   */
+  constructor (priority, context = {}) {
+    super('Priority must be greater than zero', Object.assign({ priority, property: 'priority' }, context))
+    this.code = 'INVALID_PRIORITY'
+  }
+}
+
+export class InvalidScheduleError extends InvalidRuleError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { rule, property, value }; property is the schedule property at fault
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'INVALID_SCHEDULE'
+  }
+}
+
+export class RuleNotFoundError extends RuleEngineError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { rule }
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'RULE_NOT_FOUND'
+  }
+}
+
+export class UnknownActionError extends RuleEngineError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { action, rule }
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'UNKNOWN_ACTION'
+  }
+}
+
+export class InvalidActionError extends RuleEngineError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { action, property, factId, rule }
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'INVALID_ACTION'
+  }
+}
+
+export class InvalidArgumentError extends RuleEngineError {
+  /**
+   * @param {string} message
+   * @param {Object} context - { argument, value }; argument names the argument or option at fault
+   */
+  constructor (message, context) {
+    super(message, context)
+    this.code = 'INVALID_ARGUMENT'
+  }
+}
+
+export class RunCancelledError extends RuleEngineError {
+  constructor (reason) {
+    super(reason === undefined ? 'Run cancelled' : `Run cancelled: ${reason instanceof Error ? reason.message : reason}`)
+    this.code = 'RUN_CANCELLED'
+    this.reason = reason
+  }
+}
+
+export class RunTimeoutError extends RuleEngineError {
+  constructor (timeout) {
+    super(`Run timed out after ${timeout}ms`, { timeout })
+    this.code = 'RUN_TIMEOUT'
+  }
+}
+
+export class FactTimeoutError extends RuleEngineError {
+  constructor (factId, timeout) {
+    super(`Fact "${factId}" timed out after ${timeout}ms`, { factId, timeout })
+    this.code = 'FACT_TIMEOUT'
+  }
+}
+
+export class FactCycleError extends RuleEngineError {
+  constructor (cycle) {
+    super(`Fact cycle detected: ${cycle.join(' -> ')}`, { cycle })
+    this.code = 'FACT_CYCLE'
+  }
+}
+
+export class MaxIterationsError extends RuleEngineError {
+  constructor (maxIterations) {
+    super(`Forward chaining did not reach a fixpoint within ${maxIterations} iterations`, { maxIterations })
+    this.code = 'MAX_ITERATIONS'
+  }
+}
+
+export class RuleCycleError extends RuleEngineError {
+  constructor (cycle) {
+    super(`Rule cycle detected: ${cycle.join(' -> ')}`, { cycle })
+    this.code = 'RULE_CYCLE'
+  }
+}
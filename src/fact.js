@@ -1,11 +1,15 @@
 'use strict'
 import hash from 'hash-it'
+import { InvalidFactError } from './errors'
 class Fact {
   /**
    * Returns a new fact instance
    * @param  {string} id - fact unique identifer
    * @param  {object} options
    * @param  {boolean} options.cache - whether to cache the fact's value for future rules
+   * @param  {number} options.timeout - maximum time (ms) to wait for a dynamic fact's value
+   * @param  {any} options.fallback - value to use when the fact times out; when omitted a FactTimeoutError is raised
+   * @param  {boolean} options.shared - whether engine.runBatch() computes the fact once per batch instead of once per item
    * @param  {primitive|function} valueOrMethod - constant primitive, or method to call when computing the fact's value
    * @return {Fact}
    */
@@ -22,9 +26,12 @@ class Fact {
       this.calculationMethod = valueOrMethod
       this.type = this.constructor.DYNAMIC
     }
-    if (!this.id) { throw new Error('factId required') }
+    if (!this.id) { throw new InvalidFactError('factId required', { property: 'id' }) }
     this.priority = parseInt(options.priority || 1, 10)
     this.options = Object.assign({}, defaultOptions, options)
+    if (this.options.timeout !== undefined && !(this.options.timeout > 0)) {
+      throw new InvalidFactError('Fact: "timeout" must be a positive number', { factId: this.id, property: 'timeout' })
+    }
     this.cacheKeyMethod = this.defaultCacheKeys
     return this
   }
@@ -59,6 +66,34 @@ class Fact {
     return this.calculationMethod(params, almanac)
   }
 
+  /**
+   * Whether a fallback value has been declared for when the fact times out
+   * @return {boolean}
+   */
+  hasFallback () {
+    return Object.prototype.hasOwnProperty.call(this.options, 'fallback')
+  }
+
+  /**
+   * Serializes the fact declaration. Dynamic facts are serialized without their calculation method.
+   * @param {boolean} stringify - whether to return JSON string or object (default: true)
+   * @return {string|Object} JSON representation of the fact
+   */
+  toJSON (stringify = true) {
+    const props = {
+      id: this.id,
+      type: this.type,
+      options: this.options
+    }
+    if (this.isConstant()) {
+      props.value = this.value
+    }
+    if (stringify) {
+      return JSON.stringify(props)
+    }
+    return props
+  }
+
   /**
    * Return a cache key (MD5 string) based on parameters
    * @param {Object} obj - properties to generate a hash key from
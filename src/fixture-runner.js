@@ -0,0 +1,146 @@
+'use strict'
+import hash from 'hash-it'
+import Fact from './fact'
+import { InvalidArgumentError } from './errors'
+/**
+ * Declarative rule tests.
+ *
+ * A fixture lists cases; each case runs the engine with some facts and states what it expects:
+ *   {
+ *     name: 'seniors get 20% off',
+ *     facts: { age: 70 },
+ *     mocks: { account: { byParams: [{ params: { id: 1 }, value: { tier: 'gold' } }], value: null } },
+ *     expect: { passingRules: ['senior-discount'], eventTypes: ['discount'], minScores: { 'senior-discount': 1 } }
+ *   }
+ * Fixtures are plain JSON, so they may be stored as .json files, or as YAML parsed by the caller.
+ */
+
+/**
+ * Builds the fact replacing a dynamic fact for one case
+ * @param {string} id - fact id
+ * @param {Function|Object} mock - fact method, or { value, byParams: [{ params, value }] }: the value
+ *   of the first entry whose params are all present in the fact params, else value
+ * @return {Fact}
+ */
+function mockFact (id, mock) {
+  if (typeof mock === 'function') return new Fact(id, mock)
+  if (mock === null || typeof mock !== 'object') {
+    throw new InvalidArgumentError(`runFixtures: mock of fact "${id}" must be a function or an object`, { argument: 'mocks', value: mock })
+  }
+  const entries = mock.byParams || []
+  return new Fact(id, (params = {}) => {
+    const entry = entries.find(entry => Object.keys(entry.params || {}).every(key => hash(entry.params[key]) === hash(params[key])))
+    return entry ? entry.value : mock.value
+  })
+}
+
+/**
+ * Compares expected and actual lists, regardless of order
+ * @param {string} expectation - name of the expectation
+ * @param {any[]} expected
+ * @param {any[]} actual
+ * @return {Object|undefined} the failure, if the lists differ
+ */
+function compareLists (expectation, expected, actual) {
+  const remaining = actual.slice()
+  const missing = expected.filter((item) => {
+    const index = remaining.indexOf(item)
+    if (index === -1) return true
+    remaining.splice(index, 1)
+    return false
+  })
+  if (!missing.length && !remaining.length) return undefined
+  const differences = []
+  if (missing.length) differences.push(`missing ${missing.map(item => JSON.stringify(item)).join(', ')}`)
+  if (remaining.length) differences.push(`unexpected ${remaining.map(item => JSON.stringify(item)).join(', ')}`)
+  return { expectation, expected, actual, missing, unexpected: remaining, message: `${expectation}: ${differences.join('; ')}` }
+}
+
+/**
+ * Checks the results of a run against the expectations of a case
+ * @param {Object} expectations - { passingRules, eventTypes, minScores }; omitted expectations are not checked
+ * @param {Object} results - results of engine.run()
+ * @return {Object[]} failures
+ */
+function check (expectations, results) {
+  const failures = []
+  if (expectations.passingRules) {
+    failures.push(compareLists('passingRules', expectations.passingRules, results.results.map(ruleResult => ruleResult.name)))
+  }
+  if (expectations.eventTypes) {
+    failures.push(compareLists('eventTypes', expectations.eventTypes, results.events.map(event => event.type)))
+  }
+  const ruleResults = results.results.concat(results.failureResults)
+  Object.keys(expectations.minScores || {}).forEach((rule) => {
+    const expected = expectations.minScores[rule]
+    const ruleResult = ruleResults.find(ruleResult => String(ruleResult.name) === rule)
+    const actual = ruleResult ? ruleResult.score : undefined
+    if (actual === undefined || actual < expected) {
+      failures.push({
+        expectation: 'minScores',
+        rule,
+        expected,
+        actual,
+        message: `minScores: rule "${rule}" ${ruleResult ? `scored ${actual}` : 'was not evaluated'}, expected at least ${expected}`
+      })
+    }
+  })
+  return failures.filter(Boolean)
+}
+
+/**
+ * Runs one case
+ * @param {Engine} engine
+ * @param {Object} testCase
+ * @param {number} index - position of the case in the fixtures, to name unnamed cases
+ * @return {Promise<Object>} case report: { name, passed, failures, error }
+ */
+function runCase (engine, testCase, index) {
+  const name = testCase.name || `case ${index + 1}`
+  return Promise.resolve().then(() => {
+    const facts = Object.assign({}, testCase.facts)
+    Object.keys(testCase.mocks || {}).forEach((id) => {
+      facts[id] = mockFact(id, testCase.mocks[id])
+    })
+    const runOptions = Object.assign({}, testCase.options)
+    if (runOptions.now !== undefined && !(runOptions.now instanceof Date)) {
+      runOptions.now = new Date(runOptions.now)
+    }
+    return engine.run(facts, runOptions)
+  }).then((results) => {
+    const failures = check(testCase.expect || {}, results)
+    return { name, passed: failures.length === 0, failures }
+  }, (error) => {
+    return { name, passed: false, failures: [{ expectation: 'run', message: `run failed: ${error.message}` }], error }
+  })
+}
+
+/**
+ * Runs declarative test cases against an engine, one after another
+ * @param {Engine} engine - engine holding the rules under test
+ * @param {Object|Object[]|string} fixtures - { cases: [...] }, an array of cases, or their JSON string. Each case:
+ *   {string} name - describes the case (default: 'case <n>')
+ *   {Object} facts - runtime facts, as passed to engine.run()
+ *   {Object} mocks - replacements of dynamic facts for this case, by fact id: a fact method, or
+ *     { value, byParams: [{ params, value }] }
+ *   {Object} options - run options, e.g. strategy, sets or now (ISO-8601 strings are accepted)
+ *   {Object} expect - { passingRules: [names], eventTypes: [types], minScores: { ruleName: score } };
+ *     passingRules and eventTypes must match exactly, regardless of order
+ * @return {Promise<Object>} report: { passed, total, failed, cases: [{ name, passed, failures, error }] }; each failure
+ *   has an expectation, a message and the expected and actual values, plus missing/unexpected items for lists
+ */
+export default function runFixtures (engine, fixtures) {
+  return Promise.resolve().then(() => {
+    const parsed = typeof fixtures === 'string' ? JSON.parse(fixtures) : fixtures
+    const cases = Array.isArray(parsed) ? parsed : parsed && parsed.cases
+    if (!Array.isArray(cases)) {
+      throw new InvalidArgumentError('runFixtures: fixtures must be an array of cases or { cases: [...] }', { argument: 'fixtures', value: fixtures })
+    }
+    return cases.reduce((previous, testCase, index) => previous.then((reports) => {
+      return runCase(engine, testCase, index).then(report => reports.concat([report]))
+    }), Promise.resolve([]))
+  }).then((reports) => {
+    const failed = reports.filter(report => !report.passed).length
+    return { passed: failed === 0, total: reports.length, failed, cases: reports }
+  })
+}
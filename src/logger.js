@@ -0,0 +1,103 @@
+'use strict'
+import debug from './debug'
+import { InvalidArgumentError } from './errors'
+
+/**
+ * Log levels, from the most to the least verbose
+ */
+export const LEVELS = ['trace', 'debug', 'info', 'warn', 'error']
+
+/**
+ * Default sink: prints every record with console.debug when DEBUG (or localStorage.debug) matches 'rule-engine'
+ */
+const debugSink = LEVELS.reduce((sink, level) => {
+  sink[level] = ({ msg, ...fields }) => debug(msg, fields)
+  return sink
+}, {})
+
+/**
+ * Logger emits structured records to a sink, such as a pino or bunyan logger.
+ *
+ * Each record is an object with a stable message key in "msg" (e.g. 'engine.run.started'),
+ * the logger's bindings (e.g. runId) and the fields of the call site. Records below the
+ * logger's level are dropped before they reach the sink, as are all records of the default sink
+ * while DEBUG does not match 'rule-engine'.
+ */
+export default class Logger {
+  /**
+   * @param {Object} sink - object with trace(), debug(), info(), warn() and error() methods, each
+   *   called with a record (default: console.debug, when DEBUG matches 'rule-engine')
+   * @param {Object} options - logger options
+   * @param {string} options.level - least severe level passed to the sink (default: 'trace')
+   * @param {Object} options.bindings - fields added to every record
+   */
+  constructor (sink = debugSink, options = {}) {
+    const missing = LEVELS.filter(level => typeof sink[level] !== 'function')
+    if (missing.length) {
+      throw new InvalidArgumentError(`Logger: sink requires ${missing.map(level => `${level}()`).join(', ')}`, { argument: 'logger' })
+    }
+    const level = options.level || 'trace'
+    if (!LEVELS.includes(level)) {
+      throw new InvalidArgumentError(`Logger: unknown level "${level}"`, { argument: 'logLevel', value: level })
+    }
+    this.sink = sink
+    this.level = level
+    // the default sink discards every record unless DEBUG matches: skip building them at all
+    this.threshold = sink === debugSink && !debug.enabled ? LEVELS.length : LEVELS.indexOf(level)
+    this.bindings = options.bindings || {}
+  }
+
+  /**
+   * Returns a logger writing to the same sink, adding bindings to every record
+   * @param {Object} bindings - e.g. { runId }
+   * @return {Logger}
+   */
+  child (bindings) {
+    return new Logger(this.sink, { level: this.level, bindings: Object.assign({}, this.bindings, bindings) })
+  }
+
+  /**
+   * Whether records of the level reach the sink
+   * @param {string} level
+   * @return {boolean}
+   */
+  isLevelEnabled (level) {
+    return LEVELS.indexOf(level) >= this.threshold
+  }
+
+  /**
+   * Emits a record
+   * @param {string} level - one of LEVELS
+   * @param {string} msg - stable message key
+   * @param {Object} fields - structured data of the record
+   */
+  log (level, msg, fields) {
+    if (!this.isLevelEnabled(level)) return
+    this.sink[level](Object.assign({ msg }, this.bindings, fields))
+  }
+
+  trace (msg, fields) {
+    this.log('trace', msg, fields)
+  }
+
+  debug (msg, fields) {
+    this.log('debug', msg, fields)
+  }
+
+  info (msg, fields) {
+    this.log('info', msg, fields)
+  }
+
+  warn (msg, fields) {
+    this.log('warn', msg, fields)
+  }
+
+  error (msg, fields) {
+    this.log('error', msg, fields)
+  }
+}
+
+/**
+ * Logger of objects created without one, writing to the default sink
+ */
+export const defaultLogger = new Logger()
@@ -0,0 +1,242 @@
+'use strict'
+/**
+ * Bucket upper bounds of duration histograms, in milliseconds
+ */
+const DURATION_BUCKETS = [0.5, 1, 5, 10, 50, 100, 500, 1000, 5000]
+/**
+ * Bucket upper bounds of rule score histograms
+ */
+export const SCORE_BUCKETS = [0, 0.1, 0.25, 0.5, 0.75, 0.9, 1]
+
+/**
+ * Histogram of observed values, with cumulative buckets as in Prometheus
+ */
+export class Histogram {
+  /**
+   * @param {number[]} bounds - bucket upper bounds, ascending
+   */
+  constructor (bounds) {
+    this.bounds = bounds
+    this.counts = bounds.map(() => 0)
+    this.count = 0
+    this.sum = 0
+  }
+
+  /**
+   * Records a value
+   * @param {number} value
+   */
+  observe (value) {
+    this.count++
+    this.sum += value
+    for (let i = 0; i < this.bounds.length; i++) {
+      if (value <= this.bounds[i]) this.counts[i]++
+    }
+  }
+
+  /**
+   * @return {Object} { count, sum, buckets: { upperBound: number of values <= upperBound } }
+   */
+  toJSON () {
+    const buckets = {}
+    this.bounds.forEach((bound, i) => {
+      buckets[bound] = this.counts[i]
+    })
+    return { count: this.count, sum: this.sum, buckets }
+  }
+}
+
+/**
+ * Escapes a Prometheus label value
+ * @param {any} value
+ * @return {string}
+ */
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+/**
+ * Formats Prometheus labels
+ * @param {Object} labels - { name: value }
+ * @return {string} e.g. {rule="vip",result="pass"}; empty when there are no labels
+ */
+function formatLabels (labels) {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Returns the Prometheus sample lines of a histogram
+ * @param {string} name - metric name
+ * @param {Histogram} histogram
+ * @param {Object} labels - labels of the series
+ * @param {number} scale - factor applied to bounds and sum, e.g. to convert milliseconds to seconds
+ * @return {string[]}
+ */
+function histogramSamples (name, histogram, labels, scale = 1) {
+  const lines = histogram.bounds.map((bound, i) => {
+    return `${name}_bucket${formatLabels(Object.assign({}, labels, { le: bound * scale }))} ${histogram.counts[i]}`
+  })
+  lines.push(`${name}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${histogram.count}`)
+  lines.push(`${name}_sum${formatLabels(labels)} ${histogram.sum * scale}`)
+  lines.push(`${name}_count${formatLabels(labels)} ${histogram.count}`)
+  return lines
+}
+
+/**
+ * In-memory metrics collector, the default implementation of the engine's "metrics" option.
+ *
+ * The engine reports to the collector through three methods, which custom collectors implement
+ * to forward metrics elsewhere:
+ *  - recordRun({ strategy, outcome, duration }) - by Engine#run(), once per run;
+ *    outcome is 'completed', 'cancelled' or 'failed'
+ *  - recordRule({ name, result, score, duration }) - by Rule#evaluate(), once per evaluation
+ *  - recordFact({ id, cached, duration }) - by Almanac#factValue(), once per dynamic fact lookup;
+ *    cached is true when the value came from the fact cache
+ * Durations are in milliseconds.
+ */
+export default class MetricsCollector {
+  constructor () {
+    this.reset()
+  }
+
+  /**
+   * Discards every recorded metric
+   */
+  reset () {
+    this.runs = new Map() // { 'strategy/outcome': { strategy, outcome, count } }
+    this.runDuration = new Histogram(DURATION_BUCKETS)
+    this.rules = new Map() // { name: { passed, failed, score: Histogram, duration: Histogram } }
+    this.facts = new Map() // { id: { hits, misses, duration: Histogram } }
+  }
+
+  /**
+   * Records a completed, cancelled or failed run
+   * @param {Object} run - { strategy, outcome, duration }
+   */
+  recordRun ({ strategy, outcome, duration }) {
+    const key = `${strategy}/${outcome}`
+    if (!this.runs.has(key)) {
+      this.runs.set(key, { strategy, outcome, count: 0 })
+    }
+    this.runs.get(key).count++
+    this.runDuration.observe(duration)
+  }
+
+  /**
+   * Records a rule evaluation
+   * @param {Object} evaluation - { name, result, score, duration }
+   */
+  recordRule ({ name, result, score, duration }) {
+    if (!this.rules.has(name)) {
+      this.rules.set(name, { passed: 0, failed: 0, score: new Histogram(SCORE_BUCKETS), duration: new Histogram(DURATION_BUCKETS) })
+    }
+    const rule = this.rules.get(name)
+    if (result) {
+      rule.passed++
+    } else {
+      rule.failed++
+    }
+    rule.score.observe(score)
+    rule.duration.observe(duration)
+  }
+
+  /**
+   * Records a dynamic fact lookup. Only calculated values are timed; cache hits are counted.
+   * @param {Object} lookup - { id, cached, duration }
+   */
+  recordFact ({ id, cached, duration }) {
+    if (!this.facts.has(id)) {
+      this.facts.set(id, { hits: 0, misses: 0, duration: new Histogram(DURATION_BUCKETS) })
+    }
+    const fact = this.facts.get(id)
+    if (cached) {
+      fact.hits++
+    } else {
+      fact.misses++
+      fact.duration.observe(duration)
+    }
+  }
+
+  /**
+   * Returns a JSON-friendly snapshot of the recorded metrics
+   * @return {Object} { runs, rules, facts }; durations are in milliseconds
+   */
+  snapshot () {
+    const rules = {}
+    this.rules.forEach((rule, name) => {
+      const evaluations = rule.passed + rule.failed
+      rules[name] = {
+        evaluations,
+        passed: rule.passed,
+        failed: rule.failed,
+        passRate: rule.passed / evaluations,
+        score: rule.score.toJSON(),
+        duration: rule.duration.toJSON()
+      }
+    })
+    const facts = {}
+    this.facts.forEach((fact, id) => {
+      const lookups = fact.hits + fact.misses
+      facts[id] = {
+        lookups,
+        cacheHits: fact.hits,
+        cacheMisses: fact.misses,
+        cacheHitRatio: fact.hits / lookups,
+        duration: fact.duration.toJSON()
+      }
+    })
+    return {
+      runs: {
+        total: Array.from(this.runs.values()).reduce((total, { count }) => total + count, 0),
+        outcomes: Array.from(this.runs.values()).map(runs => Object.assign({}, runs)),
+        duration: this.runDuration.toJSON()
+      },
+      rules,
+      facts
+    }
+  }
+
+  /**
+   * @return {Object} see snapshot()
+   */
+  toJSON () {
+    return this.snapshot()
+  }
+
+  /**
+   * Exports the recorded metrics in the Prometheus text exposition format. Durations are
+   * converted to seconds, following Prometheus conventions.
+   * @return {string}
+   */
+  toPrometheus () {
+    const lines = []
+    const metric = (name, type, help) => {
+      lines.push(`# HELP ${name} ${help}`)
+      lines.push(`# TYPE ${name} ${type}`)
+    }
+    metric('rule_engine_runs_total', 'counter', 'Engine runs, by strategy and outcome')
+    this.runs.forEach(({ strategy, outcome, count }) => {
+      lines.push(`rule_engine_runs_total${formatLabels({ strategy, outcome })} ${count}`)
+    })
+    metric('rule_engine_run_duration_seconds', 'histogram', 'Duration of engine runs')
+    lines.push(...histogramSamples('rule_engine_run_duration_seconds', this.runDuration, {}, 0.001))
+    metric('rule_engine_rule_evaluations_total', 'counter', 'Rule evaluations, by rule and result')
+    this.rules.forEach((rule, name) => {
+      lines.push(`rule_engine_rule_evaluations_total${formatLabels({ rule: name, result: 'pass' })} ${rule.passed}`)
+      lines.push(`rule_engine_rule_evaluations_total${formatLabels({ rule: name, result: 'fail' })} ${rule.failed}`)
+    })
+    metric('rule_engine_rule_score', 'histogram', 'Scores of rule evaluations')
+    this.rules.forEach((rule, name) => lines.push(...histogramSamples('rule_engine_rule_score', rule.score, { rule: name })))
+    metric('rule_engine_rule_duration_seconds', 'histogram', 'Duration of rule evaluations')
+    this.rules.forEach((rule, name) => lines.push(...histogramSamples('rule_engine_rule_duration_seconds', rule.duration, { rule: name }, 0.001)))
+    metric('rule_engine_fact_lookups_total', 'counter', 'Dynamic fact lookups, by fact and whether the fact cache served them')
+    this.facts.forEach((fact, id) => {
+      lines.push(`rule_engine_fact_lookups_total${formatLabels({ fact: id, cached: 'true' })} ${fact.hits}`)
+      lines.push(`rule_engine_fact_lookups_total${formatLabels({ fact: id, cached: 'false' })} ${fact.misses}`)
+    })
+    metric('rule_engine_fact_duration_seconds', 'histogram', 'Duration of dynamic fact calculations')
+    this.facts.forEach((fact, id) => lines.push(...histogramSamples('rule_engine_fact_duration_seconds', fact.duration, { fact: id }, 0.001)))
+    return lines.join('\n') + '\n'
+  }
+}
@@ -1,5 +1,6 @@
 'use strict'
 import Operator from './operator'
+import { InvalidArgumentError } from './errors'
 /**
  * OperatorDecorator class for modifying the behavior of existing operators
  */
@@ -13,8 +14,8 @@ export default class OperatorDecorator {
    */
   constructor (name, cb, factValueValidator) {
     this.name = String(name)
-    if (!name) { throw new Error('Missing decorator name') }
-    if (typeof cb !== 'function') { throw new Error('Missing decorator callback') }
+    if (!name) { throw new InvalidArgumentError('Missing decorator name', { argument: 'name' }) }
+    if (typeof cb !== 'function') { throw new InvalidArgumentError('Missing decorator callback', { argument: 'callback' }) }
     this.cb = cb
     this.factValueValidator = factValueValidator
     if (!this.factValueValidator) { this.factValueValidator = () => true }
@@ -1,14 +1,19 @@
 'use strict'
 import Operator from './operator'
 import OperatorDecorator from './operator-decorator'
-import debug from './debug'
+import { defaultLogger } from './logger'
 /**
  * OperatorMap manages the collection of operators and decorators available to the engine
  */
 export default class OperatorMap {
-  constructor () {
+  /**
+   * @param {Object} options - operator map options
+   * @param {Logger} options.logger - logger of the map's records (default: console.debug when DEBUG matches 'rule-engine')
+   */
+  constructor (options = {}) {
     this.operators = new Map()
     this.decorators = new Map()
+    this.logger = options.logger || defaultLogger
   }
 
   /**
@@ -23,7 +28,7 @@ export default class OperatorMap {
     } else {
       operator = new Operator(operatorOrName, cb)
     }
-    debug('operatorMap::addOperator', { name: operator.name })
+    this.logger.trace('operators.operator.added', { operator: operator.name })
     this.operators.set(operator.name, operator)
   }
 
@@ -62,7 +67,7 @@ export default class OperatorMap {
     } else {
       decorator = new OperatorDecorator(decoratorOrName, cb)
     }
-    debug('operatorMap::addOperatorDecorator', { name: decorator.name })
+    this.logger.trace('operators.decorator.added', { decorator: decorator.name })
     this.decorators.set(decorator.name, decorator)
   }
 
@@ -91,10 +96,12 @@ export default class OperatorMap {
 
   /**
    * Get the Operator, or null applies decorators as needed
+   * Unknown names are logged at debug level: callers decide whether a missing operator is an error
    * @param {string} name - the name of the operator including any decorators
+   * @param {Logger} logger - logger unknown names are reported to, e.g. the logger of a run (default: the map's logger)
    * @returns {Operator|null} an operator or null
    */
-  get (name) {
+  get (name, logger = this.logger) {
     const decorators = []
     let opName = name
     // while we don't already have this operator
@@ -106,7 +113,7 @@ export default class OperatorMap {
         const decoratorName = opName.slice(0, firstDecoratorIndex)
         const decorator = this.decorators.get(decoratorName)
         if (!decorator) {
-          debug('operatorMap::get invalid decorator', { name: decoratorName })
+          logger.debug('operators.decorator.unknown', { decorator: decoratorName, operator: name })
           return null
         }
         // we're going to apply this later, use unshift since we'll apply in reverse order
@@ -114,7 +121,7 @@ export default class OperatorMap {
         // continue looking for a known operator with the rest of the name
         opName = opName.slice(firstDecoratorIndex + 1)
       } else {
-        debug('operatorMap::get no operator', { name: opName })
+        logger.debug('operators.operator.unknown', { operator: opName })
         return null
       }
     }
@@ -1,4 +1,5 @@
 'use strict'
+import { InvalidArgumentError } from './errors'
 /**
  * Operator class for defining and evaluating custom comparison operators with scoring support
  *
@@ -20,8 +21,8 @@ export default class Operator {
    */
   constructor (name, cb, factValueValidator) {
     this.name = String(name)
-    if (!name) { throw new Error('Missing operator name') }
-    if (typeof cb !== 'function') { throw new Error('Missing operator callback') }
+    if (!name) { throw new InvalidArgumentError('Missing operator name', { argument: 'name' }) }
+    if (typeof cb !== 'function') { throw new InvalidArgumentError('Missing operator callback', { argument: 'callback' }) }
     this.cb = cb
     this.factValueValidator = factValueValidator
     if (!this.factValueValidator) { this.factValueValidator = () => true }
@@ -0,0 +1,262 @@
+'use strict'
+import Condition from './condition'
+import deepClone from 'clone'
+import { ConditionCycleError, UndefinedConditionError, UnknownOperatorError } from './errors'
+/**
+ * The rule compiler turns a rule's condition tree into evaluator closures.
+ *
+ * Everything that does not depend on the facts of a run is done once, at compile
+ * time: named conditions are dereferenced, conditions are ordered by priority and
+ * operators (including decorated operators) are resolved. A compiled rule is only
+ * valid for the engine state it was compiled against; the engine bumps its
+ * compileVersion whenever operators, named conditions or facts change.
+ */
+
+/**
+ * Evaluates conditions with 'any' logic using weighted maximum scoring
+ * Returns the highest weighted score among all conditions
+ *
+ * Weight handling for 'any' logic:
+ *   - Each condition can have an optional weight (defaults to 1)
+ *   - Higher weights increase the importance of that condition's score
+ *   - The final score is the maximum weighted score normalized by its weight
+ *   - This ensures that a high-weight condition scoring well dominates the result
+ *   - Example: condition A (weight=3, score=0.5) vs condition B (weight=1, score=0.8)
+ *     → A weighted = 1.5, B weighted = 0.8 → A wins → final score = 1.5/3 = 0.5
+ *
+ * @param {number[]} conditionScores - array of condition scores
+ * @param {Condition[]} conditions - array of conditions with weights
+ * @return {number} maximum weighted score
+ */
+export function scoreAny (conditionScores, conditions) {
+  if (conditionScores.length === 0) {
+    return 0
+  }
+  let maxWeight = conditions[0].weight || 1
+  let maxWeightedScore = conditionScores[0] * maxWeight
+  for (let i = 1; i < conditionScores.length; i++) {
+    const weight = conditions[i].weight || 1
+    const weightedScore = conditionScores[i] * weight
+    if (weightedScore > maxWeightedScore) {
+      maxWeightedScore = weightedScore
+      maxWeight = weight
+    }
+  }
+  return maxWeightedScore / maxWeight
+}
+
+/**
+ * Evaluates conditions with 'all' logic using weighted average scoring
+ * Returns the weighted average of all condition scores
+ *
+ * Weight handling for 'all' logic:
+ *   - Each condition can have an optional weight (defaults to 1)
+ *   - Higher weights make that condition contribute more to the final average
+ *   - The final score is the sum of all weighted scores divided by total weight
+ *   - This ensures that important conditions have greater influence on the result
+ *   - Example: condition A (weight=3, score=0.9) + condition B (weight=1, score=0.3)
+ *     → (3*0.9 + 1*0.3) / (3+1) = 3.0 / 4 = 0.75
+ *
+ * @param {number[]} conditionScores - array of condition scores
+ * @param {Condition[]} conditions - array of conditions with weights
+ * @return {number} weighted average score
+ */
+export function scoreAll (conditionScores, conditions) {
+  if (conditionScores.length === 0) {
+    return 1
+  }
+  let totalWeight = conditions[0].weight || 1
+  let totalWeightedScore = conditionScores[0] * totalWeight
+  for (let i = 1; i < conditionScores.length; i++) {
+    const weight = conditions[i].weight || 1
+    totalWeightedScore += conditionScores[i] * weight
+    totalWeight += weight
+  }
+  return totalWeightedScore / totalWeight
+}
+
+/**
+ * Inverts the score of a 'not' condition's inner condition
+ *
+ * Score inversion logic:
+ *   - If score >= 1 (condition passes), returns 0 (not fails)
+ *   - If score < 1 (condition fails), returns 1 (not passes)
+ *   - This maintains binary pass/fail behavior for the 'not' operator
+ *   - Note: Partial scores (0 < score < 1) are treated as failures and inverted to 1
+ *
+ * @param {number} score - inner condition score
+ * @return {number} inverted score
+ */
+export function scoreNot (score) {
+  return score >= 1 ? 0 : 1
+}
+
+/**
+ * Snapshots a property value for result trees, once at compile time. Objects (params, "in" lists, fact
+ * references) are cloned, so results never share state with the rule, and frozen, so the results of
+ * every run can share the snapshot instead of cloning it on each evaluation.
+ * @param {any} value
+ * @return {any}
+ */
+function snapshotValue (value) {
+  if (value === null || typeof value !== 'object') return value
+  const freeze = (object) => {
+    Object.values(object).forEach((child) => {
+      if (child !== null && typeof child === 'object') freeze(child)
+    })
+    return Object.freeze(object)
+  }
+  return freeze(deepClone(value))
+}
+
+/**
+ * Builds a function that copies the own properties of a condition onto a new Condition instance
+ * @param {Object} condition - condition to copy
+ * @param {string} booleanOperator - the condition's boolean operator, whose children are instantiated separately
+ * @param {Function} instantiateChildren - returns the instantiated children
+ * @return {Function} returns a new Condition instance
+ */
+function instantiator (condition, booleanOperator, instantiateChildren) {
+  const keys = Object.keys(condition)
+  const values = keys.map((key) => key === booleanOperator ? undefined : snapshotValue(condition[key]))
+  return () => {
+    const node = Object.create(Condition.prototype)
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      node[key] = key === booleanOperator ? instantiateChildren() : values[i]
+    }
+    return node
+  }
+}
+
+/**
+ * Compiles a condition reference by projecting the named condition onto the reference
+ * @param {Object} reference - condition with a 'condition' property
+ * @param {Rule} rule - rule being compiled
+ * @param {string[]} resolving - names of the named conditions currently being dereferenced
+ * @param {string} path - JSON pointer of the reference within the rule's conditions
+ * @param {Logger} logger - logger of the compilation's records
+ * @return {Object} compiled condition
+ */
+function compileReference (reference, rule, resolving, path, logger) {
+  const engine = rule.engine
+  const name = reference.condition
+  const named = engine.conditions.get(name)
+  if (!named || resolving.includes(name)) {
+    const instantiate = instantiator(reference)
+    const evaluate = (node) => {
+      if (named) {
+        throw new ConditionCycleError(name, { rule: rule.name, path })
+      }
+      if (engine.allowUndefinedConditions) {
+        // undefined conditions always fail
+        node.result = false
+        node.score = 0
+        return Promise.resolve(0)
+      }
+      throw new UndefinedConditionError(name, { rule: rule.name, path })
+    }
+    return { instantiate, evaluate }
+  }
+  const projected = Object.assign({}, reference)
+  delete projected.condition
+  Object.assign(projected, deepClone(named))
+  const { instantiate, evaluate } = compileCondition(projected, rule, resolving.concat(name), path, logger)
+  return { instantiate, evaluate }
+}
+
+/**
+ * Compiles a single condition into { instantiate, evaluate }
+ *  - instantiate() returns the Condition tree that is annotated with results and exposed on the RuleResult
+ *  - evaluate(node, almanac) evaluates the condition, annotates node and resolves with its score
+ * Boolean conditions also expose aggregate(node, almanac), which resolves with the score without annotating node.
+ * @param {Object} condition - condition to compile
+ * @param {Rule} rule - rule being compiled
+ * @param {string[]} resolving - names of the named conditions currently being dereferenced
+ * @param {string} path - JSON pointer of the condition within the rule's conditions (default: '')
+ * @param {Logger} logger - logger of the compilation's records (default: the engine's logger)
+ * @return {Object} compiled condition
+ */
+function compileCondition (condition, rule, resolving = [], path = '', logger = rule.engine.logger) {
+  if (Object.prototype.hasOwnProperty.call(condition, 'condition')) {
+    return compileReference(condition, rule, resolving, path, logger)
+  }
+  const booleanOperator = Condition.booleanOperator(condition)
+  if (!booleanOperator) {
+    const instantiate = instantiator(condition)
+    const op = Condition.resolveOperator(condition, rule.engine.operators, logger)
+    if (!op) {
+      const evaluate = () => Promise.reject(new UnknownOperatorError(`Unknown operator: ${condition.operator}`, {
+        operator: condition.operator,
+        rule: rule.name,
+        path
+      }))
+      return { instantiate, evaluate }
+    }
+    const evaluate = (node, almanac) => {
+      return node.evaluateOperator(almanac, op).then((evaluationResult) => {
+        const score = evaluationResult.score
+        node.factResult = evaluationResult.leftHandSideValue
+        node.valueResult = evaluationResult.rightHandSideValue
+        node.result = evaluationResult.result
+        node.score = score
+        if (evaluationResult.timing) {
+          node.timing = evaluationResult.timing
+        }
+        return score
+      })
+    }
+    return { instantiate, evaluate }
+  }
+
+  let instantiate, aggregate
+  if (booleanOperator === 'not') {
+    const child = compileCondition(condition.not, rule, resolving, `${path}/not`, logger)
+    instantiate = instantiator(condition, 'not', child.instantiate)
+    aggregate = (node, almanac) => child.evaluate(node.not, almanac).then(scoreNot)
+  } else {
+    const subConditions = condition[booleanOperator]
+    const children = subConditions.map((subCondition, index) => compileCondition(subCondition, rule, resolving, `${path}/${booleanOperator}/${index}`, logger))
+    // evaluation order, highest priority first
+    const order = rule.prioritizeConditions(subConditions).flat().map((subCondition) => subConditions.indexOf(subCondition))
+    const method = booleanOperator === 'all' ? scoreAll : scoreAny
+    instantiate = instantiator(condition, booleanOperator, () => children.map((child) => child.instantiate()))
+    aggregate = (node, almanac) => {
+      const nodes = node[booleanOperator]
+      const ordered = order.map((index) => nodes[index])
+      return Promise.all(order.map((index) => children[index].evaluate(nodes[index], almanac))).then((conditionScores) => {
+        almanac.logger.trace('rule.conditions.evaluated', { rule: rule.name, results: conditionScores.map((score) => score >= 1), scores: conditionScores })
+        return method(conditionScores, ordered)
+      })
+    }
+  }
+  // for booleans, rule passing is determined by the all/any/not result
+  const evaluate = (node, almanac) => aggregate(node, almanac).then((score) => {
+    node.result = score >= 1
+    node.score = score
+    return score
+  })
+  return { instantiate, evaluate, aggregate }
+}
+
+/**
+ * Compiles a rule's conditions against the current state of its engine
+ * @param {Rule} rule - rule to compile; must be attached to an engine
+ * @param {Logger} logger - logger of the compilation's records, e.g. the logger of the run compiling the rule (default: the engine's logger)
+ * @return {Object} compiled rule:
+ *   - instantiate(): returns a fresh Condition tree for a RuleResult
+ *   - evaluate(conditions, almanac): evaluates the tree returned by instantiate(), resolving with the rule score
+ *   - engine, version: the engine and engine compileVersion the rule was compiled against
+ */
+export default function compileRule (rule, logger = rule.engine.logger) {
+  const engine = rule.engine
+  logger.debug('rule.compiled', { rule: rule.name, version: engine.compileVersion })
+  const root = compileCondition(rule.conditions, rule, [], '', logger)
+  return {
+    engine,
+    version: engine.compileVersion,
+    instantiate: root.instantiate,
+    // the root boolean operator is not annotated with its own result; a root reference is
+    evaluate: root.aggregate || root.evaluate
+  }
+}
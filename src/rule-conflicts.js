@@ -0,0 +1,223 @@
+'use strict'
+import Condition from './condition'
+import { constraintOf, inRange, intersect, isEmpty, isDisjunction, factKey } from './rule-linter'
+/**
+ * Cross-rule overlap detection.
+ *
+ * Each rule's conditions are rewritten as a disjunction of terms; a term constrains the values of
+ * the facts it tests, e.g. age > 18 and country in ['fr', 'de']. Two rules can fire together when a
+ * term of one intersects a term of the other, and any value of that intersection is an example of
+ * facts triggering both rules.
+ *
+ * Only conditions using the default operators against constant values are analyzed
+ * (see rule-linter.js). Other conditions - custom or decorated operators, comparisons with other
+ * facts, rule references, "any" conditions with different weights - are assumed to pass, which
+ * makes the result approximate.
+ */
+
+const MAX_TERMS = 64
+
+const NEGATIONS = {
+  equal: 'notEqual',
+  notEqual: 'equal',
+  in: 'notIn',
+  notIn: 'in',
+  greaterThan: 'lessThanInclusive',
+  greaterThanInclusive: 'lessThan',
+  lessThan: 'greaterThanInclusive',
+  lessThanInclusive: 'greaterThan'
+}
+
+const TRUE = { constraints: new Map(), approximate: false }
+const UNKNOWN = { constraints: new Map(), approximate: true }
+
+/**
+ * Conjunction of two terms
+ * @return {Object|undefined} the term, or undefined when no value passes both
+ */
+function conjoin (a, b) {
+  const constraints = new Map(a.constraints)
+  for (const [key, entry] of b.constraints) {
+    const current = constraints.get(key)
+    const constraint = current ? intersect(current.constraint, entry.constraint) : entry.constraint
+    if (isEmpty(constraint)) return undefined
+    constraints.set(key, { constraint, condition: entry.condition })
+  }
+  return { constraints, approximate: a.approximate || b.approximate }
+}
+
+/**
+ * Conjunction of two disjunctions of terms
+ * @return {Object[]} terms
+ */
+function product (a, b) {
+  const terms = []
+  a.forEach(termA => b.forEach((termB) => {
+    const term = conjoin(termA, termB)
+    if (term) terms.push(term)
+  }))
+  return bounded(terms)
+}
+
+/**
+ * Keeps the analysis tractable: too many alternatives are replaced by a term assumed to pass
+ * @param {Object[]} terms
+ * @return {Object[]} terms
+ */
+function bounded (terms) {
+  return terms.length > MAX_TERMS ? [UNKNOWN] : terms
+}
+
+/**
+ * Rewrites a condition tree as a disjunction of terms
+ * @param {Condition} conditions - root of the tree
+ * @param {Object} options
+ * @param {Set<string>} options.operators - names of the operators with default semantics
+ * @param {Map<string, Condition>} options.conditions - named conditions, to resolve references with
+ * @return {Object[]} terms: { constraints: Map<factKey, { constraint, condition }>, approximate }; empty
+ *   when the conditions can never pass
+ */
+export function toTerms (conditions, options) {
+  const resolving = new Set()
+  const terms = (node, negated) => {
+    const operator = Condition.booleanOperator(node)
+    if (operator === 'not') return terms(node.not, !negated)
+    if (operator) {
+      // a condition passes when its score is 1, so "all" is a conjunction; "any" is a disjunction only when
+      // its conditions have the same weight, as a heavier condition scoring partially can outweigh a passing one
+      if (operator === 'any' && !isDisjunction(node.any)) return [UNKNOWN]
+      const children = node[operator].map(child => terms(child, negated))
+      if ((operator === 'all') !== negated) {
+        return children.reduce(product, [TRUE])
+      }
+      return bounded([].concat(...children))
+    }
+    if (node.isConditionReference()) {
+      const referenced = options.conditions.get(node.condition)
+      if (!referenced || resolving.has(node.condition)) return [UNKNOWN]
+      resolving.add(node.condition)
+      const result = terms(referenced, negated)
+      resolving.delete(node.condition)
+      return result
+    }
+    if (node.isRuleReference() || !options.operators.has(node.operator)) return [UNKNOWN]
+    const constraint = negated
+      ? constraintOf({ operator: NEGATIONS[node.operator], value: node.value }, new Set([NEGATIONS[node.operator]]))
+      : constraintOf(node, options.operators)
+    if (!constraint) return [UNKNOWN]
+    if (isEmpty(constraint)) return []
+    return [{ constraints: new Map([[factKey(node), { constraint, condition: node }]]), approximate: false }]
+  }
+  return terms(conditions, false)
+}
+
+/**
+ * Picks a value passing a constraint
+ * @param {Object} constraint - non-empty constraint
+ * @return {any} the value, or undefined when none was found
+ */
+function pickValue (constraint) {
+  const passes = value => !constraint.excluded.has(value) && inRange(constraint, value)
+  if (constraint.allowed) {
+    return Array.from(constraint.allowed).find(passes)
+  }
+  const { lo, hi } = constraint
+  if (lo || hi) {
+    const candidates = []
+    if (lo) candidates.push(lo.value, lo.value + 1)
+    if (hi) candidates.push(hi.value, hi.value - 1)
+    if (lo && hi) candidates.push((lo.value + hi.value) / 2)
+    return candidates.find(passes)
+  }
+  const excluded = Array.from(constraint.excluded)
+  const strings = excluded.some(value => typeof value === 'string')
+  for (let i = 0; i <= excluded.length; i++) {
+    const candidate = strings ? `other${i || ''}` : i
+    if (passes(candidate)) return candidate
+  }
+}
+
+/**
+ * Builds an object of fact values satisfying a term
+ * @param {Object} term
+ * @return {Object} { example, approximate }; approximate when some values could not be expressed as
+ *   fact values, e.g. facts with params or paths other than $.property.property
+ */
+function exampleOf (term) {
+  const example = {}
+  let approximate = term.approximate
+  for (const { constraint, condition } of term.constraints.values()) {
+    const value = pickValue(constraint)
+    const segments = condition.path ? /^\$(\.[A-Za-z_$][\w$]*)+$/.test(condition.path) && condition.path.split('.').slice(1) : []
+    if (value === undefined || !segments || condition.params) {
+      approximate = true
+      continue
+    }
+    if (!segments.length) {
+      if (Object.prototype.hasOwnProperty.call(example, condition.fact)) approximate = true
+      else example[condition.fact] = value
+      continue
+    }
+    let parent = example
+    const keys = [condition.fact].concat(segments)
+    const reachable = keys.slice(0, -1).every((key) => {
+      if (!Object.prototype.hasOwnProperty.call(parent, key)) parent[key] = {}
+      parent = parent[key]
+      return parent !== null && typeof parent === 'object'
+    })
+    if (reachable && !Object.prototype.hasOwnProperty.call(parent, keys[keys.length - 1])) {
+      parent[keys[keys.length - 1]] = value
+    } else {
+      approximate = true
+    }
+  }
+  return { example, approximate }
+}
+
+/**
+ * Whether the validity windows of two rules overlap
+ * @return {boolean}
+ */
+function activeTogether (a, b) {
+  const from = Math.max(a.validFrom ? a.validFrom.getTime() : -Infinity, b.validFrom ? b.validFrom.getTime() : -Infinity)
+  const to = Math.min(a.validTo ? a.validTo.getTime() : Infinity, b.validTo ? b.validTo.getTime() : Infinity)
+  return from < to
+}
+
+/**
+ * Finds the pairs of rules that can fire together
+ * @param {Rule[]} rules
+ * @param {Object} options
+ * @param {Iterable<string>} options.operators - names of the operators with default semantics
+ * @param {Map<string, Condition>} options.conditions - named conditions
+ * @return {Object[]} conflicts: { rules: [name, name], events: [event, event], example, approximate }; example
+ *   holds fact values triggering both rules; approximate is true when the rules have conditions that could not
+ *   be analyzed, so they may not actually fire together
+ */
+export default function findConflicts (rules, options = {}) {
+  const analysis = {
+    operators: new Set(options.operators || []),
+    conditions: options.conditions || new Map()
+  }
+  const analyzed = rules.map(rule => ({ rule, terms: rule.conditions ? toTerms(rule.conditions, analysis) : [TRUE] }))
+  const conflicts = []
+  analyzed.forEach((a, index) => analyzed.slice(index + 1).forEach((b) => {
+    if (!activeTogether(a.rule, b.rule)) return
+    let overlap
+    a.terms.some(termA => b.terms.some((termB) => {
+      const term = conjoin(termA, termB)
+      if (term && (!overlap || overlap.approximate)) overlap = term
+      return overlap && !overlap.approximate
+    }))
+    if (!overlap) return
+    const { example, approximate } = exampleOf(overlap)
+    conflicts.push({
+      rules: [a.rule.name, b.rule.name],
+      events: [a.rule.event, b.rule.event],
+      example,
+      // schedules are not compared: both rules may never be active at the same time
+      approximate: approximate || Boolean(a.rule.schedule && b.rule.schedule)
+    })
+  }))
+  return conflicts
+}
@@ -5,7 +5,15 @@ import Operator from './operator'
 import Almanac from './almanac'
 import OperatorDecorator from './operator-decorator'
 import ValidateEngine from './validate-engine'
-export { Fact, Rule, Operator, Engine, Almanac, OperatorDecorator, ValidateEngine }
+import Action from './action'
+import MetricsCollector from './metrics-collector'
+import CoverageCollector from './coverage-collector'
+import getRuleSchema from './rule-schema'
+import validateSchema from './schema-validator'
+import runFixtures from './fixture-runner'
+import diffRuleSets from './rule-set-diff'
+export { Fact, Rule, Operator, Engine, Almanac, OperatorDecorator, ValidateEngine, Action, MetricsCollector, CoverageCollector, getRuleSchema, validateSchema, runFixtures, diffRuleSets }
+export * from './errors'
 export default function (rules, options) {
   return new Engine(rules, options)
 }
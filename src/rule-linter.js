@@ -0,0 +1,280 @@
+'use strict'
+import Condition from './condition'
+/**
+ * Static analysis of condition trees.
+ *
+ * Finds conditions that are valid but almost certainly not what the author meant: conjunctions
+ * that can never pass, duplicated or shadowed conditions, empty boolean operators and double
+ * negations. Each finding is located by a JSON pointer into the condition tree:
+ *   { severity: 'error', code: 'CONTRADICTION', path: '/all/1', message: '...', related: ['/all/0'] }
+ *
+ * Contradictions and shadowing are derived from the semantics of the default operators
+ * (engine-default-operators.js): a condition passes when its score is 1, which for the numeric
+ * operators means the comparison holds. Conditions using any other operator, decorated operators,
+ * or comparing against other facts are left out of that analysis.
+ *
+ * An "all" passes exactly when all of its conditions pass. An "any" scores as its condition with the
+ * highest weight × score, so a heavier condition with a partial score, e.g. of a numeric operator,
+ * can outweigh a passing one: it only passes exactly when one of its conditions passes when they all
+ * have the same weight (see isDisjunction()). Shadowing is not analyzed in other "any" conditions.
+ */
+
+const NUMERIC = {
+  greaterThan: { bound: 'lo', inclusive: false },
+  greaterThanInclusive: { bound: 'lo', inclusive: true },
+  lessThan: { bound: 'hi', inclusive: false },
+  lessThanInclusive: { bound: 'hi', inclusive: true }
+}
+const ANALYZED = new Set(Object.keys(NUMERIC).concat(['equal', 'notEqual', 'in', 'notIn']))
+
+/**
+ * Serializes a value with sorted object keys, so equal structures serialize equally
+ * @param {any} value
+ * @return {string}
+ */
+export function canonical (value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+function isPrimitive (value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value)
+}
+
+/**
+ * The set of values a fact condition passes for, or undefined when it is not analyzed
+ *  - lo, hi: numeric bounds, { value, inclusive }
+ *  - allowed: Set of the only values that pass (equal, in), or null
+ *  - excluded: Set of values that never pass (notEqual, notIn)
+ * @param {Condition} condition - fact condition
+ * @param {Set<string>} operators - names of the operators with default semantics
+ * @return {Object|undefined}
+ */
+export function constraintOf (condition, operators) {
+  const { operator, value } = condition
+  if (!ANALYZED.has(operator) || !operators.has(operator)) return undefined
+  const constraint = { allowed: null, excluded: new Set() }
+  if (NUMERIC[operator]) {
+    if (typeof value !== 'number') return undefined
+    constraint[NUMERIC[operator].bound] = { value, inclusive: NUMERIC[operator].inclusive }
+  } else if (operator === 'equal' || operator === 'notEqual') {
+    if (!isPrimitive(value)) return undefined
+    constraint[operator === 'equal' ? 'allowed' : 'excluded'] = new Set([value])
+  } else {
+    if (!Array.isArray(value) || !value.every(isPrimitive)) return undefined
+    constraint[operator === 'in' ? 'allowed' : 'excluded'] = new Set(value)
+  }
+  return constraint
+}
+
+/**
+ * Tightens a numeric bound
+ * @param {Object} current - current bound, or undefined
+ * @param {Object} next - bound to apply, or undefined
+ * @param {number} direction - 1 for lower bounds, -1 for upper bounds
+ * @return {Object} the tighter bound
+ */
+function tighter (current, next, direction) {
+  if (!current) return next
+  if (!next) return current
+  if (next.value * direction > current.value * direction) return next
+  if (next.value === current.value && !next.inclusive) return next
+  return current
+}
+
+/**
+ * Whether a value passes the numeric bounds of a constraint. The numeric operators parse
+ * their fact value, so numeric strings can pass; other values never do.
+ */
+export function inRange (constraint, value) {
+  if (!constraint.lo && !constraint.hi) return true
+  const number = typeof value === 'number' ? value : Number.parseFloat(value)
+  if (Number.isNaN(number)) return false
+  const { lo, hi } = constraint
+  if (lo && (number < lo.value || (number === lo.value && !lo.inclusive))) return false
+  if (hi && (number > hi.value || (number === hi.value && !hi.inclusive))) return false
+  return true
+}
+
+/**
+ * Intersects two constraints
+ * @return {Object} constraint passing for the values both constraints pass for
+ */
+export function intersect (a, b) {
+  let allowed = a.allowed || b.allowed
+  if (a.allowed && b.allowed) {
+    allowed = new Set(Array.from(a.allowed).filter(value => b.allowed.has(value)))
+  }
+  return {
+    lo: tighter(a.lo, b.lo, 1),
+    hi: tighter(a.hi, b.hi, -1),
+    allowed,
+    excluded: new Set(Array.from(a.excluded).concat(Array.from(b.excluded)))
+  }
+}
+
+/**
+ * Whether no value passes a constraint
+ * @param {Object} constraint
+ * @return {boolean}
+ */
+export function isEmpty (constraint) {
+  const { lo, hi, allowed, excluded } = constraint
+  if (lo && hi && (lo.value > hi.value || (lo.value === hi.value && !(lo.inclusive && hi.inclusive)))) {
+    return true
+  }
+  if (allowed) {
+    return !Array.from(allowed).some(value => !excluded.has(value) && inRange(constraint, value))
+  }
+  // a range of a single value may be excluded; wider ranges always have values left
+  return Boolean(lo && hi && lo.value === hi.value && excluded.has(lo.value))
+}
+
+/**
+ * Whether every value passing constraint a also passes constraint b
+ * @return {boolean}
+ */
+export function implies (a, b) {
+  if (a.allowed) {
+    return Array.from(a.allowed).every(value => a.excluded.has(value) || !inRange(a, value) ||
+      ((!b.allowed || b.allowed.has(value)) && !b.excluded.has(value) && inRange(b, value)))
+  }
+  if (b.allowed) return false
+  if (!Array.from(b.excluded).every(value => a.excluded.has(value) || !inRange(a, value))) return false
+  const within = (bound, other, direction) => !other ||
+    (bound && (bound.value * direction > other.value * direction || (bound.value === other.value && (other.inclusive || !bound.inclusive))))
+  return within(a.lo, b.lo, 1) && within(a.hi, b.hi, -1)
+}
+
+/**
+ * Identifies the fact value a condition tests: conditions with the same key test the same value
+ * @param {Condition} condition - fact condition
+ * @return {string}
+ */
+export function factKey (condition) {
+  return canonical([condition.fact, condition.path || null, condition.params || null])
+}
+
+/**
+ * Whether an "any" condition passes exactly when one of its conditions passes, i.e. whether its
+ * conditions all have the same weight
+ * @param {Condition[]|Object[]} children - conditions of the "any"
+ * @return {boolean}
+ */
+export function isDisjunction (children) {
+  return children.every(child => (child.weight || 1) === (children[0].weight || 1))
+}
+
+/**
+ * Collects the findings of a condition tree
+ * @param {Condition} conditions - root of the tree
+ * @param {Object} options
+ * @param {Iterable<string>} options.operators - names of the operators with default semantics (default: none)
+ * @param {string} options.path - JSON pointer of the root (default: '')
+ * @return {Object[]} findings: { severity, code, path, message, related }; related lists the paths of the
+ *   other conditions involved, if any
+ */
+export default function lintConditions (conditions, options = {}) {
+  const operators = new Set(options.operators || [])
+  const rootPath = options.path || ''
+  const findings = []
+  const report = (severity, code, path, message, related = []) => findings.push({ severity, code, path, message, related })
+
+  // the fact conditions a conjunction consists of, including those of nested 'all' conditions
+  const conjuncts = (node, path) => node.all.reduce((leaves, child, index) => {
+    const childPath = `${path}/all/${index}`
+    if (Condition.booleanOperator(child) === 'all') return leaves.concat(conjuncts(child, childPath))
+    if (!Condition.booleanOperator(child) && !child.isConditionReference() && !child.isRuleReference()) {
+      leaves.push({ condition: child, path: childPath })
+    }
+    return leaves
+  }, [])
+
+  const checkContradictions = (node, path) => {
+    const groups = new Map()
+    conjuncts(node, path).forEach((leaf) => {
+      const constraint = constraintOf(leaf.condition, operators)
+      if (!constraint) return
+      const key = factKey(leaf.condition)
+      const group = groups.get(key) || { constraint: { allowed: null, excluded: new Set() }, paths: [] }
+      groups.set(key, group)
+      if (group.reported) return
+      const combined = intersect(group.constraint, constraint)
+      if (isEmpty(combined)) {
+        group.reported = true
+        report('error', 'CONTRADICTION', leaf.path,
+          `Condition on "${leaf.condition.fact}" contradicts ${group.paths.join(', ')}: together they can never pass`, group.paths.slice())
+      }
+      group.constraint = combined
+      group.paths.push(leaf.path)
+    })
+  }
+
+  const checkDuplicates = (children, path, operator) => {
+    const seen = new Map()
+    children.forEach((child, index) => {
+      const childPath = `${path}/${operator}/${index}`
+      const key = canonical(child.toJSON(false))
+      if (seen.has(key)) {
+        report('warning', 'DUPLICATE_CONDITION', childPath, `Condition duplicates ${seen.get(key)}`, [seen.get(key)])
+      } else {
+        seen.set(key, childPath)
+      }
+    })
+    return seen
+  }
+
+  const checkShadowed = (children, path, duplicates) => {
+    const leaves = children.map((child, index) => {
+      const childPath = `${path}/any/${index}`
+      if (Condition.booleanOperator(child) || child.isConditionReference() || child.isRuleReference()) return undefined
+      if (!Array.from(duplicates.values()).includes(childPath)) return undefined
+      const constraint = constraintOf(child, operators)
+      return constraint && { constraint, key: factKey(child), path: childPath, index, fact: child.fact }
+    }).filter(Boolean)
+    leaves.forEach((leaf) => {
+      const shadow = leaves.find(other => other !== leaf && other.key === leaf.key && implies(leaf.constraint, other.constraint) &&
+        // of two equivalent conditions, the first one shadows the second
+        !(implies(other.constraint, leaf.constraint) && other.index > leaf.index))
+      if (shadow) {
+        report('warning', 'SHADOWED_CONDITION', leaf.path,
+          `Condition on "${leaf.fact}" never decides the result: ${shadow.path} passes whenever it does`, [shadow.path])
+      }
+    })
+  }
+
+  const visit = (node, path, parentOperator) => {
+    const operator = Condition.booleanOperator(node)
+    if (operator === 'not') {
+      if (Condition.booleanOperator(node.not) === 'not') {
+        report('warning', 'DOUBLE_NEGATION', path, 'Double negation: "not: { not: ... }" is equivalent to the inner condition')
+      }
+      visit(node.not, `${path}/not`)
+      return
+    }
+    if (!operator) return
+    const children = node[operator]
+    if (!children.length) {
+      if (operator === 'all') {
+        // a top level "all: []" is the usual way to write a rule that always fires
+        if (path !== rootPath) report('warning', 'EMPTY_ALL', path, 'Empty "all" always passes')
+      } else {
+        report('error', 'EMPTY_ANY', path, 'Empty "any" never passes')
+      }
+      return
+    }
+    const duplicates = checkDuplicates(children, path, operator)
+    if (operator === 'all') {
+      // nested conjunctions are checked as part of the outermost one
+      if (parentOperator !== 'all') checkContradictions(node, path)
+    } else if (isDisjunction(children)) {
+      checkShadowed(children, path, duplicates)
+    }
+    children.forEach((child, index) => visit(child, `${path}/${operator}/${index}`, operator))
+  }
+  visit(conditions, rootPath)
+  return findings
+}
@@ -70,6 +70,15 @@ export default class RuleResult {
       score: this.score,
       result: this.result
     }
+    if (this.trace) {
+      props.trace = this.trace
+    }
+    if (this.error) {
+      props.error = { message: this.error.message }
+      if (this.error.code) {
+        props.error.code = this.error.code
+      }
+    }
     if (stringify) {
       return JSON.stringify(props)
     }
@@ -0,0 +1,209 @@
+'use strict'
+import Condition from './condition'
+/**
+ * JSON Schema (draft 2020-12) of the rule format.
+ *
+ * The schema follows the precedence the engine resolves conditions with: a condition with an
+ * "any" property is an any condition, whatever else it contains, then "all", "not", "condition"
+ * and "rule"; anything else is a fact condition. Unknown properties are allowed, as rules and
+ * conditions may carry custom properties.
+ */
+
+export const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} string
+ * @return {string}
+ */
+function escapeRegExp (string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Builds the schema of operator names
+ * @param {string[]} operators - operator names; undefined allows any name
+ * @param {string[]} decorators - decorator names operators may be prefixed with, e.g. 'everyFact:greaterThan'
+ * @return {Object} schema
+ */
+function operatorSchema (operators, decorators) {
+  if (!operators) {
+    return { type: 'string', minLength: 1 }
+  }
+  if (!decorators || !decorators.length || !operators.length) {
+    return { enum: operators }
+  }
+  const alternatives = (names) => names.map(escapeRegExp).join('|')
+  return {
+    description: 'A registered operator, optionally prefixed with registered decorators, e.g. "everyFact:greaterThan"',
+    anyOf: [
+      { enum: operators },
+      { type: 'string', pattern: `^(?:(?:${alternatives(decorators)}):)+(?:${alternatives(operators)})$` }
+    ]
+  }
+}
+
+/**
+ * Builds the schema of a boolean condition
+ * @param {string} operator - 'all', 'any' or 'not'
+ * @return {Object} schema
+ */
+function booleanSchema (operator) {
+  const children = operator === 'not'
+    ? { $ref: '#/$defs/condition' }
+    : { type: 'array', items: { $ref: '#/$defs/condition' } }
+  return {
+    type: 'object',
+    required: [operator],
+    properties: {
+      [operator]: children,
+      name: { type: 'string' },
+      priority: { $ref: '#/$defs/priority' },
+      weight: { $ref: '#/$defs/weight' }
+    }
+  }
+}
+
+/**
+ * Returns the condition schema matching the first property present, falling back to the last schema
+ * @param {Array[]} branches - [property, schema] pairs, in precedence order
+ * @param {Object} fallback - schema of conditions with none of the properties
+ * @return {Object} schema
+ */
+function precedence (branches, fallback) {
+  return branches.reduceRight((otherwise, [property, schema]) => ({
+    if: { required: [property] },
+    then: schema,
+    else: otherwise
+  }), fallback)
+}
+
+/**
+ * Generates the JSON Schema of rules
+ * @param {Object} options - registries to restrict names to; omitted registries allow any name
+ * @param {string[]} options.operators - names of the registered operators
+ * @param {string[]} options.decorators - names of the registered operator decorators
+ * @param {string[]} options.actions - names of the registered actions
+ * @return {Object} JSON Schema document
+ */
+export default function getRuleSchema (options = {}) {
+  const operator = operatorSchema(options.operators, options.decorators)
+  const ruleOperators = Array.from(Condition.ruleOperators.keys())
+  const conditionProperties = {
+    name: { type: 'string' },
+    priority: { $ref: '#/$defs/priority' },
+    weight: { $ref: '#/$defs/weight' }
+  }
+  return {
+    $schema: SCHEMA_DIALECT,
+    title: 'Rule',
+    type: 'object',
+    required: ['conditions', 'event'],
+    properties: {
+      name: { type: ['string', 'number'] },
+      priority: { $ref: '#/$defs/priority' },
+      ruleSet: { type: 'string', minLength: 1 },
+      validFrom: { $ref: '#/$defs/date' },
+      validTo: { $ref: '#/$defs/date' },
+      schedule: { $ref: '#/$defs/schedule' },
+      noLoop: { type: 'boolean' },
+      conditions: { $ref: '#/$defs/topLevelCondition' },
+      event: { $ref: '#/$defs/event' }
+    },
+    $defs: {
+      priority: { type: 'number', exclusiveMinimum: 0 },
+      weight: { type: 'integer', minimum: 1 },
+      date: {
+        description: 'ISO-8601 date string, or milliseconds since the epoch',
+        type: ['string', 'number'],
+        format: 'date-time'
+      },
+      operator,
+      topLevelCondition: {
+        description: 'The root condition must be a boolean condition or a condition reference',
+        type: 'object',
+        anyOf: ['all', 'any', 'not', 'condition'].map(property => ({ required: [property] })),
+        $ref: '#/$defs/condition'
+      },
+      condition: Object.assign({ type: 'object' }, precedence([
+        ['any', { $ref: '#/$defs/anyCondition' }],
+        ['all', { $ref: '#/$defs/allCondition' }],
+        ['not', { $ref: '#/$defs/notCondition' }],
+        ['condition', { $ref: '#/$defs/conditionReference' }],
+        ['rule', { $ref: '#/$defs/ruleCondition' }]
+      ], { $ref: '#/$defs/factCondition' })),
+      allCondition: booleanSchema('all'),
+      anyCondition: booleanSchema('any'),
+      notCondition: booleanSchema('not'),
+      conditionReference: {
+        type: 'object',
+        required: ['condition'],
+        properties: Object.assign({ condition: { type: 'string', minLength: 1 } }, conditionProperties)
+      },
+      factCondition: {
+        type: 'object',
+        required: ['fact', 'operator', 'value'],
+        properties: Object.assign({
+          fact: { type: 'string', minLength: 1 },
+          operator: { $ref: '#/$defs/operator' },
+          value: true,
+          path: { type: 'string' },
+          params: { type: 'object' }
+        }, conditionProperties)
+      },
+      ruleCondition: {
+        type: 'object',
+        required: ['rule', 'operator'],
+        properties: Object.assign({
+          rule: { type: ['string', 'number'] },
+          operator: { anyOf: [{ enum: ruleOperators }, { $ref: '#/$defs/operator' }] },
+          value: true
+        }, conditionProperties),
+        // the passed/failed operators test the rule's result; other operators compare its score with value
+        if: { required: ['operator'], properties: { operator: { enum: ruleOperators } } },
+        else: { required: ['value'] }
+      },
+      event: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string' },
+          params: { type: 'object' },
+          actions: { type: 'array', items: { $ref: '#/$defs/action' } }
+        }
+      },
+      action: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: options.actions ? { enum: options.actions } : { type: 'string', minLength: 1 }
+        }
+      },
+      schedule: {
+        type: 'object',
+        properties: {
+          timezone: { type: 'string', description: 'IANA timezone' },
+          daysOfWeek: {
+            type: 'array',
+            items: {
+              description: '0 (sunday) - 6 (saturday), or an english day name',
+              anyOf: [{ type: 'integer', minimum: 0, maximum: 6 }, { type: 'string', minLength: 3 }]
+            }
+          },
+          timeWindows: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['start', 'end'],
+              properties: {
+                start: { $ref: '#/$defs/timeOfDay' },
+                end: { $ref: '#/$defs/timeOfDay' }
+              }
+            }
+          }
+        }
+      },
+      timeOfDay: { type: 'string', pattern: '^(?:[01]?\\d|2[0-3]):[0-5]\\d$|^24:00$' }
+    }
+  }
+}
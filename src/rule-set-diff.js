@@ -0,0 +1,263 @@
+'use strict'
+import Rule from './rule'
+import Condition from './condition'
+import defaultOperators from './engine-default-operators'
+import { canonical, constraintOf, implies, factKey } from './rule-linter'
+import { InvalidArgumentError } from './errors'
+/**
+ * Semantic diff between two versions of a set of rules.
+ *
+ * Rules are matched by name. Matched rules are compared property by property, and their condition
+ * trees node by node: the children of "all" and "any" conditions are matched regardless of their
+ * order, first by equality, then by what they test (the same fact, path and params, or the same
+ * named condition or rule). Each change is located by a JSON pointer into the new rule, or into the
+ * old rule for removed conditions:
+ *   { rule: 'vip', code: 'VALUE_NARROWED', path: '/conditions/all/0/value', from: ['fr', 'de'], to: ['fr'], message: '...' }
+ *
+ * Whether a value change widens or narrows a condition is derived from the semantics of the
+ * default operators (see rule-linter.js).
+ */
+
+const OPERATORS = new Set(defaultOperators.map(operator => operator.name))
+const RULE_PROPERTIES = ['ruleSet', 'validFrom', 'validTo', 'schedule', 'noLoop']
+const EVENT_PROPERTIES = ['type', 'params', 'actions']
+
+/**
+ * Formats a value for messages
+ * @param {any} value
+ * @return {string}
+ */
+function show (value) {
+  return value === undefined ? 'none' : canonical(value)
+}
+
+/**
+ * Identifies what a condition tests, to match conditions that changed
+ * @param {Object} condition - condition JSON
+ * @return {string}
+ */
+function identity (condition) {
+  const operator = Condition.booleanOperator(condition)
+  if (operator) return operator
+  if (Object.prototype.hasOwnProperty.call(condition, 'condition')) return `condition ${canonical(condition.condition)}`
+  if (Object.prototype.hasOwnProperty.call(condition, 'rule')) return `rule ${canonical(condition.rule)}`
+  return `fact ${factKey(condition)}`
+}
+
+/**
+ * Whether a changed fact condition passes for more or fewer values than before
+ * @param {Object} from - old condition JSON
+ * @param {Object} to - new condition JSON
+ * @return {string|undefined} 'widened', 'narrowed', 'equivalent' (e.g. reordered "in" values), or
+ *   undefined when neither or unknown
+ */
+function effectOf (from, to) {
+  const before = constraintOf(from, OPERATORS)
+  const after = constraintOf(to, OPERATORS)
+  if (!before || !after) return undefined
+  const wider = implies(before, after)
+  const narrower = implies(after, before)
+  if (wider && narrower) return 'equivalent'
+  if (wider) return 'widened'
+  if (narrower) return 'narrowed'
+  return undefined
+}
+
+/**
+ * Normalizes rules into their JSON form, by name
+ * @param {Rule[]|Object[]|Object|string} rules - rules, rule JSON, an object with a rules array (e.g. an
+ *   Engine or its JSON), or a JSON string of any of these
+ * @param {string} argument - argument name, for errors
+ * @return {Map<any, Object>} rule JSON by name
+ */
+function byName (rules, argument) {
+  if (typeof rules === 'string') rules = JSON.parse(rules)
+  if (rules && !Array.isArray(rules) && Array.isArray(rules.rules)) rules = rules.rules
+  if (!Array.isArray(rules)) {
+    throw new InvalidArgumentError(`diffRuleSets: ${argument} must be an array of rules`, { argument, value: rules })
+  }
+  return rules.reduce((map, rule) => {
+    const json = (rule instanceof Rule ? rule : new Rule(rule)).toJSON(false)
+    if (map.has(json.name)) {
+      throw new InvalidArgumentError(`diffRuleSets: ${argument} has more than one rule named "${json.name}"`, { argument, value: json.name })
+    }
+    return map.set(json.name, json)
+  }, new Map())
+}
+
+/**
+ * Compares two condition trees
+ * @param {Object} from - old condition JSON
+ * @param {Object} to - new condition JSON
+ * @param {string} fromPath - JSON pointer of from in the old rule
+ * @param {string} toPath - JSON pointer of to in the new rule
+ * @param {Function} report - called with (code, path, from, to, message)
+ */
+function diffConditions (from, to, fromPath, toPath, report) {
+  if (canonical(from) === canonical(to)) return
+  if (identity(from) !== identity(to)) {
+    report('CONDITION_CHANGED', toPath, from, to, `Condition "${Condition.describe(from)}" replaced with "${Condition.describe(to)}"`)
+    return
+  }
+  if ((from.weight || 1) !== (to.weight || 1)) {
+    report('WEIGHT_CHANGED', `${toPath}/weight`, from.weight || 1, to.weight || 1, `Weight changed from ${from.weight || 1} to ${to.weight || 1}`)
+  }
+  if (from.priority !== to.priority) {
+    report('PRIORITY_CHANGED', `${toPath}/priority`, from.priority, to.priority, `Priority changed from ${show(from.priority)} to ${show(to.priority)}`)
+  }
+  if (from.name !== to.name) {
+    report('PROPERTY_CHANGED', `${toPath}/name`, from.name, to.name, `name changed from ${show(from.name)} to ${show(to.name)}`)
+  }
+  const operator = Condition.booleanOperator(to)
+  if (operator === 'not') {
+    diffConditions(from.not, to.not, `${fromPath}/not`, `${toPath}/not`, report)
+    return
+  }
+  if (operator) {
+    diffChildren(from[operator], to[operator], `${fromPath}/${operator}`, `${toPath}/${operator}`, report)
+    return
+  }
+  if (Object.prototype.hasOwnProperty.call(to, 'condition')) return
+  const effect = effectOf(from, to)
+  if (from.operator !== to.operator) {
+    report('OPERATOR_CHANGED', `${toPath}/operator`, from.operator, to.operator,
+      `Operator changed from "${from.operator}" to "${to.operator}"${effect && effect !== 'equivalent' ? `, condition ${effect}` : ''}`)
+  }
+  // values passing for the same values, e.g. reordered "in" lists, are not a change
+  if (canonical(from.value) !== canonical(to.value) && (effect !== 'equivalent' || from.operator !== to.operator)) {
+    const direction = effect === 'widened' || effect === 'narrowed' ? effect : 'changed'
+    report(`VALUE_${direction.toUpperCase()}`, `${toPath}/value`, from.value, to.value, `Value ${direction} from ${show(from.value)} to ${show(to.value)}`)
+  }
+}
+
+/**
+ * Compares the children of two "all" or "any" conditions, regardless of their order
+ * @param {Object[]} from - old children
+ * @param {Object[]} to - new children
+ * @param {string} fromPath - JSON pointer of the old children array
+ * @param {string} toPath - JSON pointer of the new children array
+ * @param {Function} report
+ */
+function diffChildren (from, to, fromPath, toPath, report) {
+  const matches = new Array(to.length)
+  const used = new Set()
+  const match = (same) => to.forEach((child, index) => {
+    if (matches[index] !== undefined) return
+    const found = from.findIndex((candidate, candidateIndex) => !used.has(candidateIndex) && same(candidate, child))
+    if (found !== -1) {
+      used.add(found)
+      matches[index] = found
+    }
+  })
+  match((a, b) => canonical(a) === canonical(b))
+  match((a, b) => identity(a) === identity(b))
+  from.forEach((child, index) => {
+    if (!used.has(index)) {
+      report('CONDITION_REMOVED', `${fromPath}/${index}`, child, undefined, `Condition removed: ${Condition.describe(child)}`)
+    }
+  })
+  to.forEach((child, index) => {
+    if (matches[index] === undefined) {
+      report('CONDITION_ADDED', `${toPath}/${index}`, undefined, child, `Condition added: ${Condition.describe(child)}`)
+    } else {
+      diffConditions(from[matches[index]], child, `${fromPath}/${matches[index]}`, `${toPath}/${index}`, report)
+    }
+  })
+}
+
+/**
+ * Compares two versions of a rule
+ * @param {Object} from - old rule JSON
+ * @param {Object} to - new rule JSON
+ * @param {Function} report
+ */
+function diffRule (from, to, report) {
+  if (from.priority !== to.priority) {
+    report('PRIORITY_CHANGED', '/priority', from.priority, to.priority, `Priority changed from ${from.priority} to ${to.priority}`)
+  }
+  EVENT_PROPERTIES.forEach((property) => {
+    const before = from.event[property]
+    const after = to.event[property]
+    if (canonical(before) !== canonical(after)) {
+      report('EVENT_CHANGED', `/event/${property}`, before, after, `Event ${property} changed from ${show(before)} to ${show(after)}`)
+    }
+  })
+  RULE_PROPERTIES.forEach((property) => {
+    if (canonical(from[property]) !== canonical(to[property])) {
+      report('PROPERTY_CHANGED', `/${property}`, from[property], to[property], `${property} changed from ${show(from[property])} to ${show(to[property])}`)
+    }
+  })
+  diffConditions(from.conditions, to.conditions, '/conditions', '/conditions', report)
+}
+
+/**
+ * Result of diffRuleSets()
+ */
+class RuleSetDiff {
+  /**
+   * @param {Object[]} changes
+   * @param {number} unchanged - number of rules present in both sets without changes
+   */
+  constructor (changes, unchanged) {
+    const rules = code => changes.filter(change => change.code === code).map(change => change.rule)
+    this.added = rules('RULE_ADDED')
+    this.removed = rules('RULE_REMOVED')
+    this.changed = Array.from(new Set(changes.filter(change => !['RULE_ADDED', 'RULE_REMOVED'].includes(change.code)).map(change => change.rule)))
+    this.unchanged = unchanged
+    this.changes = changes
+  }
+
+  /**
+   * @return {Object} { added, removed, changed, unchanged, changes }
+   */
+  toJSON () {
+    return { added: this.added, removed: this.removed, changed: this.changed, unchanged: this.unchanged, changes: this.changes }
+  }
+
+  /**
+   * Renders the diff as readable text: '+' marks added rules, '-' removed rules and '~' changed rules,
+   * followed by their changes
+   * @return {string}
+   */
+  toText () {
+    const lines = [`Rules: ${this.added.length} added, ${this.removed.length} removed, ${this.changed.length} changed, ${this.unchanged} unchanged`]
+    this.added.forEach(name => lines.push(`+ ${name}`))
+    this.removed.forEach(name => lines.push(`- ${name}`))
+    this.changed.forEach((name) => {
+      lines.push(`~ ${name}`)
+      this.changes.filter(change => change.rule === name).forEach(change => lines.push(`    ${change.path}  ${change.message}`))
+    })
+    return lines.join('\n') + '\n'
+  }
+}
+
+/**
+ * Compares two versions of a set of rules
+ * @param {Rule[]|Object[]|Object|string} oldRules - rules, rule JSON, an Engine, engine JSON, or a JSON string of these
+ * @param {Rule[]|Object[]|Object|string} newRules - same
+ * @return {RuleSetDiff} { added, removed, changed, unchanged, changes, toText() }; changes: { rule, code, path, from,
+ *   to, message }, where path is a JSON pointer into the new rule, or into the old rule for removed conditions
+ */
+export default function diffRuleSets (oldRules, newRules) {
+  const before = byName(oldRules, 'oldRules')
+  const after = byName(newRules, 'newRules')
+  const changes = []
+  let unchanged = 0
+  after.forEach((rule, name) => {
+    if (!before.has(name)) {
+      changes.push({ rule: name, code: 'RULE_ADDED', path: '', from: undefined, to: rule, message: 'Rule added' })
+    }
+  })
+  before.forEach((rule, name) => {
+    if (!after.has(name)) {
+      changes.push({ rule: name, code: 'RULE_REMOVED', path: '', from: rule, to: undefined, message: 'Rule removed' })
+    }
+  })
+  after.forEach((rule, name) => {
+    if (!before.has(name)) return
+    const count = changes.length
+    diffRule(before.get(name), rule, (code, path, from, to, message) => changes.push({ rule: name, code, path, from, to, message }))
+    if (changes.length === count) unchanged++
+  })
+  return new RuleSetDiff(changes, unchanged)
+}
@@ -0,0 +1,284 @@
+'use strict'
+import Condition from './condition'
+import Schedule from './schedule'
+/**
+ * Static validation of rule definitions.
+ *
+ * The Rule and Condition constructors throw on the first problem they meet, and unknown operators
+ * or named conditions are only discovered by a run. The validator instead walks a whole rule
+ * definition and collects every problem, each located by a JSON pointer into the definition:
+ *   { severity: 'error', code: 'UNKNOWN_OPERATOR', path: '/conditions/all/2/operator', message: '...' }
+ * Codes match the codes of the errors the engine would throw for the same problem.
+ */
+
+export const ERROR = 'error'
+export const WARNING = 'warning'
+
+/**
+ * Creates a problem
+ * @param {string} severity - 'error' when the engine would reject the definition, otherwise 'warning'
+ * @param {string} code - error code
+ * @param {string} path - JSON pointer of the offending property
+ * @param {string} message - human readable message
+ * @return {Object} problem
+ */
+function problem (severity, code, path, message) {
+  return { severity, code, path, message }
+}
+
+/**
+ * Normalizes a collection of registered names
+ * @param {Iterable|Map|undefined} names - names, or a Map keyed by name
+ * @return {Set|undefined} the names; undefined when the names are not checked
+ */
+function nameSet (names) {
+  if (!names) return undefined
+  return new Set(names instanceof Map ? names.keys() : names)
+}
+
+function has (object, property) {
+  return object !== null && typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, property)
+}
+
+/**
+ * Checks that an operator, and each decorator it is prefixed with, is registered
+ * @param {string} operator - operator name, e.g. 'everyFact:greaterThan'
+ * @param {Object} registry - { operators, decorators } name sets
+ * @return {string|undefined} message describing the problem, if any
+ */
+function operatorProblem (operator, registry) {
+  if (typeof operator !== 'string') {
+    return `Operator must be a string, got ${JSON.stringify(operator)}`
+  }
+  if (registry.operators.has(operator)) return undefined
+  const names = operator.split(':')
+  const name = names[names.length - 1]
+  if (registry.decorators) {
+    const decorator = names.slice(0, -1).find(decorator => !registry.decorators.has(decorator))
+    if (decorator !== undefined) {
+      return `Unknown operator decorator "${decorator}" (in "${operator}")`
+    }
+  }
+  if (!registry.operators.has(name)) {
+    return `Unknown operator "${name}"`
+  }
+}
+
+/**
+ * Collects the problems of a condition tree
+ * @param {Object} conditions - condition definition
+ * @param {Object} options - see validateRule(); only operators, decorators, conditions, rules and
+ *   allowUndefinedConditions apply
+ * @param {string} path - JSON pointer of the condition (default: '')
+ * @return {Object[]} problems
+ */
+export function validateConditions (conditions, options = {}, path = '') {
+  const registry = {
+    operators: nameSet(options.operators),
+    decorators: nameSet(options.decorators),
+    conditions: nameSet(options.conditions),
+    rules: nameSet(options.rules)
+  }
+  const problems = []
+  const visit = (condition, path) => {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      problems.push(problem(ERROR, 'INVALID_CONDITION', path, 'Condition must be an object'))
+      return
+    }
+    const booleanOperator = Condition.booleanOperator(condition)
+    if (booleanOperator === 'not') {
+      if (Array.isArray(condition.not)) {
+        problems.push(problem(ERROR, 'INVALID_CONDITION', `${path}/not`, '"not" cannot be an array'))
+      } else {
+        visit(condition.not, `${path}/not`)
+      }
+      return
+    }
+    if (booleanOperator) {
+      const subConditions = condition[booleanOperator]
+      if (!Array.isArray(subConditions)) {
+        problems.push(problem(ERROR, 'INVALID_CONDITION', `${path}/${booleanOperator}`, `"${booleanOperator}" must be an array`))
+      } else {
+        subConditions.forEach((subCondition, index) => visit(subCondition, `${path}/${booleanOperator}/${index}`))
+      }
+      return
+    }
+    if (has(condition, 'condition')) {
+      if (registry.conditions && !registry.conditions.has(condition.condition)) {
+        problems.push(problem(options.allowUndefinedConditions ? WARNING : ERROR, 'UNDEFINED_CONDITION', `${path}/condition`,
+          `No condition ${condition.condition} exists`))
+      }
+      return
+    }
+    const ruleReference = has(condition, 'rule')
+    if (!ruleReference && !has(condition, 'fact')) {
+      problems.push(problem(ERROR, 'INVALID_CONDITION', `${path}/fact`, 'Condition requires a "fact", "rule", "condition", "all", "any" or "not" property'))
+    }
+    if (ruleReference && registry.rules && !registry.rules.has(condition.rule)) {
+      problems.push(problem(WARNING, 'UNDEFINED_RULE', `${path}/rule`, `No rule ${condition.rule} exists; the condition tests an unevaluated rule`))
+    }
+    if (!has(condition, 'operator')) {
+      problems.push(problem(ERROR, 'INVALID_CONDITION', `${path}/operator`, 'Condition requires an "operator" property'))
+      return
+    }
+    const ruleOperator = ruleReference && Condition.ruleOperators.has(condition.operator)
+    if (!ruleOperator && !has(condition, 'value')) {
+      problems.push(problem(ERROR, 'INVALID_CONDITION', `${path}/value`, 'Condition requires a "value" property'))
+    }
+    if (!ruleOperator && registry.operators) {
+      const message = operatorProblem(condition.operator, registry)
+      if (message) {
+        problems.push(problem(ERROR, 'UNKNOWN_OPERATOR', `${path}/operator`, message))
+      }
+    }
+  }
+  visit(conditions, path)
+  return problems
+}
+
+/**
+ * Collects the problems of a rule's schedule, validating each part on its own so that every
+ * invalid day and time window is reported
+ * @param {Object} schedule - schedule definition
+ * @return {Object[]} problems
+ */
+function validateSchedule (schedule) {
+  const problems = []
+  const attempt = (path, properties) => {
+    try {
+      return new Schedule(properties)
+    } catch (error) {
+      problems.push(problem(ERROR, 'INVALID_SCHEDULE', path, error.message))
+    }
+  }
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    attempt('/schedule', schedule)
+    return problems
+  }
+  attempt('/schedule/timezone', { timezone: schedule.timezone })
+  ;['daysOfWeek', 'timeWindows'].forEach((property) => {
+    const values = schedule[property]
+    if (!Array.isArray(values)) {
+      attempt(`/schedule/${property}`, { [property]: values })
+    } else {
+      values.forEach((value, index) => attempt(`/schedule/${property}/${index}`, { [property]: [value] }))
+    }
+  })
+  return problems
+}
+
+/**
+ * Collects every problem of a rule definition
+ * @param {Object|string} json - rule definition, or json string that can be parsed into one
+ * @param {Object} options - the registries to check references against; omitted registries are not checked
+ * @param {Iterable<string>} options.operators - names of the registered operators
+ * @param {Iterable<string>} options.decorators - names of the registered operator decorators
+ * @param {Iterable<string>} options.conditions - names of the registered named conditions
+ * @param {Iterable<string>} options.actions - names of the registered actions
+ * @param {Iterable<string>} options.rules - names of the rules that rule conditions may test
+ * @param {boolean} options.allowUndefinedConditions - report undefined named conditions as warnings
+ * @return {Object[]} problems: { severity, code, path, message }, in document order
+ */
+export default function validateRule (json, options = {}) {
+  if (typeof json === 'string') {
+    try {
+      json = JSON.parse(json)
+    } catch (error) {
+      return [problem(ERROR, 'INVALID_RULE', '', `Rule is not valid JSON: ${error.message}`)]
+    }
+  }
+  if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+    return [problem(ERROR, 'INVALID_RULE', '', 'Rule must be an object')]
+  }
+  const problems = []
+  if (has(json, 'name') && !json.name && json.name !== 0) {
+    problems.push(problem(ERROR, 'INVALID_RULE', '/name', 'Rule "name" must be defined'))
+  }
+  if (has(json, 'priority') && !(parseInt(json.priority, 10) > 0)) {
+    problems.push(problem(ERROR, 'INVALID_PRIORITY', '/priority', 'Priority must be greater than zero'))
+  }
+  if (has(json, 'ruleSet') && !json.ruleSet) {
+    problems.push(problem(ERROR, 'INVALID_RULE', '/ruleSet', 'Rule "ruleSet" must be a non-empty string'))
+  }
+  ;['validFrom', 'validTo'].forEach((property) => {
+    const value = json[property]
+    if (value !== undefined && value !== null && Number.isNaN(new Date(value).getTime())) {
+      problems.push(problem(ERROR, 'INVALID_RULE', `/${property}`, `Rule "${property}" must be a valid date`))
+    }
+  })
+  if (json.schedule) {
+    problems.push(...validateSchedule(json.schedule))
+  }
+  if (!has(json, 'conditions')) {
+    problems.push(problem(ERROR, 'INVALID_RULE', '/conditions', 'Rule requires a "conditions" property'))
+  } else if (!['all', 'any', 'not', 'condition'].some(property => has(json.conditions, property))) {
+    problems.push(problem(ERROR, 'INVALID_CONDITION', '/conditions',
+      '"conditions" root must contain a single instance of "all", "any", "not", or "condition"'))
+  } else {
+    problems.push(...validateConditions(json.conditions, options, '/conditions'))
+  }
+  problems.push(...validateEvent(json, options))
+  return problems
+}
+
+/**
+ * Collects the problems of a rule's event and its actions
+ * @param {Object} json - rule definition
+ * @param {Object} options - see validateRule()
+ * @return {Object[]} problems
+ */
+function validateEvent (json, options) {
+  const event = json.event
+  if (!has(json, 'event')) {
+    return [problem(ERROR, 'INVALID_RULE', '/event', 'Rule requires an "event" property')]
+  }
+  if (!has(event, 'type')) {
+    return [problem(ERROR, 'INVALID_RULE', '/event/type', 'Rule event requires a "type" property')]
+  }
+  if (event.actions === undefined) return []
+  if (!Array.isArray(event.actions)) {
+    return [problem(ERROR, 'INVALID_RULE', '/event/actions', 'Rule event "actions" must be an array')]
+  }
+  const actions = nameSet(options.actions)
+  const problems = []
+  event.actions.forEach((action, index) => {
+    const path = `/event/actions/${index}`
+    if (!has(action, 'type')) {
+      problems.push(problem(ERROR, 'INVALID_ACTION', `${path}/type`, 'Action requires a "type" property'))
+    } else if (actions && !actions.has(action.type)) {
+      problems.push(problem(ERROR, 'UNKNOWN_ACTION', `${path}/type`, `Unknown action "${action.type}"`))
+    }
+  })
+  return problems
+}
+
+/**
+ * Finds the references that close a cycle of named conditions
+ * @param {Map<string, Condition>} conditions - named conditions
+ * @return {Object[]} problems, each with the name of the named condition it is found in
+ */
+export function findConditionCycles (conditions) {
+  const references = (name) => {
+    const found = []
+    conditions.get(name).walk((condition, path) => {
+      if (condition.isConditionReference()) found.push({ name: condition.condition, path })
+    })
+    return found
+  }
+  const reaches = (from, target, visited) => references(from).some(({ name }) => {
+    if (name === target) return true
+    if (!conditions.has(name) || visited.has(name)) return false
+    visited.add(name)
+    return reaches(name, target, visited)
+  })
+  const problems = []
+  conditions.forEach((_, name) => {
+    references(name).forEach((reference) => {
+      if (reference.name === name || (conditions.has(reference.name) && reaches(reference.name, name, new Set([reference.name])))) {
+        problems.push(Object.assign(problem(ERROR, 'CONDITION_CYCLE', `${reference.path}/condition`,
+          `Condition ${name} references itself`), { condition: name }))
+      }
+    })
+  })
+  return problems
+}
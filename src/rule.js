@@ -1,9 +1,32 @@
 'use strict'
 import Condition from './condition'
 import RuleResult from './rule-result'
-import debug from './debug'
+import Schedule from './schedule'
+import compileRule, { scoreAll, scoreAny, scoreNot } from './rule-compiler'
+import validateRule from './rule-validator'
+import traceRule, { now } from './trace'
 import deepClone from 'clone'
 import EventEmitter from 'eventemitter2'
+import {
+  RuleEngineError, InvalidRuleError, InvalidPriorityError, InvalidConditionError,
+  UndefinedConditionError, UnknownOperatorError
+} from './errors'
+/**
+ * Runs fn, adding the rule's name to the engine errors it throws
+ * @param {Rule} rule
+ * @param {Function} fn
+ * @return {any} the result of fn
+ */
+function attributeTo (rule, fn) {
+  try {
+    return fn()
+  } catch (error) {
+    if (error instanceof RuleEngineError && error.rule === undefined && rule.name !== undefined) {
+      error.rule = rule.name
+    }
+    throw error
+  }
+}
 /**
  * Rule class for defining and evaluating business rules with scoring and weight support
  */
@@ -17,6 +40,11 @@ class Rule extends EventEmitter {
    * @param {Object} options.event.params - parameters to pass to the event listener
    * @param {Object} options.conditions - conditions to evaluate when processing this rule
    * @param {any} options.name - identifier for a particular rule, particularly valuable in RuleResult output
+   * @param {string} options.ruleSet - name of the rule set the rule belongs to
+   * @param {Date|string|number} options.validFrom - the rule is inactive before this instant
+   * @param {Date|string|number} options.validTo - the rule is inactive from this instant on
+   * @param {Object} options.schedule - recurring days and time windows in which the rule is active
+   * @param {boolean} options.noLoop - under forward chaining, facts asserted by the rule's own events do not re-evaluate it
    * @param {Function} options.onSuccess - callback to execute when rule passes
    * @param {Function} options.onFailure - callback to execute when rule fails
    * @return {Rule} instance
@@ -26,6 +54,10 @@ class Rule extends EventEmitter {
     if (typeof options === 'string') {
       options = JSON.parse(options)
     }
+    // the name comes first, so errors about the other properties can name the rule
+    if (options && (options.name || options.name === 0)) {
+      this.setName(options.name)
+    }
     if (options && options.conditions) {
       this.setConditions(options.conditions)
     }
@@ -35,11 +67,21 @@ class Rule extends EventEmitter {
     if (options && options.onFailure) {
       this.on('failure', options.onFailure)
     }
-    if (options && (options.name || options.name === 0)) {
-      this.setName(options.name)
+    if (options && options.ruleSet) {
+      this.setRuleSet(options.ruleSet)
+    }
+    if (options && options.validFrom !== undefined) {
+      this.setValidFrom(options.validFrom)
+    }
+    if (options && options.validTo !== undefined) {
+      this.setValidTo(options.validTo)
     }
+    if (options && options.schedule) {
+      this.setSchedule(options.schedule)
+    }
+    this.setNoLoop(Boolean(options && options.noLoop))
     const priority = (options && options.priority) || 1
-    this.setPriority(priority)
+    attributeTo(this, () => this.setPriority(priority))
     const event = (options && options.event) || { type: 'unknown' }
     this.setEvent(event)
   }
@@ -49,8 +91,9 @@ class Rule extends EventEmitter {
    * @param {number} priority (>=1) - increasing the priority causes the rule to be run prior to other rules
    */
   setPriority (priority) {
-    priority = parseInt(priority, 10)
-    if (priority <= 0) { throw new Error('Priority must be greater than zero') }
+    const parsed = parseInt(priority, 10)
+    if (!(parsed > 0)) { throw new InvalidPriorityError(priority) }
+    priority = parsed
     this.priority = priority
     return this
   }
@@ -61,12 +104,112 @@ class Rule extends EventEmitter {
    */
   setName (name) {
     if (!name && name !== 0) {
-      throw new Error('Rule "name" must be defined')
+      throw new InvalidRuleError('Rule "name" must be defined', { property: 'name' })
     }
     this.name = name
     return this
   }
 
+  /**
+   * Assigns the rule to a named rule set
+   * @param {string} ruleSet - rule set name
+   */
+  setRuleSet (ruleSet) {
+    if (!ruleSet) {
+      throw new InvalidRuleError('Rule "ruleSet" must be a non-empty string', { rule: this.name, property: 'ruleSet' })
+    }
+    this.ruleSet = String(ruleSet)
+    return this
+  }
+
+  /**
+   * returns the name of the rule set the rule belongs to
+   * @returns {string|undefined} rule set name
+   */
+  getRuleSet () {
+    return this.ruleSet
+  }
+
+  /**
+   * Sets the instant from which the rule is active (inclusive)
+   * @param {Date|string|number|null} validFrom - date, ISO-8601 string or epoch milliseconds; null clears it
+   */
+  setValidFrom (validFrom) {
+    this.validFrom = attributeTo(this, () => Rule.parseDate(validFrom, 'validFrom'))
+    return this
+  }
+
+  /**
+   * Sets the instant from which the rule is no longer active (exclusive)
+   * @param {Date|string|number|null} validTo - date, ISO-8601 string or epoch milliseconds; null clears it
+   */
+  setValidTo (validTo) {
+    this.validTo = attributeTo(this, () => Rule.parseDate(validTo, 'validTo'))
+    return this
+  }
+
+  /**
+   * Sets the recurring schedule in which the rule is active
+   * @param {Object|Schedule|null} schedule - schedule definition; null clears it
+   */
+  setSchedule (schedule) {
+    if (!schedule) {
+      this.schedule = undefined
+    } else {
+      this.schedule = schedule instanceof Schedule ? schedule : attributeTo(this, () => new Schedule(schedule))
+    }
+    return this
+  }
+
+  /**
+   * Sets whether, under forward chaining, the rule ignores changes to facts asserted by its own events
+   * @param {boolean} noLoop
+   */
+  setNoLoop (noLoop) {
+    this.noLoop = noLoop
+    return this
+  }
+
+  /**
+   * Determines whether the rule is active at a point in time, based on its
+   * validity window and schedule
+   * @param {Date} date - point in time to test (default: now)
+   * @returns {boolean}
+   */
+  isActive (date = new Date()) {
+    if (this.validFrom && date < this.validFrom) return false
+    if (this.validTo && date >= this.validTo) return false
+    if (this.schedule && !this.schedule.isActive(date)) return false
+    return true
+  }
+
+  /**
+   * Converts a date-like value into a Date
+   * @param {Date|string|number|null} value - value to convert
+   * @param {string} property - property name, for error messages
+   * @returns {Date|undefined}
+   */
+  static parseDate (value, property) {
+    if (value === null || value === undefined) return undefined
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value)
+    if (Number.isNaN(date.getTime())) {
+      throw new InvalidRuleError(`Rule "${property}" must be a valid date`, { property, value })
+    }
+    return date
+  }
+
+  /**
+   * Validates a rule definition without constructing it, collecting every problem instead of
+   * throwing on the first
+   * @param {Object|string} json - rule definition, or json string that can be parsed into one
+   * @param {Object} options - registries to check references against, e.g. { operators: ['equal'] };
+   *   see rule-validator
+   * @returns {Object[]} problems: { severity, code, path, message }; path is a JSON pointer into json
+   */
+  static validate (json, options = {}) {
+    return validateRule(json, options)
+  }
+
   /**
    * Sets the conditions to run when evaluating the rule.
    * @param {Object} conditions - conditions, root element must be a boolean operator
@@ -76,9 +219,22 @@ class Rule extends EventEmitter {
       !Object.prototype.hasOwnProperty.call(conditions, 'any') &&
       !Object.prototype.hasOwnProperty.call(conditions, 'not') &&
       !Object.prototype.hasOwnProperty.call(conditions, 'condition')) {
-      throw new Error('"conditions" root must contain a single instance of "all", "any", "not", or "condition"')
+      throw new InvalidConditionError('"conditions" root must contain a single instance of "all", "any", "not", or "condition"', { rule: this.name, path: '' })
+    }
+    this.conditions = attributeTo(this, () => {
+      try {
+        return new Condition(conditions)
+      } catch (error) {
+        // errors of the root condition itself have no path yet
+        if (error instanceof InvalidConditionError && error.path === undefined) error.path = ''
+        throw error
+      }
+    })
+    this.compiled = null
+    if (this.engine) {
+      // rule conditions may change the evaluation order
+      this.engine.prioritizedRules = null
     }
-    this.conditions = new Condition(conditions)
     return this
   }
 
@@ -87,17 +243,24 @@ class Rule extends EventEmitter {
    * @param {Object} event - event to emit
    * @param {string} event.type - event name to emit on
    * @param {Object} event.params - parameters to emit as the argument of the event emission
+   * @param {Object[]} event.actions - actions to execute when the rule passes; [{ type: 'setFact', ... }]
    */
   setEvent (event) {
-    if (!event) { throw new Error('Rule: setEvent() requires event object') }
+    if (!event) { throw new InvalidRuleError('Rule: setEvent() requires event object', { rule: this.name, property: 'event' }) }
     if (!Object.prototype.hasOwnProperty.call(event, 'type')) {
-      throw new Error('Rule: setEvent() requires event object with "type" property')
+      throw new InvalidRuleError('Rule: setEvent() requires event object with "type" property', { rule: this.name, property: 'event' })
     }
     this.ruleEvent = {
       type: event.type
     }
     this.event = this.ruleEvent
     if (event.params) { this.ruleEvent.params = event.params }
+    if (event.actions) {
+      if (!Array.isArray(event.actions)) {
+        throw new InvalidRuleError('Rule: setEvent() "actions" must be an array', { rule: this.name, property: 'event' })
+      }
+      this.ruleEvent.actions = event.actions
+    }
     return this
   }
 
@@ -140,6 +303,7 @@ class Rule extends EventEmitter {
    */
   setEngine (engine) {
     this.engine = engine
+    this.compiled = null
     return this
   }
 
@@ -150,12 +314,41 @@ class Rule extends EventEmitter {
       event: this.ruleEvent,
       name: this.name
     }
+    if (this.ruleSet) {
+      props.ruleSet = this.ruleSet
+    }
+    if (this.validFrom) {
+      props.validFrom = this.validFrom.toISOString()
+    }
+    if (this.validTo) {
+      props.validTo = this.validTo.toISOString()
+    }
+    if (this.schedule) {
+      props.schedule = this.schedule.toJSON()
+    }
+    if (this.noLoop) {
+      props.noLoop = true
+    }
     if (stringify) {
       return JSON.stringify(props)
     }
     return props
   }
 
+  /**
+   * Emits the rule's success or failure event for an evaluated result
+   * @param {RuleResult} ruleResult - result produced by evaluate()
+   * @param {Almanac} almanac - almanac the rule was evaluated against
+   * @return {Promise<RuleResult>} resolves once all listeners have settled
+   */
+  emitResult (ruleResult, almanac) {
+    const event = ruleResult.result ? 'success' : 'failure'
+    const emitted = this.engine
+      ? this.engine.emitForRun(almanac.run, this, event, ruleResult.event, almanac, ruleResult)
+      : this.emitAsync(event, ruleResult.event, almanac, ruleResult)
+    return emitted.then(() => ruleResult)
+  }
+
   /**
    * Priorizes an array of conditions based on "priority"
    *   When no explicit priority is provided on the condition itself, the condition's priority is determine by its fact
@@ -184,14 +377,109 @@ class Rule extends EventEmitter {
       .map((priority) => factSets[priority])
   }
 
+  /**
+   * Compiles the rule's conditions into evaluator closures, unless the compiled form
+   * is still valid for the engine's current operators, named conditions and facts
+   * @param {Logger} logger - logger of the compilation's records (default: the engine's logger)
+   * @return {Object} compiled rule; see rule-compiler
+   */
+  compile (logger) {
+    const compiled = this.compiled
+    if (!compiled || compiled.engine !== this.engine || compiled.version !== this.engine.compileVersion) {
+      this.compiled = compileRule(this, logger)
+    }
+    return this.compiled
+  }
+
   /**
    * Evaluates the rule, starting with the root boolean operator and recursing down
    * All evaluation is done within the context of an almanac
    * @param {Almanac} almanac - almanac instance for rule evaluation
-   * @return {Promise<RuleResult>} rule evaluation result with score
+   * @param {Object} options - evaluation options
+   * @param {boolean} options.deferEvents - when true, the rule's success/failure events are not emitted; call emitResult() later
+   * @return {Promise<RuleResult>} rule evaluation result with score. Under the engine's 'fail-rule' and
+   *   'skip-rule' error policies, a throwing evaluation resolves with a failed result carrying the error;
+   *   under 'skip-rule' that result is neither recorded nor emitted.
    */
-  evaluate (almanac) {
-    const ruleResult = new RuleResult(this.conditions, this.ruleEvent, this.priority, this.name)
+  evaluate (almanac, options = {}) {
+    const metrics = this.engine.metrics
+    const started = (almanac.tracing || metrics) && now()
+    let ruleResult, evaluation
+    try {
+      if (this.engine.compileRules) {
+        const compiled = this.compile(almanac.logger)
+        ruleResult = new RuleResult(null, this.ruleEvent, this.priority, this.name)
+        ruleResult.conditions = compiled.instantiate()
+        evaluation = compiled.evaluate(ruleResult.conditions, almanac)
+      } else {
+        ruleResult = new RuleResult(this.conditions, this.ruleEvent, this.priority, this.name)
+        evaluation = this.interpret(ruleResult.conditions, almanac)
+      }
+    } catch (error) {
+      // compilation errors, and facts throwing synchronously, abort the evaluation before it returns a promise
+      if (!ruleResult) {
+        ruleResult = new RuleResult(this.conditions, this.ruleEvent, this.priority, this.name)
+      }
+      evaluation = Promise.reject(error)
+    }
+    const errorPolicy = this.engine.errorPolicy
+    return evaluation.catch((error) => {
+      if (errorPolicy === 'throw') {
+        throw error
+      }
+      ruleResult.error = error
+      return 0
+    }).then((score) => {
+      const result = score >= 1
+      ruleResult.setResult(result)
+      ruleResult.setScore(score)
+      if (ruleResult.error && errorPolicy === 'skip-rule') {
+        return ruleResult
+      }
+      almanac._recordRuleResult(ruleResult)
+      if (metrics) {
+        metrics.recordRule({ name: this.name, result, score, duration: now() - started })
+      }
+      if (this.engine.coverage) {
+        this.engine.coverage.recordRule({ rule: this, conditions: ruleResult.conditions, result, score })
+      }
+      if (almanac.tracing) {
+        ruleResult.trace = traceRule(ruleResult, started)
+      }
+      let processEvent = Promise.resolve()
+      if (this.engine.replaceFactsInEventParams) {
+        processEvent = ruleResult.resolveEventParams(almanac)
+      }
+      if (options.deferEvents) {
+        return processEvent.then(() => ruleResult)
+      }
+      return processEvent.then(() => this.emitResult(ruleResult, almanac))
+    })
+  }
+
+  /**
+   * Evaluates a condition tree by walking it, without compiling it first. Used when
+   * the engine's "compileRules" option is disabled.
+   *
+   * Every condition is evaluated regardless of individual results; the scores of
+   * sub-conditions are aggregated with scoreAll/scoreAny/scoreNot.
+   * @param {Condition} conditions - root condition; annotated with results as it is evaluated
+   * @param {Almanac} almanac - almanac instance for rule evaluation
+   * @return {Promise<number>} rule score (0-1)
+   */
+  interpret (conditions, almanac) {
+    /**
+     * Locates a condition of the tree being evaluated, for error context
+     * @param {Condition} node - condition within the tree
+     * @return {string|undefined} JSON pointer of the condition
+     */
+    const pathOf = (node) => {
+      let path
+      conditions.walk((condition, conditionPath) => {
+        if (condition === node) path = conditionPath
+      })
+      return path
+    }
     /**
      * Evaluates the rule conditions
      * @param {Condition} condition - condition to evaluate
@@ -219,115 +507,46 @@ class Rule extends EventEmitter {
       } else {
         return condition
           .evaluate(almanac, this.engine.operators)
+          .catch((error) => {
+            if (error instanceof UnknownOperatorError) {
+              Object.assign(error, { rule: this.name, path: pathOf(condition) })
+            }
+            throw error
+          })
           .then((evaluationResult) => {
             const score = evaluationResult.score
             condition.factResult = evaluationResult.leftHandSideValue
             condition.valueResult = evaluationResult.rightHandSideValue
             condition.result = evaluationResult.result
             condition.score = score
+            if (evaluationResult.timing) {
+              condition.timing = evaluationResult.timing
+            }
             return score
           })
       }
     }
     /**
-     * Evaluates an array of conditions using weighted scoring
-     *
-     * This replaces the previous priority-based short-circuiting approach with a comprehensive
-     * scoring system that evaluates all conditions to provide weighted scores.
-     *
-     * Previous behavior:
-     *   - Ordered top level conditions based on priority
-     *   - Iterated over each priority set, evaluating each condition
-     *   - Short-circuited when any condition guaranteed the rule to be truthy or falsey
-     *   - Did not evaluate additional conditions after short-circuit
-     *
-     * New scoring behavior:
-     *   - Orders conditions based on priority for consistent evaluation order
-     *   - Evaluates ALL conditions regardless of individual results
-     *   - Collects scores from each condition (0-1 range)
-     *   - Applies weighted scoring logic based on operator (all/any/not)
-     *   - Returns aggregated score that determines final rule result
-     *
+     * Evaluates an array of conditions in priority order, then aggregates their scores
      * @param {Condition[]} conditions - conditions to be evaluated
-     * @param {Function} method - evaluation method (evaluateAll or evaluateAny)
+     * @param {Function} method - scoring method (scoreAll or scoreAny)
      * @return {Promise<number>} weighted score based on condition evaluation + method
      */
     const evaluateConditions = (conditions, method) => {
       if (!Array.isArray(conditions)) { conditions = [conditions] }
       conditions = this.prioritizeConditions(conditions).flat()
       return Promise.all(conditions.map((condition) => evaluateCondition(condition))).then((conditionScores) => {
-        debug('rule::evaluateConditions', { results: conditionScores.map((score) => score >= 1), scores: conditionScores })
+        almanac.logger.trace('rule.conditions.evaluated', { rule: this.name, results: conditionScores.map((score) => score >= 1), scores: conditionScores })
         return method(conditionScores, conditions)
       })
     }
-    /**
-     * Evaluates conditions with 'any' logic using weighted maximum scoring
-     * Returns the highest weighted score among all conditions
-     *
-     * Weight handling for 'any' logic:
-     *   - Each condition can have an optional weight (defaults to 1)
-     *   - Higher weights increase the importance of that condition's score
-     *   - The final score is the maximum weighted score normalized by its weight
-     *   - This ensures that a high-weight condition scoring well dominates the result
-     *   - Example: condition A (weight=3, score=0.5) vs condition B (weight=1, score=0.8)
-     *     → A weighted = 1.5, B weighted = 0.8 → A wins → final score = 1.5/3 = 0.5
-     *
-     * @param {number[]} conditionScores - array of condition scores
-     * @param {Condition[]} conditions - array of conditions with weights
-     * @return {number} maximum weighted score
-     */
-    const evaluateAny = (conditionScores, conditions) => {
-      if (conditionScores.length === 0) {
-        return 0
-      }
-      let maxWeight = conditions[0].weight || 1
-      let maxWeightedScore = conditionScores[0] * maxWeight
-      for (let i = 1; i < conditionScores.length; i++) {
-        const weight = conditions[i].weight || 1
-        const weightedScore = conditionScores[i] * weight
-        if (weightedScore > maxWeightedScore) {
-          maxWeightedScore = weightedScore
-          maxWeight = weight
-        }
-      }
-      return maxWeightedScore / maxWeight
-    }
-    /**
-     * Evaluates conditions with 'all' logic using weighted average scoring
-     * Returns the weighted average of all condition scores
-     *
-     * Weight handling for 'all' logic:
-     *   - Each condition can have an optional weight (defaults to 1)
-     *   - Higher weights make that condition contribute more to the final average
-     *   - The final score is the sum of all weighted scores divided by total weight
-     *   - This ensures that important conditions have greater influence on the result
-     *   - Example: condition A (weight=3, score=0.9) + condition B (weight=1, score=0.3)
-     *     → (3*0.9 + 1*0.3) / (3+1) = 3.0 / 4 = 0.75
-     *
-     * @param {number[]} conditionScores - array of condition scores
-     * @param {Condition[]} conditions - array of conditions with weights
-     * @return {number} weighted average score
-     */
-    const evaluateAll = (conditionScores, conditions) => {
-      if (conditionScores.length === 0) {
-        return 1
-      }
-      let totalWeight = conditions[0].weight || 1
-      let totalWeightedScore = conditionScores[0] * totalWeight
-      for (let i = 1; i < conditionScores.length; i++) {
-        const weight = conditions[i].weight || 1
-        totalWeightedScore += conditionScores[i] * weight
-        totalWeight += weight
-      }
-      return totalWeightedScore / totalWeight
-    }
     /**
      * Runs an 'any' boolean operator on an array of conditions
      * @param {Condition[]} conditions to be evaluated
      * @return {Promise<number>} condition evaluation score
      */
     const any = (conditions) => {
-      return evaluateConditions(conditions, evaluateAny)
+      return evaluateConditions(conditions, scoreAny)
     }
     /**
      * Runs an 'all' boolean operator on an array of conditions
@@ -335,23 +554,15 @@ class Rule extends EventEmitter {
      * @return {Promise<number>} condition evaluation score
      */
     const all = (conditions) => {
-      return evaluateConditions(conditions, evaluateAll)
+      return evaluateConditions(conditions, scoreAll)
     }
     /**
      * Runs a 'not' boolean operator on a single condition
-     *
-     * Score inversion logic:
-     *   - Evaluates the inner condition to get its score (0-1)
-     *   - If score >= 1 (condition passes), returns 0 (not fails)
-     *   - If score < 1 (condition fails), returns 1 (not passes)
-     *   - This maintains binary pass/fail behavior for the 'not' operator
-     *   - Note: Partial scores (0 < score < 1) are treated as failures and inverted to 1
-     *
      * @param {Condition} condition to be evaluated
      * @return {Promise<number>} inverted condition evaluation score
      */
     const not = (condition) => {
-      return evaluateCondition(condition).then((score) => score >= 1 ? 0 : 1)
+      return evaluateCondition(condition).then(scoreNot)
     }
     /**
      * Dereferences the condition reference and then evaluates it.
@@ -367,7 +578,7 @@ class Rule extends EventEmitter {
           conditionReference.score = 0
           return Promise.resolve(0)
         } else {
-          throw new Error(`No condition ${conditionReference.condition} exists`)
+          throw new UndefinedConditionError(conditionReference.condition, { rule: this.name, path: pathOf(conditionReference) })
         }
       } else {
         // project the referenced condition onto reference object and evaluate it.
@@ -376,29 +587,14 @@ class Rule extends EventEmitter {
         return evaluateCondition(conditionReference)
       }
     }
-    /**
-     * Emits based on rule evaluation result, and decorates ruleResult with 'result' and 'score' properties
-     * @param {number} score - rule evaluation score (0-1)
-     */
-    const processScore = (score) => {
-      const result = score >= 1
-      ruleResult.setResult(result)
-      ruleResult.setScore(score)
-      let processEvent = Promise.resolve()
-      if (this.engine.replaceFactsInEventParams) {
-        processEvent = ruleResult.resolveEventParams(almanac)
-      }
-      const event = result ? 'success' : 'failure'
-      return processEvent.then(() => this.emitAsync(event, ruleResult.event, almanac, ruleResult)).then(() => ruleResult)
-    }
-    if (ruleResult.conditions.any) {
-      return any(ruleResult.conditions.any).then((score) => processScore(score))
-    } else if (ruleResult.conditions.all) {
-      return all(ruleResult.conditions.all).then((score) => processScore(score))
-    } else if (ruleResult.conditions.not) {
-      return not(ruleResult.conditions.not).then((score) => processScore(score))
+    if (conditions.any) {
+      return any(conditions.any)
+    } else if (conditions.all) {
+      return all(conditions.all)
+    } else if (conditions.not) {
+      return not(conditions.not)
     } else {
-      return realize(ruleResult.conditions).then((score) => processScore(score))
+      return realize(conditions)
     }
   }
 }
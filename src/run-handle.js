@@ -0,0 +1,171 @@
+'use strict'
+import { RunCancelledError, RunTimeoutError } from './errors'
+import { defaultLogger } from './logger'
+export const READY = 'READY'
+export const RUNNING = 'RUNNING'
+export const FINISHED = 'FINISHED'
+export const CANCELLED = 'CANCELLED'
+let runCount = 0
+/**
+ * RunHandle tracks the state of a single engine.run() invocation.
+ *
+ * Each run owns its status, so stopping or cancelling one run never affects
+ * other runs executing concurrently on the same engine. The handle is a
+ * thenable, so it can be awaited exactly like the promise run() used to return.
+ */
+export default class RunHandle {
+  /**
+   * Creates a new RunHandle instance
+   * @param {Object} options - run handle options
+   * @param {string} options.id - identifies the run in log records (default: a process-wide sequence number)
+   * @param {Logger} options.logger - logger the run's records are written to, bound to the run id
+   * @param {AbortSignal} options.signal - optional signal; aborting it cancels the run
+   * @param {number} options.timeout - optional time limit (ms); the run is cancelled with a RunTimeoutError once exceeded
+   * @param {Function} options.onResult - optional callback invoked with each RuleResult as soon as it is evaluated
+   */
+  constructor (options = {}) {
+    this.id = options.id !== undefined ? options.id : String(++runCount)
+    this.logger = (options.logger || defaultLogger).child({ runId: this.id })
+    this.status = READY
+    this.settled = false
+    this.promise = new Promise((resolve, reject) => {
+      this._resolve = resolve
+      this._reject = reject
+    })
+    this.signal = options.signal
+    if (this.signal) {
+      if (this.signal.aborted) {
+        this.cancel(this.signal.reason)
+      } else {
+        this._onAbort = () => this.cancel(this.signal.reason)
+        this.signal.addEventListener('abort', this._onAbort)
+      }
+    }
+    this.onResult = options.onResult
+    this.timeout = options.timeout
+    if (this.timeout > 0 && !this.settled) {
+      this._timer = setTimeout(() => this._expire(), this.timeout)
+    }
+  }
+
+  /**
+   * Marks the run as started
+   * @return {RunHandle}
+   */
+  start () {
+    if (this.status === READY) {
+      this.status = RUNNING
+    }
+    return this
+  }
+
+  /**
+   * Whether rules should continue to be evaluated for this run
+   * @return {boolean}
+   */
+  isRunning () {
+    return this.status === RUNNING
+  }
+
+  /**
+   * Whether the run has been cancelled
+   * @return {boolean}
+   */
+  isCancelled () {
+    return this.status === CANCELLED
+  }
+
+  /**
+   * Reports an evaluated rule result to the onResult callback
+   * @param {RuleResult} ruleResult
+   */
+  notifyResult (ruleResult) {
+    if (this.onResult) {
+      this.onResult(ruleResult)
+    }
+  }
+
+  /**
+   * Stops the run from evaluating the next priority set of rules. The run still
+   * resolves with the results gathered so far.
+   * Returns nothing, so it is safe to return from an event handler.
+   */
+  stop () {
+    if (this.status === READY || this.status === RUNNING) {
+      this.logger.debug('run.stopped')
+      this.status = FINISHED
+    }
+  }
+
+  /**
+   * Cancels the run. Remaining rules are skipped, no further events are emitted,
+   * and the run rejects with a RunCancelledError.
+   * @param {any} reason - optional cancellation reason
+   */
+  cancel (reason) {
+    if (this.settled) { return }
+    this.logger.debug('run.cancelled', { reason })
+    this.status = CANCELLED
+    this._settle(this._reject, new RunCancelledError(reason))
+  }
+
+  /**
+   * Cancels the run once its time limit has been exceeded
+   * @private
+   */
+  _expire () {
+    if (this.settled) { return }
+    this.logger.warn('run.timedOut', { timeout: this.timeout })
+    this.status = CANCELLED
+    this._settle(this._reject, new RunTimeoutError(this.timeout))
+  }
+
+  /**
+   * Resolves the run with its results
+   * @param {Object} result - engine run result
+   */
+  finish (result) {
+    if (this.settled) { return }
+    this.status = FINISHED
+    this._settle(this._resolve, result)
+  }
+
+  /**
+   * Rejects the run with an evaluation error
+   * @param {Error} error
+   */
+  fail (error) {
+    if (this.settled) { return }
+    this.status = FINISHED
+    this._settle(this._reject, error)
+  }
+
+  /**
+   * Settles the underlying promise and releases the abort listener and timer
+   * @private
+   */
+  _settle (settle, value) {
+    this.settled = true
+    if (this._timer) {
+      clearTimeout(this._timer)
+      this._timer = null
+    }
+    if (this._onAbort) {
+      this.signal.removeEventListener('abort', this._onAbort)
+      this._onAbort = null
+    }
+    settle(value)
+  }
+
+  then (onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected)
+  }
+
+  catch (onRejected) {
+    return this.promise.catch(onRejected)
+  }
+
+  finally (onFinally) {
+    return this.promise.finally(onFinally)
+  }
+}
@@ -0,0 +1,121 @@
+'use strict'
+/**
+ * RunStream is an async iterator over the rule results of a single run.
+ *
+ * Each RuleResult is yielded as soon as it has been evaluated, in priority
+ * group order. Once the run completes a final summary item is yielded, carrying
+ * the same properties engine.run() resolves with plus type: 'summary'.
+ * Leaving the iteration early (break, return or throw) stops the run.
+ */
+export default class RunStream {
+  constructor () {
+    this.buffer = []
+    this.waiting = []
+    this.closed = false
+    this.error = null
+    this.run = null
+  }
+
+  /**
+   * Connects the stream to the run producing its results
+   * @param {RunHandle} run - run handle
+   * @return {RunStream}
+   */
+  attach (run) {
+    this.run = run
+    run.then(
+      (result) => {
+        this.push(Object.assign({ type: 'summary' }, result))
+        this.close()
+      },
+      (error) => this.fail(error)
+    )
+    return this
+  }
+
+  /**
+   * Queues an item, or hands it straight to a pending next() call
+   * @param {RuleResult|Object} value - rule result or summary item
+   */
+  push (value) {
+    if (this.closed) { return }
+    const item = { value, done: false }
+    if (this.waiting.length) {
+      this.waiting.shift().resolve(item)
+    } else {
+      this.buffer.push(item)
+    }
+  }
+
+  /**
+   * Ends the stream; buffered items can still be consumed
+   */
+  close () {
+    if (this.closed) { return }
+    this.closed = true
+    this.waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }))
+  }
+
+  /**
+   * Ends the stream with an error; the next call to next() rejects with it
+   * @param {Error} error
+   */
+  fail (error) {
+    if (this.closed) { return }
+    this.closed = true
+    if (this.waiting.length) {
+      this.waiting.splice(0).forEach(({ reject }) => reject(error))
+    } else {
+      this.error = error
+    }
+  }
+
+  /**
+   * Resolves with the next rule result, or the summary item at the end of the run
+   * @return {Promise<Object>} iterator result
+   */
+  next () {
+    if (this.buffer.length) {
+      return Promise.resolve(this.buffer.shift())
+    }
+    if (this.error) {
+      const error = this.error
+      this.error = null
+      return Promise.reject(error)
+    }
+    if (this.closed) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }))
+  }
+
+  /**
+   * Stops the run and ends the stream; called when a for-await loop is exited early
+   * @param {any} value
+   * @return {Promise<Object>} iterator result
+   */
+  return (value) {
+    if (this.run) {
+      this.run.logger.debug('stream.returned')
+      this.run.stop()
+    }
+    this.buffer = []
+    this.error = null
+    this.close()
+    return Promise.resolve({ value, done: true })
+  }
+
+  /**
+   * Stops the run and rethrows the error into the consumer
+   * @param {Error} error
+   * @return {Promise}
+   */
+  throw (error) {
+    this.return()
+    return Promise.reject(error)
+  }
+
+  [Symbol.asyncIterator] () {
+    return this
+  }
+}
@@ -0,0 +1,126 @@
+'use strict'
+import { InvalidScheduleError } from './errors'
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+/**
+ * Parses an "HH:mm" string into minutes since midnight
+ * @param {string} time - time of day, 24 hour clock
+ * @param {string} property - property name, for error messages
+ * @return {number} minutes since midnight
+ */
+function parseTimeOfDay (time, property) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time)
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (Number(match[1]) === 24 && Number(match[2]) !== 0)) {
+    throw new InvalidScheduleError(`Schedule: "${property}" must be a time of day formatted as HH:mm`, { property: 'timeWindows', value: time })
+  }
+  return Number(match[1]) * 60 + Number(match[2])
+}
+/**
+ * Normalizes a day of week into its 0 (sunday) - 6 (saturday) index
+ * @param {number|string} day - day index, or english day name ('mon', 'Monday', ...)
+ * @return {number} day index
+ */
+function parseDayOfWeek (day) {
+  if (Number.isInteger(day) && day >= 0 && day <= 6) {
+    return day
+  }
+  const index = typeof day === 'string' ? DAYS.indexOf(day.slice(0, 3).toLowerCase()) : -1
+  if (index === -1) {
+    throw new InvalidScheduleError(`Schedule: invalid day of week "${day}"`, { property: 'daysOfWeek', value: day })
+  }
+  return index
+}
+/**
+ * Schedule describes the recurring periods in which a rule is active: the days of the
+ * week, and the time windows within those days, evaluated in a given timezone.
+ */
+export default class Schedule {
+  /**
+   * Creates a new Schedule instance
+   * @param {Object} options - schedule definition
+   * @param {Array<number|string>} options.daysOfWeek - active days; 0 (sunday) - 6 (saturday) or day names (default: every day)
+   * @param {Object[]} options.timeWindows - active time windows; [{ start: 'HH:mm', end: 'HH:mm' }] (default: all day)
+   *   start is inclusive, end is exclusive. A window whose end precedes its start spans midnight, and belongs to
+   *   the day it starts on.
+   * @param {string} options.timezone - IANA timezone the days and windows are expressed in (default: 'UTC')
+   */
+  constructor (options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      throw new InvalidScheduleError('Schedule: must be an object of { daysOfWeek, timeWindows, timezone }', { property: 'schedule', value: options })
+    }
+    this.timezone = options.timezone || 'UTC'
+    try {
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: this.timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      })
+    } catch (error) {
+      throw new InvalidScheduleError(`Schedule: invalid timezone "${this.timezone}"`, { property: 'timezone', value: this.timezone })
+    }
+    if (options.daysOfWeek !== undefined && !Array.isArray(options.daysOfWeek)) {
+      throw new InvalidScheduleError('Schedule: "daysOfWeek" must be an array', { property: 'daysOfWeek', value: options.daysOfWeek })
+    }
+    if (options.timeWindows !== undefined && !Array.isArray(options.timeWindows)) {
+      throw new InvalidScheduleError('Schedule: "timeWindows" must be an array', { property: 'timeWindows', value: options.timeWindows })
+    }
+    this.daysOfWeek = options.daysOfWeek
+    this.timeWindows = options.timeWindows
+    this.days = options.daysOfWeek && options.daysOfWeek.map(parseDayOfWeek)
+    this.windows = options.timeWindows && options.timeWindows.map((window) => {
+      if (window === null || typeof window !== 'object') {
+        throw new InvalidScheduleError('Schedule: "timeWindows" entries must be { start, end } objects', { property: 'timeWindows', value: window })
+      }
+      const start = parseTimeOfDay(window.start, 'start')
+      const end = parseTimeOfDay(window.end, 'end')
+      if (start === end) {
+        throw new InvalidScheduleError(`Schedule: time window "${window.start}"-"${window.end}" must not start and end at the same time`, { property: 'timeWindows', value: window })
+      }
+      return { start, end }
+    })
+  }
+
+  /**
+   * Determines whether the schedule is active at a point in time
+   * @param {Date} date - point in time to test
+   * @return {boolean}
+   */
+  isActive (date) {
+    const parts = this.formatter.formatToParts(date).reduce((hash, part) => {
+      hash[part.type] = part.value
+      return hash
+    }, {})
+    const day = DAYS.indexOf(parts.weekday.toLowerCase())
+    const minutes = (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+    const onDay = (index) => !this.days || this.days.includes(index)
+    if (!this.windows) {
+      return onDay(day)
+    }
+    return this.windows.some(({ start, end }) => {
+      if (start < end) {
+        return onDay(day) && minutes >= start && minutes < end
+      }
+      // past midnight, a window spanning midnight belongs to the day it started on
+      if (minutes < end) {
+        return onDay((day + 6) % 7)
+      }
+      return minutes >= start && onDay(day)
+    })
+  }
+
+  /**
+   * Converts the schedule into a json-friendly structure
+   * @return {Object}
+   */
+  toJSON () {
+    const props = { timezone: this.timezone }
+    if (this.daysOfWeek) {
+      props.daysOfWeek = this.daysOfWeek
+    }
+    if (this.timeWindows) {
+      props.timeWindows = this.timeWindows.map(({ start, end }) => ({ start, end }))
+    }
+    return props
+  }
+}
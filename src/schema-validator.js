@@ -0,0 +1,183 @@
+'use strict'
+import { InvalidArgumentError } from './errors'
+/**
+ * A small JSON Schema (draft 2020-12) validator, sufficient for the rule schema.
+ *
+ * Supported keywords: $ref (to the same document, e.g. '#/$defs/condition'), $defs, type, enum, const,
+ * properties, required, additionalProperties, items, minItems, minLength, pattern, minimum, maximum,
+ * exclusiveMinimum, allOf, anyOf, oneOf, not and if/then/else. Other keywords, e.g. format, title
+ * and description, are annotations and are ignored. Remote references are not resolved: nothing
+ * is fetched over the network.
+ */
+
+/**
+ * Escapes a property name or index for use in a JSON pointer
+ * @param {string|number} token
+ * @return {string}
+ */
+function escapePointer (token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * Resolves a JSON pointer within a document
+ * @param {Object} document
+ * @param {string} ref - reference, e.g. '#/$defs/condition'
+ * @return {Object} the referenced schema
+ */
+function resolveRef (document, ref) {
+  if (ref === '#') return document
+  if (!ref.startsWith('#/')) {
+    throw new InvalidArgumentError(`Schema: cannot resolve "${ref}"; only references within the schema are supported`, { argument: 'schema', value: ref })
+  }
+  return ref.slice(2).split('/').reduce((schema, token) => {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~')
+    if (!schema || !Object.prototype.hasOwnProperty.call(schema, key)) {
+      throw new InvalidArgumentError(`Schema: cannot resolve "${ref}"`, { argument: 'schema', value: ref })
+    }
+    return schema[key]
+  }, document)
+}
+
+/**
+ * Returns the JSON type of a value
+ * @param {any} value
+ * @return {string}
+ */
+function typeOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * Whether a value has a JSON Schema type
+ * @param {any} value
+ * @param {string} type
+ * @return {boolean}
+ */
+function hasType (value, type) {
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+  return typeOf(value) === type
+}
+
+/**
+ * Deep equality of JSON values, for enum and const
+ * @param {any} a
+ * @param {any} b
+ * @return {boolean}
+ */
+function equal (a, b) {
+  if (a === b) return true
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => equal(a[key], b[key]))
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * @param {Object} schema - JSON Schema document
+ * @param {any} value - value to validate
+ * @return {Object[]} errors: { path, schemaPath, keyword, message }; path is a JSON pointer into
+ *   the value, schemaPath a JSON pointer into the schema. Empty when the value is valid.
+ */
+export default function validateSchema (schema, value) {
+  const document = schema
+  const validate = (schema, value, path, schemaPath) => {
+    if (schema === true) return []
+    if (schema === false) return [{ path, schemaPath, keyword: 'false', message: 'is not allowed' }]
+    const errors = []
+    const fail = (keyword, message) => errors.push({ path, schemaPath: `${schemaPath}/${keyword}`, keyword, message })
+    const nested = (subSchema, subValue, subPath, keyword) => validate(subSchema, subValue, subPath, `${schemaPath}/${keyword}`)
+
+    if (schema.$ref !== undefined) {
+      errors.push(...validate(resolveRef(document, schema.$ref), value, path, schema.$ref))
+    }
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type)
+      if (!types.some(type => hasType(value, type))) {
+        fail('type', `must be ${types.join(' or ')}`)
+        // the remaining keywords assume the type
+        return errors
+      }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(allowed => equal(allowed, value))) {
+      fail('enum', `must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`)
+    }
+    if (schema.const !== undefined && !equal(schema.const, value)) {
+      fail('const', `must be ${JSON.stringify(schema.const)}`)
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail('minLength', `must have at least ${schema.minLength} characters`)
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+        fail('pattern', `must match pattern ${schema.pattern}`)
+      }
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail('minimum', `must be >= ${schema.minimum}`)
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail('maximum', `must be <= ${schema.maximum}`)
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`)
+      }
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail('minItems', `must have at least ${schema.minItems} items`)
+      }
+      if (schema.items !== undefined) {
+        value.forEach((item, index) => errors.push(...nested(schema.items, item, `${path}/${index}`, 'items')))
+      }
+    }
+    if (typeOf(value) === 'object') {
+      // properties set to undefined are left out of JSON, and so are treated as missing
+      const present = (property) => Object.prototype.hasOwnProperty.call(value, property) && value[property] !== undefined
+      ;(schema.required || []).forEach((property) => {
+        if (!present(property)) {
+          fail('required', `must have required property "${property}"`)
+        }
+      })
+      const properties = schema.properties || {}
+      Object.keys(value).filter(present).forEach((property) => {
+        const propertyPath = `${path}/${escapePointer(property)}`
+        if (Object.prototype.hasOwnProperty.call(properties, property)) {
+          errors.push(...nested(properties[property], value[property], propertyPath, `properties/${escapePointer(property)}`))
+        } else if (schema.additionalProperties !== undefined) {
+          errors.push(...nested(schema.additionalProperties, value[property], propertyPath, 'additionalProperties'))
+        }
+      })
+    }
+    if (schema.allOf !== undefined) {
+      schema.allOf.forEach((subSchema, index) => errors.push(...nested(subSchema, value, path, `allOf/${index}`)))
+    }
+    if (schema.anyOf !== undefined) {
+      const results = schema.anyOf.map((subSchema, index) => nested(subSchema, value, path, `anyOf/${index}`))
+      if (!results.some(result => result.length === 0)) {
+        fail('anyOf', 'must match a schema in anyOf')
+      }
+    }
+    if (schema.oneOf !== undefined) {
+      const matches = schema.oneOf.filter((subSchema, index) => nested(subSchema, value, path, `oneOf/${index}`).length === 0).length
+      if (matches !== 1) {
+        fail('oneOf', matches ? 'must match exactly one schema in oneOf' : 'must match a schema in oneOf')
+      }
+    }
+    if (schema.not !== undefined && nested(schema.not, value, path, 'not').length === 0) {
+      fail('not', 'must not be valid against the schema in not')
+    }
+    if (schema.if !== undefined) {
+      const branch = nested(schema.if, value, path, 'if').length === 0 ? 'then' : 'else'
+      if (schema[branch] !== undefined) {
+        errors.push(...nested(schema[branch], value, path, branch))
+      }
+    }
+    return errors
+  }
+  return validate(schema, value, '', '#')
+}
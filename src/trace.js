@@ -0,0 +1,107 @@
+'use strict'
+/* global performance */
+/**
+ * Evaluation traces, attached to rule results when a run has the "trace" option.
+ *
+ * While tracing, each non-boolean condition records when its evaluation started and
+ * finished, and every fact lookup made on its behalf. Once the rule is evaluated, the
+ * annotated condition tree is turned into a trace tree mirroring it.
+ */
+
+/**
+ * Returns a high resolution timestamp in milliseconds
+ * @return {number}
+ */
+export function now () {
+  return performance.now()
+}
+
+/**
+ * Rounds a duration to microseconds, keeping traces readable
+ * @param {number} duration - milliseconds
+ * @return {number}
+ */
+function round (duration) {
+  return Math.round(duration * 1000) / 1000
+}
+
+/**
+ * Builds the trace of an evaluated condition
+ * @param {Condition} condition - condition annotated with results, and with timings by Condition#evaluateOperator()
+ * @return {Object} trace node; "started" and "finished" are used to time the parent and removed from the result
+ */
+function traceCondition (condition) {
+  const booleanOperator = condition.booleanOperator()
+  const node = {}
+  if (condition.name) {
+    node.name = condition.name
+  }
+  if (booleanOperator) {
+    const children = [].concat(condition[booleanOperator]).map(traceCondition)
+    node.operator = booleanOperator
+    node.children = children
+    // children are evaluated concurrently; the node spans from the first start to the last finish
+    const timed = children.filter(child => child.started !== undefined)
+    if (timed.length) {
+      node.started = Math.min(...timed.map(child => child.started))
+      node.finished = Math.max(...timed.map(child => child.finished))
+    }
+  } else if (condition.isConditionReference()) {
+    // an undefined condition reference, which was not evaluated
+    node.condition = condition.condition
+  } else {
+    if (condition.isRuleReference()) {
+      node.rule = condition.rule
+    } else {
+      node.fact = condition.fact
+      if (condition.params) node.params = condition.params
+      if (condition.path) node.path = condition.path
+    }
+    node.operator = condition.operator
+    node.value = condition.valueResult
+    node.factValue = condition.factResult
+  }
+  node.score = condition.score
+  node.result = condition.result
+  const timing = condition.timing
+  if (timing) {
+    node.started = timing.started
+    node.finished = timing.finished
+    if (timing.cached !== undefined) node.cached = timing.cached
+    node.facts = timing.facts.map(({ started, finished, ...lookup }) => Object.assign(lookup, { duration: round(finished - started) }))
+  }
+  // conditions that were not evaluated, such as undefined condition references, take no time
+  node.duration = node.started === undefined ? 0 : round(node.finished - node.started)
+  return node
+}
+
+/**
+ * Removes the timestamps used to compute durations from a trace tree
+ * @param {Object} node - trace node
+ * @return {Object} node
+ */
+function strip (node) {
+  delete node.started
+  delete node.finished
+  if (node.children) node.children.forEach(strip)
+  return node
+}
+
+/**
+ * Builds the trace of an evaluated rule
+ * @param {RuleResult} ruleResult - evaluated rule result
+ * @param {number} started - timestamp the rule evaluation started at
+ * @return {Object} { duration, conditions }; conditions mirrors the rule's condition tree
+ */
+export default function traceRule (ruleResult, started) {
+  const conditions = traceCondition(ruleResult.conditions)
+  // the root boolean operator is not annotated when rules are compiled; its score is the rule's
+  if (conditions.score === undefined) {
+    conditions.score = ruleResult.score
+    conditions.result = ruleResult.result
+  }
+  return {
+    duration: round(now() - started),
+    conditions: strip(conditions)
+  }
+}
@@ -1,7 +1,6 @@
 'use strict'
 import Engine from './engine'
 import Rule from './rule'
-import debug from './debug'
 
 /**
  * ValidateEngine extends the base Engine class with specialized validation functionality
@@ -56,7 +55,7 @@ export default class ValidateEngine extends Engine {
    * @return {Promise<Object>} analysis of which rules would be satisfied
    */
   async findSatisfiedRules (facts, focusedFactId) {
-    debug('validateEngine::findSatisfiedRules', { factIds: Object.keys(facts) })
+    this.logger.debug('validate.findSatisfiedRules', { facts: Object.keys(facts) })
 
     const providedFactIds = Object.keys(facts)
 
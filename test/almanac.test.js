@@ -195,6 +195,21 @@ describe('Almanac', () => {
         almanac.factValue('foo')
         expect(factSpy).to.have.been.calledOnce()
       })
+
+      it('recalculates facts whose dependencies were replaced', async () => {
+        almanac = new Almanac()
+        almanac.addFact('rate', 2)
+        almanac.addFact('price', (params, almanac) => {
+          factSpy()
+          return almanac.factValue('rate').then(rate => rate * 10)
+        })
+        expect(await almanac.factValue('price')).to.equal(20)
+        almanac.addFact('rate', 2)
+        expect(await almanac.factValue('price')).to.equal(20)
+        almanac.addFact('rate', 3)
+        expect(await almanac.factValue('price')).to.equal(30)
+        expect(factSpy).to.have.been.calledTwice()
+      })
     })
   })
 })
@@ -80,6 +80,20 @@ describe('Condition', () => {
     })
   })
 
+  describe('walk', () => {
+    it('visits every condition depth first with its JSON pointer', () => {
+      const condition = new Condition({
+        all: [
+          { fact: 'age', operator: 'greaterThan', value: 18 },
+          { not: { any: [{ condition: 'isBanned' }] } }
+        ]
+      })
+      const visited = []
+      condition.walk((node, path) => visited.push(path))
+      expect(visited).to.deep.equal(['', '/all/0', '/all/1', '/all/1/not', '/all/1/not/any/0'])
+    })
+  })
+
   describe('evaluate', () => {
     const conditionBase = factories.condition({
       fact: 'age',
@@ -0,0 +1,176 @@
+'use strict'
+
+import engineFactory, { Action } from '../src/index'
+import sinon from 'sinon'
+
+describe('Engine: actions', () => {
+  let engine
+  let sandbox
+  before(() => {
+    sandbox = sinon.createSandbox()
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  const conditions = {
+    all: [{
+      fact: 'cartTotal',
+      operator: 'greaterThan',
+      value: 100
+    }]
+  }
+
+  function setup (actions, options) {
+    engine = engineFactory([factories.rule({ name: 'big-spender', conditions, event: { type: 'bigSpender', actions } })], options)
+    return engine
+  }
+
+  describe('default actions', () => {
+    it('setFact sets the fact in the almanac', async () => {
+      setup([{ type: 'setFact', fact: 'tier', value: 'gold' }])
+      const { almanac } = await engine.run({ cartTotal: 150 })
+      expect(await almanac.factValue('tier')).to.equal('gold')
+    })
+
+    it('resolves fact references in action values', async () => {
+      setup([{ type: 'setFact', fact: 'lastTotal', value: { fact: 'cartTotal' } }])
+      const { almanac } = await engine.run({ cartTotal: 150 })
+      expect(await almanac.factValue('lastTotal')).to.equal(150)
+    })
+
+    it('incrementFact adds to the fact, starting undefined facts at 0', async () => {
+      setup([
+        { type: 'incrementFact', fact: 'visits' },
+        { type: 'incrementFact', fact: 'points', by: 10 },
+        { type: 'incrementFact', fact: 'points', by: { fact: 'cartTotal' } }
+      ])
+      const { almanac } = await engine.run({ cartTotal: 150, points: 5 })
+      expect(await almanac.factValue('visits')).to.equal(1)
+      expect(await almanac.factValue('points')).to.equal(165)
+    })
+
+    it('appendToFact appends to the fact, starting undefined facts empty', async () => {
+      setup([
+        { type: 'appendToFact', fact: 'badges', value: 'spender' },
+        { type: 'appendToFact', fact: 'history', value: { fact: 'cartTotal' } }
+      ])
+      const history = [50]
+      const { almanac } = await engine.run({ cartTotal: 150, history })
+      expect(await almanac.factValue('badges')).to.deep.equal(['spender'])
+      expect(await almanac.factValue('history')).to.deep.equal([50, 150])
+      expect(history).to.deep.equal([50])
+    })
+
+    it('appendToFact rejects when the fact is not an array', async () => {
+      setup([{ type: 'appendToFact', fact: 'cartTotal', value: 1 }])
+      await expect(engine.run({ cartTotal: 150 })).to.be.rejectedWith('Action "appendToFact" requires fact "cartTotal" to be an array')
+    })
+
+    it('emit emits the event with resolved params', async () => {
+      setup([{ type: 'emit', event: 'notify', params: { channel: 'email', total: { fact: 'cartTotal' } } }])
+      const handler = sandbox.spy()
+      engine.on('notify', handler)
+      await engine.run({ cartTotal: 150 })
+      expect(handler).to.have.been.calledOnce()
+      expect(handler.getCall(0).args[0]).to.deep.equal({ channel: 'email', total: 150 })
+      expect(handler.getCall(0).args[2].name).to.equal('big-spender')
+    })
+
+    it('rejects action definitions missing required properties', async () => {
+      setup([{ type: 'setFact', value: 1 }])
+      await expect(engine.run({ cartTotal: 150 })).to.be.rejectedWith('Action "setFact" requires a "fact" property')
+    })
+  })
+
+  it('executes actions in order, before the success events', async () => {
+    setup([
+      { type: 'setFact', fact: 'points', value: 1 },
+      { type: 'incrementFact', fact: 'points' }
+    ])
+    let points
+    engine.on('success', async (event, almanac) => { points = await almanac.factValue('points') })
+    await engine.run({ cartTotal: 150 })
+    expect(points).to.equal(2)
+  })
+
+  it('does not execute actions of failing rules', async () => {
+    setup([{ type: 'setFact', fact: 'tier', value: 'gold' }])
+    const { almanac } = await engine.run({ cartTotal: 50, tier: 'silver' })
+    expect(await almanac.factValue('tier')).to.equal('silver')
+  })
+
+  it('rejects unknown action types', async () => {
+    setup([{ type: 'notify' }])
+    await expect(engine.run({ cartTotal: 150 })).to.be.rejectedWith('Engine: unknown action "notify" in rule "big-spender"')
+  })
+
+  it('validates that actions is an array', () => {
+    expect(() => setup({ type: 'setFact' })).to.throw('Rule: setEvent() "actions" must be an array')
+  })
+
+  describe('custom actions', () => {
+    it('addAction() registers a callback', async () => {
+      setup([{ type: 'discount', percent: 10 }])
+      engine.addAction('discount', async (action, { almanac }) => {
+        almanac.addFact('total', (await almanac.factValue('cartTotal')) * (100 - action.percent) / 100)
+      })
+      const { almanac } = await engine.run({ cartTotal: 200 })
+      expect(await almanac.factValue('total')).to.equal(180)
+    })
+
+    it('addAction() accepts Action instances', async () => {
+      const cb = sandbox.spy()
+      setup([{ type: 'audit' }])
+      engine.addAction(new Action('audit', cb))
+      const { results } = await engine.run({ cartTotal: 200 })
+      expect(cb).to.have.been.calledOnce()
+      expect(cb.getCall(0).args[0]).to.deep.equal({ type: 'audit' })
+      expect(cb.getCall(0).args[1].ruleResult).to.equal(results[0])
+      expect(cb.getCall(0).args[1].engine).to.equal(engine)
+    })
+
+    it('addAction() overrides default actions', async () => {
+      const cb = sandbox.spy()
+      setup([{ type: 'emit', event: 'notify' }])
+      engine.addAction('emit', cb)
+      await engine.run({ cartTotal: 200 })
+      expect(cb).to.have.been.calledOnce()
+    })
+
+    it('removeAction() removes the action', async () => {
+      setup([{ type: 'setFact', fact: 'tier', value: 'gold' }])
+      expect(engine.removeAction('setFact')).to.be.true()
+      expect(engine.removeAction('setFact')).to.be.false()
+      await expect(engine.run({ cartTotal: 150 })).to.be.rejectedWith('Engine: unknown action "setFact"')
+    })
+
+    it('validates the action', () => {
+      expect(() => new Action('')).to.throw('Missing action name')
+      expect(() => new Action('audit')).to.throw('Missing action callback')
+    })
+  })
+
+  describe('forward chaining', () => {
+    it('re-evaluates rules reading facts set by actions', async () => {
+      engine = engineFactory([
+        factories.rule({
+          name: 'gold',
+          priority: 10,
+          conditions: { all: [{ fact: 'points', operator: 'greaterThanInclusive', value: 100 }] },
+          event: { type: 'gold', actions: [{ type: 'setFact', fact: 'tier', value: 'gold' }] }
+        }),
+        {
+          name: 'earn',
+          conditions,
+          event: { type: 'earn', actions: [{ type: 'incrementFact', fact: 'points', by: { fact: 'cartTotal' } }] },
+          noLoop: true
+        }
+      ], { strategy: 'forward' })
+      const { almanac, events } = await engine.run({ cartTotal: 150, points: 0 })
+      expect(events.map(event => event.type)).to.deep.equal(['earn', 'gold'])
+      expect(await almanac.factValue('points')).to.equal(150)
+      expect(await almanac.factValue('tier')).to.equal('gold')
+    })
+  })
+})
@@ -0,0 +1,147 @@
+'use strict'
+
+import engineFactory from '../src/index'
+import sinon from 'sinon'
+
+describe('Engine: runBatch()', () => {
+  let engine
+  let sandbox
+  before(() => {
+    sandbox = sinon.createSandbox()
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  const event = { type: 'high-value' }
+  const conditions = {
+    all: [{
+      fact: 'spend',
+      operator: 'greaterThanInclusive',
+      value: { fact: 'threshold' }
+    }]
+  }
+
+  beforeEach(() => {
+    engine = engineFactory()
+    engine.addRule(factories.rule({ conditions, event }))
+  })
+
+  it('returns a result per item, in input order', async () => {
+    engine.addFact('threshold', 100)
+    const { results, errors } = await engine.runBatch([{ spend: 150 }, { spend: 50 }, { spend: 100 }])
+    expect(errors).to.be.empty()
+    expect(results.map(item => item.index)).to.deep.equal([0, 1, 2])
+    expect(results.map(item => item.status)).to.deep.equal(['fulfilled', 'fulfilled', 'fulfilled'])
+    expect(results.map(item => item.result.events.length)).to.deep.equal([1, 0, 1])
+  })
+
+  it('keeps input order when items finish out of order', async () => {
+    engine.addFact('threshold', 100)
+    engine.addFact('spend', (params, almanac) => {
+      return almanac.factValue('delay').then(delay => new Promise(resolve => setTimeout(() => resolve(delay), delay)))
+    })
+    const { results } = await engine.runBatch([{ delay: 30 }, { delay: 1 }, { delay: 15 }], { concurrency: 3 })
+    const spends = await Promise.all(results.map(item => item.result.almanac.factValue('spend')))
+    expect(spends).to.deep.equal([30, 1, 15])
+  })
+
+  it('computes shared facts once per batch', async () => {
+    const thresholdStub = sandbox.stub().returns(100)
+    engine.addFact('threshold', thresholdStub, { shared: true })
+    const { results } = await engine.runBatch([{ spend: 150 }, { spend: 50 }, { spend: 120 }], { concurrency: 2 })
+    expect(thresholdStub).to.have.been.calledOnce()
+    expect(results.map(item => item.result.events.length)).to.deep.equal([1, 0, 1])
+  })
+
+  it('computes facts that are not shared for every item', async () => {
+    const thresholdStub = sandbox.stub().returns(100)
+    engine.addFact('threshold', thresholdStub)
+    await engine.runBatch([{ spend: 150 }, { spend: 50 }, { spend: 120 }])
+    expect(thresholdStub).to.have.been.calledThrice()
+  })
+
+  it('does not share facts between batches', async () => {
+    const thresholdStub = sandbox.stub().returns(100)
+    engine.addFact('threshold', thresholdStub, { shared: true })
+    await engine.runBatch([{ spend: 150 }])
+    await engine.runBatch([{ spend: 150 }])
+    expect(thresholdStub).to.have.been.calledTwice()
+  })
+
+  it('computes shared facts from the engine facts only', async () => {
+    engine.addFact('baseline', 80)
+    engine.addFact('threshold', (params, almanac) => almanac.factValue('baseline').then(baseline => baseline + 20), { shared: true })
+    const { results } = await engine.runBatch([{ spend: 150 }, { spend: 50 }])
+    expect(results.map(item => item.result.events.length)).to.deep.equal([1, 0])
+    expect(results[0].result.almanac.getFactDependencyGraph()).to.not.have.property('threshold')
+  })
+
+  it('does not compute shared facts from the facts of an item', async () => {
+    engine.addFact('threshold', (params, almanac) => almanac.factValue('limit'), { shared: true })
+    const { results, errors } = await engine.runBatch([{ spend: 150, limit: 100 }, { spend: 150, limit: 200 }])
+    expect(errors.length).to.equal(2)
+    expect(results.map(item => item.error.code)).to.deep.equal(['UNDEFINED_FACT', 'UNDEFINED_FACT'])
+  })
+
+  it('computes a shared fact again after it rejects', async () => {
+    const thresholdStub = sandbox.stub()
+    thresholdStub.onFirstCall().rejects(new Error('threshold unavailable'))
+    thresholdStub.returns(100)
+    engine.addFact('threshold', thresholdStub, { shared: true })
+    const { results } = await engine.runBatch([{ spend: 150 }, { spend: 150 }, { spend: 150 }], { concurrency: 1 })
+    expect(results.map(item => item.status)).to.deep.equal(['rejected', 'fulfilled', 'fulfilled'])
+    expect(thresholdStub).to.have.been.calledTwice()
+  })
+
+  it('collects per-item errors without aborting the batch', async () => {
+    engine.addFact('threshold', 100)
+    engine.addFact('spend', (params, almanac) => {
+      return almanac.factValue('broken').then(broken => {
+        if (broken) throw new Error('spend unavailable')
+        return 150
+      })
+    })
+    const { results, errors } = await engine.runBatch([{ broken: false }, { broken: true }, { broken: false }])
+    expect(results.map(item => item.status)).to.deep.equal(['fulfilled', 'rejected', 'fulfilled'])
+    expect(errors.length).to.equal(1)
+    expect(errors[0].index).to.equal(1)
+    expect(errors[0].error.message).to.equal('spend unavailable')
+  })
+
+  it('limits the number of items evaluated at once', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    engine.addFact('threshold', 100)
+    engine.addFact('spend', () => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      return new Promise(resolve => setTimeout(() => {
+        inFlight--
+        resolve(150)
+      }, 2))
+    })
+    await engine.runBatch(Array.from({ length: 8 }, () => ({})), { concurrency: 3 })
+    expect(maxInFlight).to.equal(3)
+  })
+
+  it('passes run options to every item', async () => {
+    engine.addFact('threshold', 100)
+    const { results } = await engine.runBatch([{ spend: 150 }], { strategy: 'first' })
+    expect(results[0].result.strategy).to.equal('first')
+  })
+
+  it('requires an array of facts', () => {
+    return expect(engine.runBatch({ spend: 150 })).to.be.rejectedWith(/requires an array/)
+  })
+
+  it('requires a positive concurrency', () => {
+    return expect(engine.runBatch([], { concurrency: 0 })).to.be.rejectedWith(/"concurrency" must be at least 1/)
+  })
+
+  it('resolves an empty batch', async () => {
+    const { results, errors } = await engine.runBatch([])
+    expect(results).to.be.empty()
+    expect(errors).to.be.empty()
+  })
+})
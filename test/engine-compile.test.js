@@ -0,0 +1,177 @@
+'use strict'
+
+import engineFactory from '../src/index'
+import sinon from 'sinon'
+
+describe('Engine: compiled rules', () => {
+  let sandbox
+  before(() => {
+    sandbox = sinon.createSandbox()
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  const rules = [{
+    name: 'weighted',
+    conditions: {
+      any: [{
+        fact: 'age',
+        operator: 'greaterThan',
+        value: 21,
+        weight: 2
+      }, {
+        all: [{
+          fact: 'account',
+          path: '$.tier',
+          operator: 'in',
+          value: ['gold', 'platinum']
+        }, {
+          not: {
+            condition: 'isBanned'
+          }
+        }],
+        weight: 3
+      }]
+    },
+    event: { type: 'weighted', params: { limit: { fact: 'age' } } }
+  }, {
+    name: 'reference',
+    priority: 5,
+    conditions: { condition: 'isAdult' },
+    event: { type: 'reference' }
+  }, {
+    name: 'decorated',
+    conditions: {
+      all: [{
+        fact: 'scores',
+        operator: 'everyFact:greaterThan',
+        value: 10
+      }, {
+        fact: 'score',
+        operator: 'lessThan',
+        value: { fact: 'age' },
+        priority: 10
+      }]
+    },
+    event: { type: 'decorated' }
+  }]
+
+  function setup (options = {}) {
+    const engine = engineFactory(rules, Object.assign({ replaceFactsInEventParams: true }, options))
+    engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+    engine.setCondition('isBanned', { any: [{ fact: 'account', path: '$.banned', operator: 'equal', value: true }] })
+    engine.addFact('account', { tier: 'gold', banned: false })
+    return engine
+  }
+
+  function summarize ({ results, failureResults, events }) {
+    return {
+      results: results.map(result => result.toJSON(false)),
+      failureResults: failureResults.map(result => result.toJSON(false)),
+      events
+    }
+  }
+
+  it('compiles rules as they are added', () => {
+    const engine = setup()
+    engine.rules.forEach(rule => expect(rule.compiled).to.be.an('object'))
+  })
+
+  it('produces results identical to walking the condition tree', async () => {
+    const facts = [
+      { age: 30, scores: [11, 12], score: 5 },
+      { age: 16, scores: [1, 50], score: 40 },
+      { age: 19, scores: [], score: 19 }
+    ]
+    for (const runtimeFacts of facts) {
+      const compiled = await setup().run(runtimeFacts)
+      const interpreted = await setup({ compileRules: false }).run(runtimeFacts)
+      expect(summarize(compiled)).to.deep.equal(summarize(interpreted))
+    }
+  })
+
+  it('does not share condition state between results', async () => {
+    const engine = setup()
+    const first = await engine.run({ age: 30, scores: [11], score: 5 })
+    const second = await engine.run({ age: 10, scores: [11], score: 5 })
+    expect(first.results[0].conditions.all[0].factResult).to.equal(30)
+    expect(second.failureResults[0].conditions.all[0].factResult).to.equal(10)
+    expect(engine.rules[1].conditions.all).to.be.undefined()
+  })
+
+  it('shares frozen copies of condition values between results', async () => {
+    const engine = setup()
+    const tiers = ({ results, failureResults }) => results.concat(failureResults).find(result => result.name === 'weighted').conditions.any[1].all[0].value
+    const first = tiers(await engine.run({ age: 30, scores: [11], score: 5 }))
+    const second = tiers(await engine.run({ age: 10, scores: [11], score: 5 }))
+    expect(first).to.deep.equal(['gold', 'platinum'])
+    expect(first).to.equal(second)
+    expect(Object.isFrozen(first)).to.be.true()
+    expect(first).to.not.equal(engine.rules.find(rule => rule.name === 'weighted').conditions.any[1].all[0].value)
+  })
+
+  it('rejects unknown operators when the rule is evaluated', async () => {
+    const engine = engineFactory([{
+      conditions: { all: [{ fact: 'age', operator: 'olderThan', value: 1 }] },
+      event: { type: 'unknown' }
+    }])
+    await expect(engine.run({ age: 1 })).to.be.rejectedWith('Unknown operator: olderThan')
+  })
+
+  it('throws when a named condition references itself', async () => {
+    const engine = engineFactory([{ conditions: { condition: 'loop' }, event: { type: 'loop' } }])
+    engine.setCondition('loop', { all: [{ condition: 'loop' }] })
+    await expect(engine.run()).to.be.rejectedWith('Condition loop references itself')
+  })
+
+  describe('invalidation', () => {
+    it('recompiles when an operator is added', async () => {
+      const engine = engineFactory([{
+        conditions: { all: [{ fact: 'name', operator: 'startsWith', value: 'a' }] },
+        event: { type: 'startsWith' }
+      }])
+      engine.addOperator('startsWith', (factValue, jsonValue) => factValue.startsWith(jsonValue))
+      const { events } = await engine.run({ name: 'alice' })
+      expect(events).to.deep.equal([{ type: 'startsWith' }])
+    })
+
+    it('recompiles when an operator is removed', async () => {
+      const engine = setup()
+      await engine.run({ age: 30, scores: [11], score: 5 })
+      engine.removeOperator('lessThan')
+      await expect(engine.run({ age: 30, scores: [11], score: 5 })).to.be.rejectedWith('Unknown operator: lessThan')
+    })
+
+    it('recompiles when a named condition changes', async () => {
+      const engine = setup()
+      const before = await engine.run({ age: 19, scores: [], score: 1 })
+      expect(before.events.map(event => event.type)).to.include('reference')
+      engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 21 }] })
+      const after = await engine.run({ age: 19, scores: [], score: 1 })
+      expect(after.events.map(event => event.type)).to.not.include('reference')
+    })
+
+    it('recompiles when a fact priority changes the evaluation order', async () => {
+      const engine = setup()
+      const order = []
+      engine.addFact('scores', () => { order.push('scores'); return [11] })
+      engine.addFact('score', () => { order.push('score'); return 1 })
+      await engine.run({ age: 30 })
+      expect(order).to.deep.equal(['score', 'scores'])
+      order.length = 0
+      engine.addFact('scores', () => { order.push('scores'); return [11] }, { priority: 20 })
+      await engine.run({ age: 30 })
+      expect(order).to.deep.equal(['scores', 'score'])
+    })
+
+    it('recompiles a rule updated in place', async () => {
+      const engine = setup()
+      const compile = sandbox.spy(engine.rules[0], 'compile')
+      engine.rules[0].setConditions({ all: [{ fact: 'age', operator: 'lessThan', value: 5 }] })
+      const { events } = await engine.run({ age: 1, scores: [], score: 40 })
+      expect(compile).to.have.been.calledOnce()
+      expect(events.map(event => event.type)).to.include('weighted')
+    })
+  })
+})
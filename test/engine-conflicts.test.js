@@ -0,0 +1,117 @@
+'use strict'
+
+import engineFactory, { InvalidArgumentError } from '../src/index'
+
+describe('Engine: findConflicts', () => {
+  let engine
+  beforeEach(() => {
+    engine = engineFactory()
+  })
+
+  function addRule (name, conditions, options = {}) {
+    engine.addRule(Object.assign({ name, conditions, event: { type: 'discount', params: { rule: name } } }, options))
+  }
+
+  function pairs () {
+    return engine.findConflicts().map(conflict => conflict.rules.join(' & '))
+  }
+
+  it('reports rules whose conditions overlap, with an example triggering both', () => {
+    addRule('adults', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }, { fact: 'country', operator: 'in', value: ['fr', 'de'] }] })
+    addRule('seniors', { all: [{ fact: 'age', operator: 'greaterThan', value: 65 }, { fact: 'country', operator: 'notEqual', value: 'fr' }] })
+    expect(engine.findConflicts()).to.deep.equal([{
+      rules: ['adults', 'seniors'],
+      events: [{ type: 'discount', params: { rule: 'adults' } }, { type: 'discount', params: { rule: 'seniors' } }],
+      example: { age: 66, country: 'de' },
+      approximate: false
+    }])
+  })
+
+  it('does not report rules that cannot fire together', () => {
+    addRule('minors', { all: [{ fact: 'age', operator: 'lessThan', value: 18 }] })
+    addRule('adults', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+    addRule('gold', { all: [{ fact: 'tier', operator: 'equal', value: 'gold' }, { fact: 'age', operator: 'lessThan', value: 18 }] })
+    addRule('silver', { all: [{ fact: 'tier', operator: 'equal', value: 'silver' }, { fact: 'age', operator: 'lessThan', value: 12 }] })
+    expect(pairs()).to.deep.equal(['minors & gold', 'minors & silver'])
+  })
+
+  it('considers each alternative of "any" and negations', () => {
+    addRule('young or old', { any: [{ fact: 'age', operator: 'lessThan', value: 18 }, { fact: 'age', operator: 'greaterThan', value: 65 }] })
+    addRule('working age', { not: { any: [{ fact: 'age', operator: 'lessThan', value: 18 }, { fact: 'age', operator: 'greaterThan', value: 65 }] } })
+    addRule('retired', { all: [{ not: { fact: 'age', operator: 'lessThanInclusive', value: 65 } }] })
+    expect(pairs()).to.deep.equal(['young or old & retired'])
+    expect(engine.findConflicts()[0].example).to.deep.equal({ age: 66 })
+  })
+
+  it('treats "any" conditions with different weights as approximate', () => {
+    // with x = 49, "x greaterThan 100" scores 0.815 × 3, which outweighs "y equal 1" scoring 1
+    addRule('a', { any: [{ fact: 'x', operator: 'greaterThan', value: 100, weight: 3 }, { fact: 'y', operator: 'equal', value: 1 }] })
+    addRule('b', { all: [{ fact: 'y', operator: 'equal', value: 1 }, { fact: 'x', operator: 'lessThan', value: 50 }] })
+    expect(engine.findConflicts()).to.have.lengthOf(1)
+    expect(engine.findConflicts()[0]).to.include({ approximate: true })
+  })
+
+  it('reports exact examples that trigger both rules', async () => {
+    engine = engineFactory([], { allowUndefinedFacts: true })
+    addRule('adults', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }, { fact: 'country', operator: 'in', value: ['fr', 'de'] }] })
+    addRule('seniors', { all: [{ fact: 'age', operator: 'greaterThan', value: 65 }, { fact: 'country', operator: 'notEqual', value: 'fr' }] })
+    addRule('young or old', { any: [{ fact: 'age', operator: 'lessThan', value: 18, weight: 2 }, { fact: 'age', operator: 'greaterThan', value: 65, weight: 2 }] })
+    addRule('rich', { all: [{ fact: 'account', path: '$.balance', operator: 'greaterThan', value: 1000 }, { not: { fact: 'age', operator: 'lessThan', value: 70 } }] })
+    const conflicts = engine.findConflicts().filter(conflict => !conflict.approximate)
+    expect(conflicts).to.have.lengthOf(6)
+    for (const conflict of conflicts) {
+      const { results } = await engine.run(conflict.example)
+      expect(results.map(result => result.name)).to.include.members(conflict.rules)
+    }
+  })
+
+  it('resolves condition references', () => {
+    engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+    addRule('adults', { all: [{ condition: 'isAdult' }] })
+    addRule('minors', { not: { condition: 'isAdult' } })
+    addRule('children', { all: [{ fact: 'age', operator: 'lessThan', value: 12 }] })
+    expect(pairs()).to.deep.equal(['minors & children'])
+  })
+
+  it('builds nested example objects from paths', () => {
+    addRule('rich', { all: [{ fact: 'account', path: '$.balance.amount', operator: 'greaterThan', value: 1000 }] })
+    addRule('indebted', { all: [{ fact: 'account', path: '$.debt', operator: 'in', value: [100, 200] }] })
+    expect(engine.findConflicts()[0]).to.include({ approximate: false })
+    expect(engine.findConflicts()[0].example).to.deep.equal({ account: { balance: { amount: 1001 }, debt: 100 } })
+  })
+
+  it('assumes conditions it cannot analyze pass, and flags the result as approximate', () => {
+    engine.addOperator('near', (factValue, jsonValue) => Math.abs(factValue - jsonValue) < 1)
+    addRule('near', { all: [{ fact: 'age', operator: 'near', value: 18 }] })
+    addRule('vip', { all: [{ rule: 'near', operator: 'passed' }, { fact: 'tier', operator: 'equal', value: 'gold' }] })
+    expect(engine.findConflicts()).to.deep.equal([{
+      rules: ['near', 'vip'],
+      events: [{ type: 'discount', params: { rule: 'near' } }, { type: 'discount', params: { rule: 'vip' } }],
+      example: { tier: 'gold' },
+      approximate: true
+    }])
+  })
+
+  it('prefers an exact overlap over an approximate one', () => {
+    addRule('a', { any: [{ fact: 'age', operator: 'greaterThan', value: { fact: 'limit' } }, { fact: 'age', operator: 'equal', value: 30 }] })
+    addRule('b', { all: [{ fact: 'age', operator: 'lessThan', value: 40 }] })
+    expect(engine.findConflicts()[0]).to.deep.include({ example: { age: 30 }, approximate: false })
+  })
+
+  it('skips rules that are never active at the same time, and disabled rule sets', () => {
+    addRule('january', { all: [] }, { validFrom: '2026-01-01T00:00:00Z', validTo: '2026-02-01T00:00:00Z' })
+    addRule('february', { all: [] }, { validFrom: '2026-02-01T00:00:00Z' })
+    addRule('archived', { all: [] }, { ruleSet: 'archive' })
+    engine.disableRuleSet('archive')
+    expect(pairs()).to.be.empty()
+  })
+
+  it('restricts the analysis to eventTypes', () => {
+    addRule('a', { all: [] })
+    addRule('b', { all: [] })
+    engine.addRule({ name: 'c', conditions: { all: [] }, event: { type: 'log' } })
+    expect(engine.findConflicts({ eventTypes: ['discount'] }).map(conflict => conflict.rules)).to.deep.equal([['a', 'b']])
+    expect(engine.findConflicts({ eventTypes: ['log'] })).to.be.empty()
+    expect(() => engine.findConflicts({ eventTypes: 'discount' })).to.throw(InvalidArgumentError, /eventTypes must be an array/)
+  })
+})
@@ -1,9 +1,11 @@
 'use strict'
+/* global AbortController */
 
 import engineFactory from '../src/index'
+import { RunCancelledError } from '../src/errors'
 import sinon from 'sinon'
 
-describe('Engine: fact priority', () => {
+describe('Engine: run controls', () => {
   let engine
   let sandbox
   before(() => {
@@ -61,5 +63,106 @@ describe('Engine: fact priority', () => {
       expect(ageStub).to.have.been.calledOnce()
       expect(segmentStub).to.not.have.been.called()
     })
+
+    it('stops only the run whose event handler calls it', async () => {
+      setup()
+      ageStub.returns(20)
+      segmentStub.returns('human')
+      engine.on('success', (event, almanac) => {
+        if (almanac.run.id === stopped.id) engine.stop()
+      })
+      const stopped = engine.run()
+      const other = engine.run()
+      expect((await stopped).events.length).to.equal(1)
+      expect((await other).events.length).to.equal(2)
+    })
+
+    it('stops every run in flight when called outside event handlers', async () => {
+      setup()
+      ageStub.returns(20)
+      const runs = [engine.run(), engine.run()]
+      engine.stop()
+      await Promise.all(runs)
+      expect(segmentStub).to.not.have.been.called()
+    })
+  })
+
+  describe('run handle', () => {
+    it('is awaitable and reports its own status', async () => {
+      setup()
+      ageStub.returns(20)
+      segmentStub.returns('human')
+      const run = engine.run()
+      expect(run.status).to.equal('RUNNING')
+      const { events } = await run
+      expect(run.status).to.equal('FINISHED')
+      expect(events.length).to.equal(2)
+    })
+
+    it('stop() only stops its own run', async () => {
+      setup()
+      ageStub.returns(20)
+      segmentStub.returns('human')
+      engine.on('success', (event, almanac) => {
+        return almanac.factValue('stopMe').then(stopMe => {
+          if (stopMe) { almanac.run.stop() }
+        })
+      })
+      const [stopped, other] = await Promise.all([
+        engine.run({ stopMe: true }),
+        engine.run({ stopMe: false })
+      ])
+      expect(stopped.events.length).to.equal(1)
+      expect(other.events.length).to.equal(2)
+      expect(segmentStub).to.have.been.calledOnce()
+    })
+
+    it('cancel() rejects only its own run with a RunCancelledError', async () => {
+      setup()
+      ageStub.returns(20)
+      segmentStub.returns('human')
+      const cancelled = engine.run()
+      const other = engine.run()
+      cancelled.cancel('client disconnected')
+      expect(cancelled.status).to.equal('CANCELLED')
+      await expect(cancelled).to.be.rejectedWith(RunCancelledError, /client disconnected/)
+      const { events } = await other
+      expect(events.length).to.equal(2)
+    })
+
+    it('does not emit events after being cancelled', async () => {
+      setup()
+      ageStub.returns(20)
+      engine.on('success', (event, almanac) => {
+        eventSpy()
+        almanac.run.cancel()
+      })
+      const run = engine.run()
+      await expect(run).to.be.rejectedWith(RunCancelledError)
+      expect(eventSpy).to.have.been.calledOnce()
+      expect(segmentStub).to.not.have.been.called()
+    })
+  })
+
+  describe('runOptions.signal', () => {
+    it('cancels the run when the signal aborts', async () => {
+      setup()
+      ageStub.returns(20)
+      const controller = new AbortController()
+      engine.on('success', () => controller.abort())
+      const run = engine.run({}, { signal: controller.signal })
+      await expect(run).to.be.rejectedWith(RunCancelledError)
+      expect(run.status).to.equal('CANCELLED')
+      expect(segmentStub).to.not.have.been.called()
+    })
+
+    it('rejects immediately when the signal is already aborted', async () => {
+      setup()
+      const controller = new AbortController()
+      controller.abort()
+      const run = engine.run({}, { signal: controller.signal })
+      await expect(run).to.be.rejectedWith(RunCancelledError)
+      expect(ageStub).to.not.have.been.called()
+    })
   })
 })
@@ -0,0 +1,135 @@
+'use strict'
+
+import engineFactory, { CoverageCollector } from '../src/index'
+
+describe('Engine: coverage', () => {
+  let engine
+  let coverage
+
+  const vip = {
+    name: 'vip',
+    conditions: {
+      any: [
+        { fact: 'tier', operator: 'equal', value: 'gold' },
+        { all: [{ condition: 'isAdult' }, { not: { fact: 'country', operator: 'in', value: ['fr'] } }] }
+      ]
+    },
+    event: { type: 'vip' }
+  }
+  const never = {
+    name: 'never',
+    conditions: { all: [{ fact: 'age', operator: 'lessThan', value: 0 }] },
+    event: { type: 'never' }
+  }
+
+  function counts (report) {
+    return report.conditions.map(node => `${node.rule !== undefined ? node.rule : `@${node.condition}`} ${node.path} ${node.evaluations}/${node.passed}/${node.failed}`)
+  }
+
+  ;[true, false].forEach((compileRules) => {
+    context(`compileRules: ${compileRules}`, () => {
+      beforeEach(() => {
+        coverage = new CoverageCollector()
+        engine = engineFactory([vip], { coverage, compileRules })
+        engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+      })
+
+      it('counts evaluations, passes and failures of every condition', async () => {
+        await engine.run({ tier: 'gold', age: 30, country: 'fr' })
+        await engine.run({ tier: 'silver', age: 30, country: 'de' })
+        expect(counts(coverage.snapshot())).to.deep.equal([
+          'vip /conditions 2/2/0',
+          'vip /conditions/any/0 2/1/1',
+          'vip /conditions/any/1 2/1/1',
+          'vip /conditions/any/1/all/0 2/2/0',
+          'vip /conditions/any/1/all/1 2/1/1',
+          'vip /conditions/any/1/all/1/not 2/1/1',
+          '@isAdult  2/2/0',
+          '@isAdult /all/0 2/2/0'
+        ])
+      })
+    })
+  })
+
+  beforeEach(() => {
+    coverage = new CoverageCollector()
+    engine = engineFactory([vip, never], { coverage })
+    engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+  })
+
+  it('coverage: true creates a collector', () => {
+    expect(engineFactory([], { coverage: true }).coverage).to.be.an.instanceof(CoverageCollector)
+    expect(engineFactory([]).coverage).to.be.null()
+  })
+
+  it('reports conditions that were never evaluated', async () => {
+    await engine.run({ tier: 'gold', age: 30, country: 'de' }, { sets: ['none'] })
+    const report = coverage.snapshot()
+    expect(report.summary).to.deep.equal({ conditions: 10, evaluated: 0, passed: 0 })
+    expect(report.conditions[1]).to.deep.equal({
+      rule: 'vip',
+      path: '/conditions/any/0',
+      label: 'tier equal "gold"',
+      evaluations: 0,
+      passed: 0,
+      failed: 0,
+      score: { count: 0, sum: 0, buckets: { 0: 0, 0.1: 0, 0.25: 0, 0.5: 0, 0.75: 0, 0.9: 0, 1: 0 } }
+    })
+  })
+
+  it('records score histograms', async () => {
+    await engine.run({ tier: 'gold', age: 30, country: 'de' })
+    await engine.run({ tier: 'gold', age: 10, country: 'de' })
+    const isAdult = coverage.snapshot().conditions.find(node => node.condition === 'isAdult' && node.path === '/all/0')
+    expect(isAdult).to.include({ evaluations: 2, passed: 1, failed: 1 })
+    expect(isAdult.score.buckets).to.include({ 0.9: 0, 1: 2 })
+    expect(isAdult.score.sum).to.equal(1 + Math.exp(-8 / 250))
+  })
+
+  it('leaves out conditions of removed and renamed rules and named conditions', async () => {
+    await engine.run({ tier: 'gold', age: 30, country: 'de' })
+    engine.removeRule('never')
+    engine.removeRule('vip')
+    engine.addRule(Object.assign({}, vip, { name: 'gold' }))
+    engine.removeCondition('isAdult')
+    engine.setCondition('isMajor', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+    const report = coverage.snapshot()
+    expect(counts(report)).to.deep.equal([
+      'gold /conditions 0/0/0',
+      'gold /conditions/any/0 0/0/0',
+      'gold /conditions/any/1 0/0/0',
+      'gold /conditions/any/1/all/0 0/0/0',
+      'gold /conditions/any/1/all/1 0/0/0',
+      'gold /conditions/any/1/all/1/not 0/0/0',
+      '@isMajor  0/0/0',
+      '@isMajor /all/0 0/0/0'
+    ])
+    expect(report.summary).to.deep.equal({ conditions: 8, evaluated: 0, passed: 0 })
+  })
+
+  it('starts over for conditions replaced by a rule update', async () => {
+    await engine.run({ tier: 'gold', age: 30, country: 'de' })
+    engine.updateRule(Object.assign({}, vip, {
+      conditions: { all: [{ fact: 'tier', operator: 'equal', value: 'gold' }, { fact: 'age', operator: 'lessThan', value: 18 }] }
+    }))
+    expect(counts(coverage.snapshot()).filter(line => line.startsWith('vip'))).to.deep.equal([
+      'vip /conditions 0/0/0',
+      'vip /conditions/all/0 0/0/0',
+      'vip /conditions/all/1 0/0/0'
+    ])
+  })
+
+  it('formats a table flagging conditions never evaluated or never passed', async () => {
+    await engine.run({ tier: 'silver', age: 10, country: 'de' })
+    const lines = coverage.toTable().split('\n')
+    expect(lines[0]).to.equal('Conditions evaluated: 10/10 (100%); passed: 1/10 (10%)')
+    expect(lines[2]).to.match(/^STATUS\s+SOURCE\s+PATH\s+CONDITION\s+EVALUATED\s+PASSED\s+FAILED\s+MEAN SCORE$/)
+    expect(lines[3]).to.match(/^NEVER PASSED\s+rule vip\s+\/conditions\s+any\s+1\s+0\s+1\s+0\.\d\d$/)
+    expect(lines.find(line => line.includes(' not '))).to.match(/^\s+rule vip\s+\/conditions\/any\/1\/all\/1\s+not\s+1\s+1\s+0\s+1\.00$/)
+    expect(lines.find(line => line.includes('country'))).to.match(/^NEVER PASSED\s+rule vip\s+\/conditions\/any\/1\/all\/1\/not\s+country in \["fr"\]\s+1\s+0\s+1\s+0\.00$/)
+    expect(lines.find(line => line.includes('condition isAdult') && line.includes(' all '))).to.match(/^NEVER PASSED\s+condition isAdult\s+\/\s+all/)
+
+    coverage.reset()
+    expect(coverage.toTable().split('\n')[3]).to.match(/^NEVER EVALUATED\s+rule vip\s+\/conditions\s+any\s+0\s+0\s+0\s+-$/)
+  })
+})
@@ -0,0 +1,141 @@
+'use strict'
+
+import engineFactory from '../src/index'
+import sinon from 'sinon'
+
+describe('Engine: errorPolicy', () => {
+  let engine
+  let sandbox
+  before(() => {
+    sandbox = sinon.createSandbox()
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  const adult = {
+    name: 'adult',
+    conditions: { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] },
+    event: { type: 'adult' }
+  }
+  const vip = {
+    name: 'vip',
+    conditions: { all: [{ fact: 'account', path: '$.tier', operator: 'equal', value: 'vip' }] },
+    event: { type: 'vip' }
+  }
+  const typo = {
+    name: 'typo',
+    conditions: { all: [{ fact: 'age', operator: 'greaterThen', value: 18 }] },
+    event: { type: 'typo' }
+  }
+
+  function setup (options) {
+    engine = engineFactory([adult, vip], options)
+    engine.addFact('account', () => { throw new Error('account service unavailable') })
+    return engine
+  }
+
+  it('rejects the run by default', async () => {
+    setup()
+    await expect(engine.run({ age: 30 })).to.be.rejectedWith('account service unavailable')
+  })
+
+  it('validates the policy', () => {
+    expect(() => setup({ errorPolicy: 'ignore' })).to.throw('Engine: unknown errorPolicy "ignore"')
+  })
+
+  describe('fail-rule', () => {
+    beforeEach(() => setup({ errorPolicy: 'fail-rule' }))
+
+    it('reports the rule as failed, carrying the error', async () => {
+      const { results, failureResults, erroredResults, failureEvents } = await engine.run({ age: 30 })
+      expect(results.map(result => result.name)).to.deep.equal(['adult'])
+      expect(failureResults.map(result => result.name)).to.deep.equal(['vip'])
+      expect(failureEvents.map(event => event.type)).to.deep.equal(['vip'])
+      expect(erroredResults).to.deep.equal(failureResults)
+      expect(erroredResults[0].error.message).to.equal('account service unavailable')
+      expect(erroredResults[0]).to.include({ result: false, score: 0 })
+    })
+
+    it('isolates unknown operators', async () => {
+      engine.addRule(typo)
+      const { results, erroredResults } = await engine.run({ age: 30, account: { tier: 'vip' } })
+      expect(results.map(result => result.name)).to.have.members(['adult', 'vip'])
+      expect(erroredResults.map(result => result.name)).to.deep.equal(['typo'])
+      expect(erroredResults[0].error.message).to.equal('Unknown operator: greaterThen')
+    })
+
+    it('rules testing the errored rule see it failed', async () => {
+      engine.addRule({ name: 'regular', conditions: { all: [{ rule: 'vip', operator: 'failed' }] }, event: { type: 'regular' } })
+      const { results } = await engine.run({ age: 30 })
+      expect(results.map(result => result.name)).to.have.members(['adult', 'regular'])
+    })
+
+    it('serializes the error', async () => {
+      engine.addFact('age', () => Promise.reject(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })))
+      const { erroredResults } = await engine.run()
+      expect(erroredResults.map(result => result.toJSON(false).error)).to.have.deep.members([
+        { message: 'timeout', code: 'ETIMEDOUT' },
+        { message: 'account service unavailable' }
+      ])
+    })
+  })
+
+  describe('skip-rule', () => {
+    beforeEach(() => setup({ errorPolicy: 'skip-rule' }))
+
+    it('leaves the rule out of the results and events', async () => {
+      const failure = sandbox.spy()
+      engine.on('failure', failure)
+      const { results, failureResults, erroredResults, failureEvents } = await engine.run({ age: 30 })
+      expect(results.map(result => result.name)).to.deep.equal(['adult'])
+      expect(failureResults).to.be.empty()
+      expect(failureEvents).to.be.empty()
+      expect(failure).to.not.have.been.called()
+      expect(erroredResults.map(result => result.name)).to.deep.equal(['vip'])
+    })
+
+    it('rules testing the skipped rule see it as not evaluated', async () => {
+      engine.addRule({ name: 'regular', conditions: { all: [{ rule: 'vip', operator: 'failed' }] }, event: { type: 'regular' } })
+      const { results, failureResults } = await engine.run({ age: 30 })
+      expect(results.map(result => result.name)).to.deep.equal(['adult'])
+      expect(failureResults.map(result => result.name)).to.deep.equal(['regular'])
+    })
+
+    it('does not select skipped rules under the best strategy', async () => {
+      const { results, erroredResults } = await engine.run({ age: 30 }, { strategy: 'best' })
+      expect(results.map(result => result.name)).to.deep.equal(['adult'])
+      expect(erroredResults.map(result => result.name)).to.deep.equal(['vip'])
+    })
+  })
+
+  it('emits the error event with the error and rule result', async () => {
+    setup({ errorPolicy: 'skip-rule' })
+    const handler = sandbox.spy()
+    engine.on('error', handler)
+    const { almanac, erroredResults } = await engine.run({ age: 30 })
+    expect(handler).to.have.been.calledOnce()
+    expect(handler).to.have.been.calledWith(erroredResults[0].error, erroredResults[0], almanac)
+  })
+
+  it('reports only the latest evaluation under forward chaining', async () => {
+    engine = engineFactory([
+      {
+        name: 'gold',
+        conditions: { all: [{ fact: 'discount', operator: 'greaterThan', value: 0 }] },
+        event: { type: 'gold' }
+      },
+      {
+        name: 'earn',
+        priority: 10,
+        conditions: { all: [{ fact: 'cartTotal', operator: 'greaterThan', value: 0 }] },
+        event: { type: 'earn', actions: [{ type: 'setFact', fact: 'points', value: 100 }] }
+      }
+    ], { strategy: 'forward', errorPolicy: 'fail-rule' })
+    // points are undefined until earn's action sets them
+    engine.addFact('discount', (params, almanac) => almanac.factValue('points').then(points => points / 10))
+    const { results, erroredResults } = await engine.run({ cartTotal: 150 })
+    expect(results.map(result => result.name)).to.have.members(['earn', 'gold'])
+    expect(erroredResults).to.be.empty()
+  })
+})
@@ -0,0 +1,102 @@
+'use strict'
+
+import engineFactory, { Almanac } from '../src/index'
+import { FactCycleError } from '../src/errors'
+
+describe('Engine: fact dependencies', () => {
+  let engine
+
+  const conditions = {
+    all: [{
+      fact: 'discount',
+      operator: 'greaterThan',
+      value: 0
+    }]
+  }
+
+  beforeEach(() => {
+    engine = engineFactory([factories.rule({ conditions, event: { type: 'discounted' } })])
+  })
+
+  describe('getFactDependencyGraph()', () => {
+    it('records the facts each fact requested', async () => {
+      engine.addFact('account', () => ({ tier: 'gold' }))
+      engine.addFact('tier', (params, almanac) => almanac.factValue('account', {}, '$.tier'))
+      engine.addFact('discount', async (params, almanac) => {
+        const [tier, total] = await Promise.all([almanac.factValue('tier'), almanac.factValue('cartTotal')])
+        return tier === 'gold' ? total * 0.1 : 0
+      })
+      const { almanac, events } = await engine.run({ cartTotal: 200 })
+      expect(events).to.deep.equal([{ type: 'discounted' }])
+      expect(almanac.getFactDependencyGraph()).to.deep.equal({
+        discount: ['tier', 'cartTotal'],
+        tier: ['account'],
+        account: []
+      })
+    })
+
+    it('records dependencies served from the cache', async () => {
+      engine.addFact('rate', () => 0.1)
+      engine.addFact('discount', (params, almanac) => almanac.factValue('rate'))
+      engine.addFact('other', (params, almanac) => almanac.factValue('rate'))
+      const almanac = new Almanac()
+      engine.facts.forEach(fact => almanac.addFact(fact))
+      await almanac.factValue('discount')
+      await almanac.factValue('other')
+      expect(almanac.getFactDependencyGraph()).to.deep.equal({ discount: ['rate'], rate: [], other: ['rate'] })
+    })
+  })
+
+  describe('cycles', () => {
+    it('rejects with a FactCycleError naming the cycle instead of deadlocking', async () => {
+      engine.addFact('discount', (params, almanac) => almanac.factValue('price'))
+      engine.addFact('price', (params, almanac) => almanac.factValue('tax'))
+      engine.addFact('tax', (params, almanac) => almanac.factValue('price'))
+      const error = await engine.run().catch(error => error)
+      expect(error).to.be.an.instanceof(FactCycleError)
+      expect(error.code).to.equal('FACT_CYCLE')
+      expect(error.cycle).to.deep.equal(['price', 'tax', 'price'])
+      expect(error.message).to.equal('Fact cycle detected: price -> tax -> price')
+    })
+
+    it('detects facts that request themselves', async () => {
+      engine.addFact('discount', (params, almanac) => almanac.factValue('discount'), { cache: false })
+      await expect(engine.run()).to.be.rejectedWith(FactCycleError, 'discount -> discount')
+    })
+
+    it('allows facts to request themselves with different params', async () => {
+      engine.addFact('discount', (params, almanac) => almanac.factValue('factorial', { n: 4 }))
+      engine.addFact('factorial', async ({ n }, almanac) => n <= 1 ? 1 : n * await almanac.factValue('factorial', { n: n - 1 }))
+      const { almanac, events } = await engine.run()
+      expect(events).to.have.lengthOf(1)
+      expect(await almanac.factValue('discount')).to.equal(24)
+    })
+
+    it('detects cycles between facts requested concurrently by different rules', async () => {
+      const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+      engine = engineFactory([
+        factories.rule({ name: 'first', conditions: { all: [{ fact: 'a', operator: 'equal', value: 1 }] } }),
+        factories.rule({ name: 'second', conditions: { all: [{ fact: 'b', operator: 'equal', value: 1 }] } })
+      ])
+      engine.addFact('a', async (params, almanac) => {
+        await sleep(10)
+        return almanac.factValue('b')
+      })
+      engine.addFact('b', async (params, almanac) => {
+        await sleep(1)
+        return almanac.factValue('a')
+      })
+      const error = await engine.run().catch(error => error)
+      expect(error).to.be.an.instanceof(FactCycleError)
+      expect(error.cycle).to.deep.equal(['a', 'b', 'a'])
+    })
+
+    it('allows the same fact to be requested by independent calculations', async () => {
+      engine.addFact('rate', () => 0.1)
+      engine.addFact('price', (params, almanac) => almanac.factValue('rate'))
+      engine.addFact('discount', async (params, almanac) => (await almanac.factValue('price')) + (await almanac.factValue('rate')))
+      const { events } = await engine.run()
+      expect(events).to.have.lengthOf(1)
+    })
+  })
+})
@@ -0,0 +1,141 @@
+'use strict'
+
+import engineFactory, { Rule } from '../src/index'
+import { MaxIterationsError } from '../src/errors'
+
+describe('Engine: forward chaining', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = engineFactory([], { strategy: 'forward' })
+  })
+
+  function rule (name, conditions, properties = {}) {
+    return Object.assign({ name, conditions, event: { type: name } }, properties)
+  }
+
+  it('re-evaluates higher priority rules whose facts were asserted later', async () => {
+    // the tier rule runs first, before the points rule has asserted a balance
+    engine.addRule(rule('gold-tier', { all: [{ fact: 'balance', operator: 'greaterThanInclusive', value: 1000 }] }, {
+      priority: 10,
+      onSuccess: (event, almanac) => almanac.addFact('tier', 'gold')
+    }))
+    engine.addRule(rule('points', { all: [{ fact: 'purchases', operator: 'greaterThan', value: 0 }] }, {
+      onSuccess: async (event, almanac) => almanac.addFact('balance', (await almanac.factValue('purchases')) * 100)
+    }))
+    const { results, failureResults, events, failureEvents, almanac } = await engine.run({ purchases: 12, balance: 0 })
+    expect(results.map(r => r.name)).to.have.members(['gold-tier', 'points'])
+    expect(failureResults).to.be.empty()
+    expect(events.map(e => e.type)).to.deep.equal(['points', 'gold-tier'])
+    expect(failureEvents).to.be.empty()
+    expect(await almanac.factValue('tier')).to.equal('gold')
+  })
+
+  it('chains through several rules until nothing changes', async () => {
+    engine.addRule(rule('c', { all: [{ fact: 'b', operator: 'equal', value: true }] }, {
+      priority: 3,
+      onSuccess: (event, almanac) => almanac.addFact('c', true)
+    }))
+    engine.addRule(rule('b', { all: [{ fact: 'a', operator: 'equal', value: true }] }, {
+      priority: 2,
+      onSuccess: (event, almanac) => almanac.addFact('b', true)
+    }))
+    engine.addRule(rule('a', { all: [{ fact: 'start', operator: 'equal', value: true }] }, {
+      onSuccess: (event, almanac) => almanac.addFact('a', true)
+    }))
+    const { results, almanac } = await engine.run({ start: true, a: false, b: false })
+    expect(results.map(r => r.name)).to.have.members(['a', 'b', 'c'])
+    expect(await almanac.factValue('c')).to.be.true()
+  })
+
+  it('re-evaluates rules that read the asserted fact through other facts', async () => {
+    engine.addFact('discount', (params, almanac) => almanac.factValue('tier').then(tier => tier === 'gold' ? 20 : 0))
+    engine.addRule(rule('discounted', { all: [{ fact: 'discount', operator: 'greaterThan', value: 0 }] }, { priority: 10 }))
+    engine.addRule(rule('promote', { all: [{ fact: 'spend', operator: 'greaterThan', value: 500 }] }, {
+      onSuccess: (event, almanac) => almanac.addFact('tier', 'gold')
+    }))
+    const { results } = await engine.run({ spend: 800, tier: 'silver' })
+    expect(results.map(r => r.name)).to.have.members(['discounted', 'promote'])
+  })
+
+  it('reports the last result of each rule once', async () => {
+    engine.addRule(rule('gold-tier', { all: [{ fact: 'balance', operator: 'greaterThanInclusive', value: 1000 }] }, { priority: 10 }))
+    engine.addRule(rule('points', { all: [{ fact: 'purchases', operator: 'greaterThan', value: 0 }] }, {
+      onSuccess: (event, almanac) => almanac.addFact('balance', 5000)
+    }))
+    const failures = []
+    engine.on('failure', event => failures.push(event.type))
+    const { results, failureResults, events, failureEvents } = await engine.run({ purchases: 1, balance: 0 })
+    expect(results.map(r => r.name)).to.have.members(['gold-tier', 'points'])
+    expect(failureResults).to.be.empty()
+    expect(events.map(e => e.type)).to.deep.equal(['points', 'gold-tier'])
+    expect(failureEvents).to.be.empty()
+    expect(failures).to.deep.equal(['gold-tier'])
+  })
+
+  it('reports the events of the last result of each rule', async () => {
+    engine.addRule(rule('starter', { all: [{ fact: 'balance', operator: 'lessThan', value: 1000 }] }, { priority: 10 }))
+    engine.addRule(rule('points', { all: [{ fact: 'purchases', operator: 'greaterThan', value: 0 }] }, {
+      onSuccess: (event, almanac) => almanac.addFact('balance', 5000)
+    }))
+    const { events, failureEvents } = await engine.run({ purchases: 1, balance: 0 })
+    expect(events.map(e => e.type)).to.deep.equal(['points'])
+    expect(failureEvents.map(e => e.type)).to.deep.equal(['starter'])
+  })
+
+  it('does not re-evaluate rules when an asserted fact keeps its value', async () => {
+    let evaluations = 0
+    engine.addFact('counted', () => { evaluations++; return true }, { cache: false })
+    engine.addRule(rule('flag', { all: [{ fact: 'counted', operator: 'equal', value: true }, { fact: 'flag', operator: 'equal', value: true }] }, {
+      onSuccess: (event, almanac) => almanac.addFact('flag', true)
+    }))
+    await engine.run({ flag: true })
+    expect(evaluations).to.equal(1)
+  })
+
+  describe('loops', () => {
+    const counter = {
+      all: [{ fact: 'count', operator: 'lessThan', value: 1000 }]
+    }
+    const increment = async (event, almanac) => almanac.addFact('count', (await almanac.factValue('count')) + 1)
+
+    it('rejects with a MaxIterationsError when no fixpoint is reached', async () => {
+      engine.addRule(rule('increment', counter, { onSuccess: increment }))
+      const error = await engine.run({ count: 0 }, { maxIterations: 5 }).catch(error => error)
+      expect(error).to.be.an.instanceof(MaxIterationsError)
+      expect(error.code).to.equal('MAX_ITERATIONS')
+      expect(error.maxIterations).to.equal(5)
+    })
+
+    it('honors the engine maxIterations option', async () => {
+      engine = engineFactory([rule('increment', counter, { onSuccess: increment })], { strategy: 'forward', maxIterations: 3 })
+      await expect(engine.run({ count: 0 })).to.be.rejectedWith(MaxIterationsError, 'within 3 iterations')
+    })
+
+    it('does not re-trigger noLoop rules with their own assertions', async () => {
+      engine.addRule(rule('increment', counter, { onSuccess: increment, noLoop: true }))
+      const { results, almanac } = await engine.run({ count: 0 })
+      expect(results).to.have.lengthOf(1)
+      expect(await almanac.factValue('count')).to.equal(1)
+    })
+
+    it('re-triggers noLoop rules with facts asserted by other rules', async () => {
+      engine.addRule(rule('increment', counter, { onSuccess: increment, noLoop: true, priority: 10 }))
+      engine.addRule(rule('reset', { all: [{ fact: 'count', operator: 'equal', value: 1 }, { fact: 'resets', operator: 'equal', value: 0 }] }, {
+        onSuccess: (event, almanac) => {
+          almanac.addFact('resets', 1)
+          almanac.addFact('count', 0)
+        }
+      }))
+      const { almanac } = await engine.run({ count: 0, resets: 0 })
+      expect(await almanac.factValue('count')).to.equal(1)
+      expect(await almanac.factValue('resets')).to.equal(1)
+    })
+  })
+
+  it('serializes noLoop', () => {
+    const json = new Rule(rule('increment', { all: [] }, { noLoop: true })).toJSON(false)
+    expect(json.noLoop).to.be.true()
+    expect(new Rule(json).noLoop).to.be.true()
+  })
+})
@@ -0,0 +1,155 @@
+'use strict'
+
+import engineFactory from '../src/index'
+
+describe('Engine: lint', () => {
+  let engine
+  beforeEach(() => {
+    engine = engineFactory()
+  })
+
+  const event = { type: 'generic' }
+
+  function lint (conditions) {
+    engine.addRule({ name: 'rule', conditions, event })
+    return engine.lint().map(finding => `${finding.severity} ${finding.code} ${finding.path}`)
+  }
+
+  it('returns no findings for sound rules', () => {
+    engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+    expect(lint({
+      all: [
+        { fact: 'age', operator: 'greaterThan', value: 10 },
+        { fact: 'age', operator: 'lessThanInclusive', value: 65 },
+        { fact: 'country', operator: 'in', value: ['fr', 'de'] },
+        { fact: 'country', operator: 'notEqual', value: 'de' },
+        { condition: 'isAdult' },
+        { any: [{ rule: 'vip', operator: 'passed' }, { fact: 'tier', operator: 'equal', value: 'gold' }] }
+      ]
+    })).to.deep.equal([])
+  })
+
+  describe('contradictions', () => {
+    it('detects impossible numeric ranges', () => {
+      const findings = lint({ all: [{ fact: 'x', operator: 'greaterThan', value: 10 }, { fact: 'x', operator: 'lessThan', value: 5 }] })
+      expect(findings).to.deep.equal(['error CONTRADICTION /conditions/all/1'])
+      expect(engine.lint()[0]).to.include({ rule: 'rule', message: 'Condition on "x" contradicts /conditions/all/0: together they can never pass' })
+      expect(engine.lint()[0].related).to.deep.equal(['/conditions/all/0'])
+    })
+
+    it('respects inclusive bounds', () => {
+      expect(lint({ all: [{ fact: 'x', operator: 'greaterThanInclusive', value: 5 }, { fact: 'x', operator: 'lessThanInclusive', value: 5 }] })).to.be.empty()
+      engine = engineFactory()
+      expect(lint({ all: [{ fact: 'x', operator: 'greaterThan', value: 5 }, { fact: 'x', operator: 'lessThanInclusive', value: 5 }] }))
+        .to.deep.equal(['error CONTRADICTION /conditions/all/1'])
+    })
+
+    it('detects conflicting equal, notEqual, in and notIn', () => {
+      expect(lint({
+        any: [
+          { all: [{ fact: 'country', operator: 'equal', value: 'fr' }, { fact: 'country', operator: 'equal', value: 'de' }] },
+          { all: [{ fact: 'country', operator: 'equal', value: 'fr' }, { fact: 'country', operator: 'notIn', value: ['fr', 'de'] }] },
+          { all: [{ fact: 'country', operator: 'in', value: ['fr', 'de'] }, { fact: 'country', operator: 'in', value: ['us'] }] },
+          { all: [{ fact: 'age', operator: 'in', value: [12, 16] }, { fact: 'age', operator: 'greaterThan', value: 18 }] }
+        ]
+      })).to.deep.equal([
+        'error CONTRADICTION /conditions/any/0/all/1',
+        'error CONTRADICTION /conditions/any/1/all/1',
+        'error CONTRADICTION /conditions/any/2/all/1',
+        'error CONTRADICTION /conditions/any/3/all/1'
+      ])
+    })
+
+    it('includes nested "all" conditions, once', () => {
+      expect(lint({ all: [{ fact: 'x', operator: 'equal', value: 1 }, { all: [{ fact: 'x', operator: 'notEqual', value: 1 }] }] }))
+        .to.deep.equal(['error CONTRADICTION /conditions/all/1/all/0'])
+    })
+
+    it('tells facts apart by path and params', () => {
+      expect(lint({
+        all: [
+          { fact: 'account', path: '$.balance', operator: 'greaterThan', value: 10 },
+          { fact: 'account', path: '$.debt', operator: 'lessThan', value: 5 },
+          { fact: 'account', params: { id: 2 }, path: '$.balance', operator: 'lessThan', value: 5 }
+        ]
+      })).to.be.empty()
+    })
+
+    it('ignores operators that do not have their default implementation', () => {
+      engine.addOperator('greaterThan', (a, b) => a > b * 100)
+      expect(lint({ all: [{ fact: 'x', operator: 'greaterThan', value: 10 }, { fact: 'x', operator: 'lessThan', value: 5 }] })).to.be.empty()
+    })
+
+    it('ignores comparisons with other facts', () => {
+      expect(lint({ all: [{ fact: 'x', operator: 'greaterThan', value: { fact: 'y' } }, { fact: 'x', operator: 'lessThan', value: 5 }] })).to.be.empty()
+    })
+  })
+
+  it('detects duplicate conditions', () => {
+    expect(lint({
+      any: [
+        { fact: 'age', operator: 'equal', value: 18, params: { a: 1, b: 2 } },
+        { fact: 'age', operator: 'equal', value: 18, params: { b: 2, a: 1 } }
+      ]
+    })).to.deep.equal(['warning DUPLICATE_CONDITION /conditions/any/1'])
+  })
+
+  it('detects shadowed "any" branches', () => {
+    expect(lint({
+      any: [
+        { fact: 'age', operator: 'greaterThan', value: 10 },
+        { fact: 'age', operator: 'greaterThan', value: 18 },
+        { fact: 'age', operator: 'in', value: [12, 16] },
+        { fact: 'age', operator: 'in', value: [2, 16] },
+        { fact: 'tier', operator: 'in', value: ['gold'] },
+        { fact: 'tier', operator: 'equal', value: 'gold' }
+      ]
+    })).to.deep.equal([
+      'warning SHADOWED_CONDITION /conditions/any/1',
+      'warning SHADOWED_CONDITION /conditions/any/2',
+      'warning SHADOWED_CONDITION /conditions/any/5'
+    ])
+  })
+
+  it('does not report shadowing in "any" conditions with different weights', async () => {
+    const conditions = {
+      any: [
+        { fact: 'age', operator: 'greaterThan', value: 100, weight: 3 },
+        { fact: 'age', operator: 'greaterThan', value: 50 }
+      ]
+    }
+    expect(lint(conditions)).to.deep.equal([])
+    // the heavier condition's partial score outweighs the passing one
+    const { failureResults } = await engine.run({ age: 60 })
+    expect(failureResults.map(result => result.name)).to.deep.equal(['rule'])
+  })
+
+  it('detects empty boolean conditions', () => {
+    expect(lint({ all: [{ any: [] }, { not: { all: [] } }] })).to.deep.equal([
+      'error EMPTY_ANY /conditions/all/0',
+      'warning EMPTY_ALL /conditions/all/1/not'
+    ])
+  })
+
+  it('does not report a top level empty "all"', () => {
+    expect(lint({ all: [] })).to.deep.equal([])
+    engine.setCondition('always', { all: [] })
+    expect(engine.lint()).to.deep.equal([])
+  })
+
+  it('detects double negations', () => {
+    expect(lint({ not: { not: { fact: 'age', operator: 'equal', value: 1 } } })).to.deep.equal(['warning DOUBLE_NEGATION /conditions'])
+  })
+
+  it('lints named conditions', () => {
+    engine.setCondition('impossible', { all: [{ fact: 'x', operator: 'lessThan', value: 1 }, { fact: 'x', operator: 'greaterThan', value: 2 }] })
+    expect(engine.lint()).to.deep.equal([{
+      condition: 'impossible',
+      severity: 'error',
+      code: 'CONTRADICTION',
+      path: '/all/1',
+      message: 'Condition on "x" contradicts /all/0: together they can never pass',
+      related: ['/all/0']
+    }])
+  })
+})
@@ -0,0 +1,136 @@
+'use strict'
+
+import engineFactory from '../src/index'
+import Logger from '../src/logger'
+import debug from '../src/debug'
+
+describe('Engine: logger', () => {
+  let engine
+  let logger
+  let records
+
+  const rule = {
+    name: 'adult',
+    conditions: { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] },
+    event: { type: 'adult' }
+  }
+
+  function createLogger () {
+    records = []
+    return ['trace', 'debug', 'info', 'warn', 'error'].reduce((logger, level) => {
+      logger[level] = (record) => records.push(Object.assign({ level }, record))
+      return logger
+    }, {})
+  }
+
+  function messages (level) {
+    return records.filter(record => !level || record.level === level).map(record => record.msg)
+  }
+
+  beforeEach(() => {
+    logger = createLogger()
+    engine = engineFactory([rule], { logger })
+  })
+
+  it('emits structured records with stable message keys', async () => {
+    await engine.run({ age: 30 })
+    expect(messages('debug')).to.include.members(['engine.run.started', 'engine.rule.evaluated', 'engine.run.completed'])
+    expect(messages('trace')).to.include.members(['condition.evaluated', 'rule.conditions.evaluated'])
+    const evaluated = records.find(record => record.msg === 'engine.rule.evaluated')
+    expect(evaluated).to.include({ rule: 'adult', result: true, score: 1 })
+  })
+
+  it('binds the run id to the records of a run', async () => {
+    const first = engine.run({ age: 30 })
+    const second = engine.run({ age: 12 })
+    await Promise.all([first, second])
+    expect(first.id).to.not.equal(second.id)
+    const runRecords = records.filter(record => record.msg === 'engine.rule.evaluated')
+    expect(runRecords.map(record => record.runId)).to.have.members([first.id, second.id])
+    expect(records.filter(record => record.msg === 'condition.evaluated').every(record => record.runId)).to.be.true()
+  })
+
+  it('accepts a run id per run', async () => {
+    const run = engine.run({ age: 30 }, { runId: 'request-42' })
+    expect(run.id).to.equal('request-42')
+    await run
+    expect(records.filter(record => record.msg === 'engine.run.completed')[0].runId).to.equal('request-42')
+  })
+
+  it('does not bind a run id to records made outside runs', () => {
+    engine.addFact('account', () => ({}))
+    const added = records.find(record => record.msg === 'engine.fact.added')
+    expect(added).to.deep.equal({ level: 'debug', msg: 'engine.fact.added', fact: 'account' })
+  })
+
+  it('logLevel drops less severe records', async () => {
+    records.length = 0
+    engine = engineFactory([rule], { logger, logLevel: 'debug' })
+    await engine.run({ age: 30 })
+    expect(messages('trace')).to.be.empty()
+    expect(messages('debug')).to.include('engine.run.completed')
+  })
+
+  it('logs warnings for timed out runs', async () => {
+    engine.addFact('age', () => new Promise(resolve => setTimeout(() => resolve(30), 50)))
+    await expect(engine.run({}, { timeout: 1 })).to.be.rejected()
+    expect(messages('warn')).to.include('run.timedOut')
+  })
+
+  it('does not warn about operators looked up before they are added', async () => {
+    engine.addRule({ name: 'near', conditions: { all: [{ fact: 'age', operator: 'near', value: 30 }] }, event: { type: 'near' } })
+    engine.addOperator('near', (factValue, jsonValue) => Math.abs(factValue - jsonValue) < 1)
+    const { events } = await engine.run({ age: 30 })
+    expect(events.map(event => event.type)).to.have.members(['adult', 'near'])
+    expect(messages('warn')).to.be.empty()
+    expect(messages('debug')).to.include('operators.operator.unknown')
+  })
+
+  describe('unknown operator lookups during a run', () => {
+    const nearRule = { name: 'near', conditions: { all: [{ fact: 'age', operator: 'near', value: 30 }] }, event: { type: 'near' } }
+
+    it('bind the run id when rules are compiled', async () => {
+      engine.addRule(nearRule)
+      engine.addOperator('far', () => false) // the rule recompiles during the next run
+      const run = engine.run({ age: 30 })
+      await expect(run).to.be.rejectedWith('Unknown operator: near')
+      const lookup = records.find(record => record.msg === 'operators.operator.unknown' && record.runId)
+      expect(lookup).to.include({ operator: 'near', runId: run.id })
+    })
+
+    it('bind the run id when rules are interpreted', async () => {
+      engine = engineFactory([nearRule], { logger, compileRules: false })
+      const run = engine.run({ age: 30 })
+      await expect(run).to.be.rejectedWith('Unknown operator: near')
+      const lookup = records.find(record => record.msg === 'operators.operator.unknown')
+      expect(lookup).to.include({ operator: 'near', runId: run.id })
+    })
+  })
+
+  it('validates the logger and level', () => {
+    expect(() => engineFactory([], { logger: { debug () {} } })).to.throw('Logger: sink requires trace(), info(), warn(), error()')
+    expect(() => engineFactory([], { logger, logLevel: 'verbose' })).to.throw('Logger: unknown level "verbose"')
+  })
+
+  describe('Logger', () => {
+    it('child() merges bindings', () => {
+      const sink = createLogger()
+      const child = new Logger(sink).child({ runId: '1' }).child({ batch: 'a' })
+      child.info('message', { value: 1 })
+      expect(records).to.deep.equal([{ level: 'info', msg: 'message', runId: '1', batch: 'a', value: 1 }])
+    })
+
+    it('isLevelEnabled() compares with the level', () => {
+      const log = new Logger(createLogger(), { level: 'warn' })
+      expect(log.isLevelEnabled('info')).to.be.false()
+      expect(log.isLevelEnabled('error')).to.be.true()
+    })
+
+    it('drops every record of the default sink unless DEBUG matches', () => {
+      const log = new Logger()
+      expect(log.isLevelEnabled('trace')).to.equal(debug.enabled)
+      expect(log.isLevelEnabled('error')).to.equal(debug.enabled)
+      expect(log.child({ runId: '1' }).isLevelEnabled('error')).to.equal(debug.enabled)
+    })
+  })
+})
@@ -0,0 +1,127 @@
+'use strict'
+
+import engineFactory, { MetricsCollector } from '../src/index'
+import sinon from 'sinon'
+
+describe('Engine: metrics', () => {
+  let engine
+  let metrics
+
+  const adult = {
+    name: 'adult',
+    conditions: { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] },
+    event: { type: 'adult' }
+  }
+  const member = {
+    name: 'member',
+    conditions: {
+      all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }, { fact: 'account', path: '$.member', operator: 'equal', value: true }]
+    },
+    event: { type: 'member' }
+  }
+
+  beforeEach(() => {
+    metrics = new MetricsCollector()
+    engine = engineFactory([adult, member], { metrics })
+    engine.addFact('account', () => ({ member: false }))
+  })
+
+  it('metrics: true creates an in-memory collector', () => {
+    expect(engineFactory([], { metrics: true }).metrics).to.be.an.instanceof(MetricsCollector)
+    expect(engineFactory([]).metrics).to.be.null()
+  })
+
+  it('counts rule evaluations, results and scores', async () => {
+    await engine.run({ age: 30 })
+    await engine.run({ age: 12 })
+    const { rules } = metrics.snapshot()
+    expect(rules.adult).to.include({ evaluations: 2, passed: 1, failed: 1, passRate: 0.5 })
+    expect(rules.member).to.include({ evaluations: 2, passed: 0, failed: 2, passRate: 0 })
+    expect(rules.member.score.count).to.equal(2)
+    expect(rules.member.score.buckets['0.5']).to.equal(2)
+    expect(rules.member.score.sum).to.be.below(1)
+    expect(rules.adult.duration.count).to.equal(2)
+  })
+
+  it('counts dynamic fact lookups and cache hits', async () => {
+    await engine.run({ age: 30 })
+    const { facts } = metrics.snapshot()
+    expect(facts).to.have.all.keys('account')
+    expect(facts.account).to.include({ lookups: 1, cacheHits: 0, cacheMisses: 1, cacheHitRatio: 0 })
+    expect(facts.account.duration.count).to.equal(1)
+
+    engine.addRule(Object.assign({}, member, { name: 'member-again' }))
+    await engine.run({ age: 30 })
+    expect(metrics.snapshot().facts.account).to.include({ lookups: 3, cacheHits: 1, cacheMisses: 2 })
+  })
+
+  it('counts runs by strategy and outcome', async () => {
+    await engine.run({ age: 30 })
+    await engine.run({ age: 30 }, { strategy: 'first' })
+    await expect(engine.run({})).to.be.rejectedWith('Undefined fact: age')
+    const run = engine.run({ age: 30 })
+    run.cancel()
+    await expect(run).to.be.rejected()
+    const { runs } = metrics.snapshot()
+    expect(runs.total).to.equal(4)
+    expect(runs.outcomes).to.deep.equal([
+      { strategy: 'all', outcome: 'completed', count: 1 },
+      { strategy: 'first', outcome: 'completed', count: 1 },
+      { strategy: 'all', outcome: 'failed', count: 1 },
+      { strategy: 'all', outcome: 'cancelled', count: 1 }
+    ])
+    expect(runs.duration.count).to.equal(4)
+  })
+
+  it('reports to custom collectors', async () => {
+    const collector = { recordRun: sinon.spy(), recordRule: sinon.spy(), recordFact: sinon.spy() }
+    engine = engineFactory([adult], { metrics: collector })
+    await engine.run({ age: 30 })
+    expect(collector.recordRule).to.have.been.calledOnce()
+    expect(collector.recordRule.getCall(0).args[0]).to.include({ name: 'adult', result: true, score: 1 })
+    expect(collector.recordRun).to.have.been.calledOnce()
+    expect(collector.recordRun.getCall(0).args[0]).to.include({ strategy: 'all', outcome: 'completed' })
+    expect(collector.recordFact).to.not.have.been.called()
+  })
+
+  it('reports through custom almanacs', async () => {
+    await engine.run({ age: 30 }, { almanac: engineFactory().createAlmanac() })
+    expect(metrics.snapshot().facts.account.lookups).to.equal(1)
+  })
+
+  it('reset() discards recorded metrics', async () => {
+    await engine.run({ age: 30 })
+    metrics.reset()
+    const { runs, rules, facts } = metrics.snapshot()
+    expect(runs).to.include({ total: 0 })
+    expect(runs.duration.count).to.equal(0)
+    expect(rules).to.be.empty()
+    expect(facts).to.be.empty()
+  })
+
+  it('toJSON() returns the snapshot', async () => {
+    await engine.run({ age: 30 })
+    expect(JSON.parse(JSON.stringify(metrics))).to.deep.equal(metrics.snapshot())
+  })
+
+  describe('toPrometheus()', () => {
+    it('exports counters and histograms in the text exposition format', async () => {
+      await engine.run({ age: 30 })
+      const text = metrics.toPrometheus()
+      expect(text).to.include('# TYPE rule_engine_runs_total counter\nrule_engine_runs_total{strategy="all",outcome="completed"} 1\n')
+      expect(text).to.include('rule_engine_rule_evaluations_total{rule="adult",result="pass"} 1\n')
+      expect(text).to.include('rule_engine_rule_evaluations_total{rule="member",result="fail"} 1\n')
+      expect(text).to.include('rule_engine_rule_score_bucket{rule="member",le="0.5"} 1\n')
+      expect(text).to.include('rule_engine_rule_score_bucket{rule="member",le="+Inf"} 1\n')
+      expect(text).to.include('rule_engine_rule_score_count{rule="member"} 1\n')
+      expect(text).to.include('rule_engine_fact_lookups_total{fact="account",cached="false"} 1\n')
+      expect(text).to.include('# TYPE rule_engine_fact_duration_seconds histogram\n')
+      expect(text).to.match(/rule_engine_run_duration_seconds_bucket\{le="0.005"\} \d+\n/)
+    })
+
+    it('escapes label values', () => {
+      metrics.recordRule({ name: 'say "hi"\\\n', result: true, score: 1, duration: 1 })
+      expect(metrics.toPrometheus()).to.include('rule_engine_rule_evaluations_total{rule="say \\"hi\\"\\\\\\n",result="pass"} 1\n')
+    })
+  })
+})
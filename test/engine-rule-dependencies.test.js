@@ -0,0 +1,175 @@
+'use strict'
+
+import engineFactory, { Rule } from '../src/index'
+import { RuleCycleError } from '../src/errors'
+
+describe('Engine: rule dependencies', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = engineFactory()
+  })
+
+  function rule (name, conditions, properties = {}) {
+    return Object.assign({ name, conditions, event: { type: name } }, properties)
+  }
+
+  const adult = rule('adult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+  const scored = rule('scored', {
+    any: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }, { fact: 'member', operator: 'equal', value: true }]
+  })
+
+  describe('rule conditions', () => {
+    it('passed tests whether the referenced rule passed', async () => {
+      engine.addRule(rule('drinks', { all: [{ rule: 'adult', operator: 'passed' }] }, { priority: 10 }))
+      engine.addRule(adult)
+      const { events } = await engine.run({ age: 21 })
+      expect(events.map(event => event.type)).to.deep.equal(['adult', 'drinks'])
+      const { failureEvents } = await engine.run({ age: 16 })
+      expect(failureEvents.map(event => event.type)).to.deep.equal(['adult', 'drinks'])
+    })
+
+    it('failed tests whether the referenced rule failed', async () => {
+      engine.addRule(rule('minor', { all: [{ rule: 'adult', operator: 'failed' }] }))
+      engine.addRule(adult)
+      const { results } = await engine.run({ age: 16 })
+      expect(results.map(result => result.name)).to.deep.equal(['minor'])
+    })
+
+    it('compares other operators with the referenced rule score', async () => {
+      engine = engineFactory([
+        rule('likely', { all: [{ rule: 'partial', operator: 'greaterThanInclusive', value: 0.5 }] }),
+        rule('partial', {
+          all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }, { fact: 'member', operator: 'equal', value: true }]
+        })
+      ])
+      const { results } = await engine.run({ age: 21, member: false })
+      expect(results.map(result => result.name)).to.deep.equal(['likely'])
+      expect(results[0].conditions.all[0].factResult).to.equal(0.5)
+    })
+
+    it('treats rules that were not evaluated as neither passed nor failed', async () => {
+      engine.addRule(rule('passed', { all: [{ rule: 'archived', operator: 'passed' }] }))
+      engine.addRule(rule('failed', { all: [{ rule: 'archived', operator: 'failed' }] }))
+      engine.addRule(adult, { set: 'archived' })
+      engine.disableRuleSet('archived')
+      const { results, failureResults } = await engine.run({ age: 30 })
+      expect(results).to.be.empty()
+      expect(failureResults.map(result => result.name)).to.have.members(['passed', 'failed'])
+    })
+
+    it('works through named conditions', async () => {
+      engine.setCondition('isAdult', { all: [{ rule: 'adult', operator: 'passed' }] })
+      engine.addRule(rule('drinks', { all: [{ condition: 'isAdult' }] }, { priority: 10 }))
+      engine.addRule(adult)
+      const { events } = await engine.run({ age: 21 })
+      expect(events.map(event => event.type)).to.deep.equal(['adult', 'drinks'])
+    })
+
+    it('produces the same results when rules are not compiled', async () => {
+      engine = engineFactory([rule('drinks', { all: [{ rule: 'adult', operator: 'passed' }] }, { priority: 10 }), adult], { compileRules: false })
+      const { events } = await engine.run({ age: 21 })
+      expect(events.map(event => event.type)).to.deep.equal(['adult', 'drinks'])
+    })
+
+    it('requires a value for operators other than passed and failed', () => {
+      expect(() => engine.addRule(rule('likely', { all: [{ rule: 'adult', operator: 'greaterThan' }] })))
+        .to.throw('Condition: constructor "value" property required')
+    })
+
+    it('serializes the rule reference', () => {
+      const json = new Rule(rule('drinks', { all: [{ rule: 'adult', operator: 'passed' }] })).toJSON(false)
+      expect(json.conditions.all).to.deep.equal([{ rule: 'adult', operator: 'passed' }])
+    })
+  })
+
+  describe('evaluation order', () => {
+    it('evaluates rules after the rules they depend on, regardless of priority', () => {
+      engine.addRule(rule('c', { all: [{ rule: 'b', operator: 'passed' }] }, { priority: 10 }))
+      engine.addRule(rule('b', { all: [{ rule: 'a', operator: 'passed' }] }, { priority: 5 }))
+      engine.addRule(rule('a', { all: [{ fact: 'age', operator: 'greaterThan', value: 1 }] }))
+      engine.addRule(rule('d', { all: [{ fact: 'age', operator: 'greaterThan', value: 1 }] }, { priority: 10 }))
+      const order = engine.prioritizeRules().map(set => set.map(r => r.name))
+      expect(order).to.deep.equal([['d'], ['a'], ['b'], ['c']])
+    })
+
+    it('keeps priority order for rules without dependencies', () => {
+      engine.addRule(rule('low', adult.conditions, { priority: 1 }))
+      engine.addRule(rule('high', adult.conditions, { priority: 10 }))
+      engine.addRule(rule('also-high', adult.conditions, { priority: 10 }))
+      const order = engine.prioritizeRules().map(set => set.map(r => r.name))
+      expect(order).to.deep.equal([['high', 'also-high'], ['low']])
+    })
+
+    it('evaluates dependent rules under the first strategy', async () => {
+      engine = engineFactory([
+        rule('drinks', { all: [{ rule: 'adult', operator: 'passed' }] }, { priority: 10 }),
+        rule('adult', adult.conditions, { priority: 1 })
+      ], { strategy: 'first' })
+      const { results } = await engine.run({ age: 21 })
+      expect(results.map(result => result.name)).to.deep.equal(['adult'])
+    })
+
+    it('evaluates dependent rules under the best strategy', async () => {
+      engine = engineFactory([
+        rule('guest', { all: [{ rule: 'scored', operator: 'failed' }] }, { priority: 10 }),
+        scored
+      ], { strategy: 'best' })
+      const { results } = await engine.run({ age: 16, member: false })
+      expect(results.map(result => result.name)).to.deep.equal(['guest'])
+    })
+  })
+
+  describe('cycles', () => {
+    it('rejects rules that depend on themselves', () => {
+      expect(() => engine.addRule(rule('loop', { all: [{ rule: 'loop', operator: 'passed' }] })))
+        .to.throw(RuleCycleError, 'Rule cycle detected: loop -> loop')
+      expect(engine.rules).to.be.empty()
+    })
+
+    it('rejects rules closing a cycle when they are added', () => {
+      engine.addRule(rule('a', { all: [{ rule: 'b', operator: 'passed' }] }))
+      engine.addRule(rule('b', { all: [{ rule: 'c', operator: 'passed' }] }))
+      const error = (() => {
+        try {
+          engine.addRule(rule('c', { any: [{ fact: 'age', operator: 'equal', value: 1 }, { rule: 'a', operator: 'failed' }] }))
+        } catch (error) {
+          return error
+        }
+      })()
+      expect(error).to.be.an.instanceof(RuleCycleError)
+      expect(error.code).to.equal('RULE_CYCLE')
+      expect(error.cycle).to.deep.equal(['c', 'a', 'b', 'c'])
+      expect(engine.rules.map(r => r.name)).to.deep.equal(['a', 'b'])
+    })
+
+    it('keeps the previous rule when an update would introduce a cycle', () => {
+      engine.addRule(rule('a', { all: [{ rule: 'b', operator: 'passed' }] }))
+      engine.addRule(rule('b', adult.conditions))
+      expect(() => engine.updateRule(new Rule(rule('b', { all: [{ rule: 'a', operator: 'passed' }] }))))
+        .to.throw(RuleCycleError)
+      expect(engine.rules.map(r => r.name)).to.deep.equal(['a', 'b'])
+    })
+
+    it('rejects the run when a named condition introduces a cycle', async () => {
+      engine.setCondition('isAdult', adult.conditions)
+      engine.addRule(rule('a', { all: [{ rule: 'b', operator: 'passed' }] }))
+      engine.addRule(rule('b', { all: [{ condition: 'isAdult' }] }))
+      engine.setCondition('isAdult', { all: [{ rule: 'a', operator: 'passed' }] })
+      await expect(engine.run({ age: 20 })).to.be.rejectedWith(RuleCycleError)
+    })
+  })
+
+  it('re-evaluates dependent rules under forward chaining', async () => {
+    engine = engineFactory([
+      rule('vip', { all: [{ rule: 'gold', operator: 'passed' }] }, { priority: 10 }),
+      rule('gold', { all: [{ fact: 'points', operator: 'greaterThanInclusive', value: 100 }] }, { priority: 5 }),
+      rule('earn', { all: [{ fact: 'cartTotal', operator: 'greaterThan', value: 0 }] }, {
+        noLoop: true,
+        event: { type: 'earn', actions: [{ type: 'incrementFact', fact: 'points', by: { fact: 'cartTotal' } }] }
+      })
+    ], { strategy: 'forward' })
+    const { results } = await engine.run({ cartTotal: 150, points: 0 })
+    expect(results.map(result => result.name)).to.have.members(['vip', 'gold', 'earn'])
+  })
+})
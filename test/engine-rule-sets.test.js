@@ -0,0 +1,102 @@
+'use strict'
+
+import engineFactory, { Rule } from '../src/index'
+
+describe('Engine: rule sets', () => {
+  let engine
+
+  function rule (name, priority = 1, ruleSet) {
+    return {
+      name,
+      priority,
+      ruleSet,
+      conditions: {
+        all: [{
+          fact: 'amount',
+          operator: 'greaterThanInclusive',
+          value: 0
+        }]
+      },
+      event: { type: name }
+    }
+  }
+
+  function passingNames (results) {
+    return results.map(r => r.name).sort()
+  }
+
+  beforeEach(() => {
+    engine = engineFactory()
+    engine.addRule(rule('discount', 1), { set: 'pricing' })
+    engine.addRule(rule('surcharge', 5), { set: 'pricing' })
+    engine.addRule(rule('velocity-check', 10, 'fraud'))
+    engine.addRule(rule('welcome'))
+  })
+
+  describe('assigning rules to sets', () => {
+    it('accepts the set as an addRule() option', () => {
+      expect(engine.rules[0].getRuleSet()).to.equal('pricing')
+    })
+
+    it('accepts the set as a "ruleSet" rule property', () => {
+      expect(engine.rules[2].getRuleSet()).to.equal('fraud')
+    })
+
+    it('leaves rules without a set unassigned', () => {
+      expect(engine.rules[3].getRuleSet()).to.be.undefined()
+    })
+
+    it('lists the rule sets in use', () => {
+      expect(engine.getRuleSets()).to.deep.equal(['pricing', 'fraud'])
+    })
+
+    it('serializes the rule set', () => {
+      const json = engine.rules[0].toJSON(false)
+      expect(json.ruleSet).to.equal('pricing')
+      expect(new Rule(json).getRuleSet()).to.equal('pricing')
+    })
+  })
+
+  describe('run() with "sets"', () => {
+    it('evaluates every rule by default', async () => {
+      const { results } = await engine.run({ amount: 10 })
+      expect(passingNames(results)).to.deep.equal(['discount', 'surcharge', 'velocity-check', 'welcome'])
+    })
+
+    it('only evaluates rules in the requested sets', async () => {
+      const { results, failureResults } = await engine.run({ amount: 10 }, { sets: ['pricing'] })
+      expect(passingNames(results)).to.deep.equal(['discount', 'surcharge'])
+      expect(failureResults).to.be.empty()
+    })
+
+    it('keeps priority ordering within the requested sets', async () => {
+      const order = []
+      engine.on('success', (event) => order.push(event.type))
+      await engine.run({ amount: 10 }, { sets: ['pricing', 'fraud'] })
+      expect(order).to.deep.equal(['velocity-check', 'surcharge', 'discount'])
+    })
+  })
+
+  describe('enabling and disabling sets', () => {
+    it('skips rules in disabled sets', async () => {
+      engine.disableRuleSet('pricing')
+      expect(engine.isRuleSetEnabled('pricing')).to.be.false()
+      const { results } = await engine.run({ amount: 10 })
+      expect(passingNames(results)).to.deep.equal(['velocity-check', 'welcome'])
+    })
+
+    it('skips disabled sets even when requested', async () => {
+      engine.disableRuleSet('pricing')
+      const { results } = await engine.run({ amount: 10 }, { sets: ['pricing', 'fraud'] })
+      expect(passingNames(results)).to.deep.equal(['velocity-check'])
+    })
+
+    it('evaluates sets again once re-enabled', async () => {
+      engine.disableRuleSet('pricing')
+      engine.enableRuleSet('pricing')
+      expect(engine.isRuleSetEnabled('pricing')).to.be.true()
+      const { results } = await engine.run({ amount: 10 }, { sets: ['pricing'] })
+      expect(passingNames(results)).to.deep.equal(['discount', 'surcharge'])
+    })
+  })
+})
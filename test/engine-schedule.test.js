@@ -0,0 +1,170 @@
+'use strict'
+
+import engineFactory, { Rule, InvalidScheduleError } from '../src/index'
+
+describe('Engine: rule schedules', () => {
+  let engine
+
+  const conditions = {
+    all: [{
+      fact: 'cartTotal',
+      operator: 'greaterThanInclusive',
+      value: 100
+    }]
+  }
+
+  function campaign (name, options = {}) {
+    return Object.assign({ name, conditions, event: { type: name } }, options)
+  }
+
+  // 2025-06-02 is a monday
+  const mondayMorningUtc = new Date('2025-06-02T09:30:00Z')
+  const mondayEveningUtc = new Date('2025-06-02T19:00:00Z')
+  const saturdayMorningUtc = new Date('2025-06-07T09:30:00Z')
+
+  describe('validity window', () => {
+    beforeEach(() => {
+      engine = engineFactory([
+        campaign('summer-sale', { validFrom: '2025-06-01T00:00:00Z', validTo: '2025-09-01T00:00:00Z' })
+      ])
+    })
+
+    it('evaluates the rule inside its window', async () => {
+      const { results, inactive } = await engine.run({ cartTotal: 150 }, { now: mondayMorningUtc })
+      expect(results.map(r => r.name)).to.deep.equal(['summer-sale'])
+      expect(inactive).to.be.empty()
+    })
+
+    it('reports the rule as inactive before validFrom', async () => {
+      const { results, failureResults, inactive } = await engine.run({ cartTotal: 150 }, { now: new Date('2025-05-31T23:59:59Z') })
+      expect(results).to.be.empty()
+      expect(failureResults).to.be.empty()
+      expect(inactive.map(r => r.name)).to.deep.equal(['summer-sale'])
+      expect(inactive[0].result).to.be.null()
+    })
+
+    it('treats validTo as exclusive', async () => {
+      const { inactive } = await engine.run({ cartTotal: 150 }, { now: new Date('2025-09-01T00:00:00Z') })
+      expect(inactive.map(r => r.name)).to.deep.equal(['summer-sale'])
+    })
+
+    it('does not emit events for inactive rules', async () => {
+      let emitted = 0
+      engine.on('success', () => emitted++)
+      engine.on('failure', () => emitted++)
+      await engine.run({ cartTotal: 150 }, { now: new Date('2026-01-01T00:00:00Z') })
+      expect(emitted).to.equal(0)
+    })
+  })
+
+  describe('recurring schedule', () => {
+    beforeEach(() => {
+      engine = engineFactory([
+        campaign('weekday-happy-hour', {
+          schedule: {
+            daysOfWeek: ['mon', 'tue', 'wed', 'thu', 'fri'],
+            timeWindows: [{ start: '09:00', end: '11:00' }, { start: '17:00', end: '18:00' }]
+          }
+        }),
+        campaign('late-night', {
+          schedule: { timeWindows: [{ start: '22:00', end: '02:00' }] }
+        })
+      ])
+    })
+
+    it('is active on the listed days within a time window', async () => {
+      const { results, inactive } = await engine.run({ cartTotal: 150 }, { now: mondayMorningUtc })
+      expect(results.map(r => r.name)).to.deep.equal(['weekday-happy-hour'])
+      expect(inactive.map(r => r.name)).to.deep.equal(['late-night'])
+    })
+
+    it('is inactive outside its time windows', async () => {
+      const { inactive } = await engine.run({ cartTotal: 150 }, { now: mondayEveningUtc })
+      expect(inactive.map(r => r.name)).to.have.members(['weekday-happy-hour', 'late-night'])
+    })
+
+    it('is inactive on days that are not listed', async () => {
+      const { inactive } = await engine.run({ cartTotal: 150 }, { now: saturdayMorningUtc })
+      expect(inactive.map(r => r.name)).to.include('weekday-happy-hour')
+    })
+
+    it('supports windows that span midnight', () => {
+      const rule = engine.rules[1]
+      expect(rule.isActive(new Date('2025-06-02T23:30:00Z'))).to.be.true()
+      expect(rule.isActive(new Date('2025-06-03T01:59:00Z'))).to.be.true()
+      expect(rule.isActive(new Date('2025-06-03T02:00:00Z'))).to.be.false()
+    })
+
+    it('attributes the part of a window after midnight to the day the window started on', () => {
+      const rule = new Rule(campaign('friday-night', {
+        schedule: { daysOfWeek: ['fri'], timeWindows: [{ start: '22:00', end: '02:00' }] }
+      }))
+      // 2025-06-06 is a friday
+      expect(rule.isActive(new Date('2025-06-06T23:00:00Z'))).to.be.true()
+      expect(rule.isActive(new Date('2025-06-07T01:00:00Z'))).to.be.true()
+      expect(rule.isActive(new Date('2025-06-06T01:00:00Z'))).to.be.false()
+      expect(rule.isActive(new Date('2025-06-07T23:00:00Z'))).to.be.false()
+    })
+
+    it('evaluates days and windows in the schedule timezone', () => {
+      const rule = new Rule(campaign('kolkata-lunch', {
+        schedule: {
+          daysOfWeek: [1],
+          timeWindows: [{ start: '12:00', end: '14:00' }],
+          timezone: 'Asia/Kolkata'
+        }
+      }))
+      // 07:00 UTC on monday is 12:30 in Kolkata
+      expect(rule.isActive(new Date('2025-06-02T07:00:00Z'))).to.be.true()
+      expect(rule.isActive(mondayMorningUtc)).to.be.false()
+    })
+  })
+
+  describe('clock', () => {
+    it('uses the injected engine clock', async () => {
+      engine = engineFactory([
+        campaign('summer-sale', { validFrom: '2025-06-01T00:00:00Z', validTo: '2025-09-01T00:00:00Z' })
+      ], { clock: () => new Date('2025-07-01T00:00:00Z') })
+      const { results } = await engine.run({ cartTotal: 150 })
+      expect(results.map(r => r.name)).to.deep.equal(['summer-sale'])
+    })
+
+    it('prefers runOptions.now over the engine clock', async () => {
+      engine = engineFactory([
+        campaign('summer-sale', { validFrom: '2025-06-01T00:00:00Z', validTo: '2025-09-01T00:00:00Z' })
+      ], { clock: () => new Date('2025-07-01T00:00:00Z') })
+      const { inactive } = await engine.run({ cartTotal: 150 }, { now: new Date('2025-10-01T00:00:00Z') })
+      expect(inactive.map(r => r.name)).to.deep.equal(['summer-sale'])
+    })
+  })
+
+  describe('Rule', () => {
+    it('serializes and restores its validity window and schedule', () => {
+      const rule = new Rule(campaign('weekday', {
+        validFrom: new Date('2025-06-01T00:00:00Z'),
+        schedule: { daysOfWeek: [1, 2], timeWindows: [{ start: '09:00', end: '17:00' }], timezone: 'Europe/London' }
+      }))
+      const json = rule.toJSON(false)
+      expect(json.validFrom).to.equal('2025-06-01T00:00:00.000Z')
+      expect(json.validTo).to.be.undefined()
+      expect(json.schedule).to.deep.equal({ daysOfWeek: [1, 2], timeWindows: [{ start: '09:00', end: '17:00' }], timezone: 'Europe/London' })
+      const restored = new Rule(rule.toJSON())
+      expect(restored.validFrom.getTime()).to.equal(rule.validFrom.getTime())
+      expect(restored.schedule.toJSON()).to.deep.equal(json.schedule)
+    })
+
+    it('rejects invalid dates', () => {
+      expect(() => new Rule(campaign('bad', { validFrom: 'not a date' }))).to.throw(/"validFrom" must be a valid date/)
+    })
+
+    it('rejects invalid schedules', () => {
+      expect(() => new Rule(campaign('bad', { schedule: { timezone: 'Mars/Olympus' } }))).to.throw(/invalid timezone/)
+      expect(() => new Rule(campaign('bad', { schedule: { daysOfWeek: ['someday'] } }))).to.throw(/invalid day of week/)
+      expect(() => new Rule(campaign('bad', { schedule: { timeWindows: [{ start: '9am', end: '17:00' }] } }))).to.throw(/HH:mm/)
+      expect(() => new Rule(campaign('bad', { schedule: { timeWindows: [{ start: '09:00', end: '09:00' }] } })))
+        .to.throw(InvalidScheduleError, /must not start and end at the same time/)
+      expect(() => new Rule(campaign('bad', { schedule: { timeWindows: [null] } }))).to.throw(InvalidScheduleError, /entries must be \{ start, end \} objects/)
+      expect(() => new Rule(campaign('bad', { schedule: 'weekdays' }))).to.throw(InvalidScheduleError, /must be an object/)
+    })
+  })
+})
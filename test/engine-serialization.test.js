@@ -0,0 +1,164 @@
+'use strict'
+
+import engineFactory, { Engine, Fact, Operator, OperatorDecorator, UnknownOperatorError, UnknownActionError } from '../src/index'
+
+describe('Engine: serialization', () => {
+  let engine
+
+  const startsWith = new Operator('startsWith', (factValue, jsonValue) => String(factValue).startsWith(jsonValue))
+  const reverse = new OperatorDecorator('reverse', (factValue, jsonValue, next) => next(jsonValue, factValue))
+
+  beforeEach(() => {
+    engine = engineFactory([], { allowUndefinedFacts: true, strategy: 'first' })
+    engine.addOperator(startsWith)
+    engine.addOperatorDecorator(reverse)
+    engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+    engine.addRule({
+      name: 'vip',
+      priority: 10,
+      conditions: {
+        all: [
+          { condition: 'isAdult' },
+          { fact: 'code', operator: 'startsWith', value: 'VIP' },
+          { fact: 'threshold', operator: 'reverse:greaterThan', value: 1000 }
+        ]
+      },
+      event: { type: 'vip' }
+    }, { set: 'loyalty' })
+    engine.addRule(factories.rule({ name: 'fallback', conditions: { any: [{ fact: 'age', operator: 'lessThan', value: 200 }] } }))
+    engine.addFact('threshold', 50)
+    engine.addFact('code', (params, almanac) => almanac.factValue('rawCode').then(code => code.toUpperCase()), { cache: false })
+    engine.disableRuleSet('archived')
+  })
+
+  describe('toJSON()', () => {
+    it('serializes options, rules, named conditions and facts', () => {
+      const json = engine.toJSON(false)
+      expect(json.options).to.deep.equal({
+        allowUndefinedFacts: true,
+        allowUndefinedConditions: false,
+        replaceFactsInEventParams: false,
+        strategy: 'first',
+        maxIterations: 100,
+        errorPolicy: 'throw'
+      })
+      expect(json.rules.map(rule => rule.name)).to.deep.equal(['vip', 'fallback'])
+      expect(json.rules[0].ruleSet).to.equal('loyalty')
+      expect(json.conditions.isAdult.all).to.deep.equal([{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }])
+      expect(json.facts).to.deep.include({ id: 'threshold', type: Fact.CONSTANT, options: { cache: true }, value: 50 })
+      expect(json.facts).to.deep.include({ id: 'code', type: Fact.DYNAMIC, options: { cache: false } })
+      expect(json.disabledRuleSets).to.deep.equal(['archived'])
+    })
+
+    it('lists registered operator and decorator names', () => {
+      const json = engine.toJSON(false)
+      expect(json.operators).to.include.members(['equal', 'startsWith'])
+      expect(json.decorators).to.include.members(['not', 'reverse'])
+      expect(json.actions).to.include.members(['setFact', 'emit'])
+    })
+
+    it('omits the decorated operators cached during evaluation', async () => {
+      await engine.run({ age: 20, rawCode: 'vip1' })
+      expect(engine.toJSON(false).operators).to.not.include('reverse:greaterThan')
+    })
+
+    it('returns a string by default', () => {
+      expect(JSON.parse(engine.toJSON())).to.deep.equal(engine.toJSON(false))
+    })
+  })
+
+  describe('fromJSON()', () => {
+    const code = (params, almanac) => almanac.factValue('rawCode').then(code => code.toUpperCase())
+
+    it('restores an equivalent engine', async () => {
+      const restored = Engine.fromJSON(engine.toJSON(), {
+        operators: [startsWith],
+        decorators: [reverse],
+        facts: { code }
+      })
+      expect(restored).to.be.an.instanceof(Engine)
+      expect(restored.toJSON(false)).to.deep.equal(engine.toJSON(false))
+      expect(restored.strategy).to.equal('first')
+      expect(restored.isRuleSetEnabled('archived')).to.be.false()
+      expect(restored.getFact('code').options.cache).to.be.false()
+
+      const { events } = await restored.run({ age: 20, rawCode: 'vip-42' })
+      expect(events).to.deep.equal([{ type: 'vip' }])
+    })
+
+    it('accepts operators and decorators as { name: callback } objects', () => {
+      const restored = Engine.fromJSON(engine.toJSON(false), {
+        operators: { startsWith: startsWith.cb },
+        decorators: { reverse: reverse.cb },
+        facts: { code }
+      })
+      expect(restored.operators.get('startsWith')).to.be.an.instanceof(Operator)
+    })
+
+    it('accepts Fact instances as dynamic fact implementations', () => {
+      const restored = Engine.fromJSON(engine.toJSON(), {
+        operators: [startsWith],
+        decorators: [reverse],
+        facts: { code: new Fact('code', code, { priority: 5 }) }
+      })
+      expect(restored.getFact('code').priority).to.equal(5)
+    })
+
+    it('lets options override serialized engine options', () => {
+      const restored = Engine.fromJSON(engine.toJSON(), {
+        operators: [startsWith],
+        decorators: [reverse],
+        facts: { code },
+        strategy: 'all'
+      })
+      expect(restored.strategy).to.equal('all')
+    })
+
+    it('throws when a rule uses an unregistered operator', () => {
+      expect(() => Engine.fromJSON(engine.toJSON(), { decorators: [reverse], facts: { code } }))
+        .to.throw('Engine: rule "vip" uses unregistered operator "startsWith"')
+    })
+
+    it('throws when a rule uses an unregistered decorator', () => {
+      expect(() => Engine.fromJSON(engine.toJSON(), { operators: [startsWith], facts: { code } }))
+        .to.throw('Engine: rule "vip" uses unregistered operator decorator "reverse" (in "reverse:greaterThan")')
+    })
+
+    it('throws when a named condition uses an unregistered operator', () => {
+      const json = engine.toJSON(false)
+      json.conditions.isAdult.all[0].operator = 'olderThan'
+      expect(() => Engine.fromJSON(json, { operators: [startsWith], decorators: [reverse], facts: { code } }))
+        .to.throw('Engine: condition "isAdult" uses unregistered operator "olderThan"')
+    })
+
+    it('throws when a rule uses an unregistered action', () => {
+      const json = engine.toJSON(false)
+      json.rules[0].event.actions = [{ type: 'notify' }]
+      expect(() => Engine.fromJSON(json, { operators: [startsWith], decorators: [reverse], facts: { code } }))
+        .to.throw('Engine: rule "vip" uses unregistered action "notify"')
+      const restored = Engine.fromJSON(json, { operators: [startsWith], decorators: [reverse], actions: { notify: () => {} }, facts: { code } })
+      expect(restored.toJSON(false).actions).to.include('notify')
+    })
+
+    it('throws when a serialized operator, decorator or action is not supplied', () => {
+      const options = { operators: [startsWith], decorators: [reverse], facts: { code } }
+      engine.addOperator('near', (factValue, jsonValue) => Math.abs(factValue - jsonValue) < 1)
+      expect(() => Engine.fromJSON(engine.toJSON(), options))
+        .to.throw(UnknownOperatorError, 'Engine: serialized operator "near" is not registered; supply it in options.operators')
+      engine.removeOperator('near')
+      engine.addOperatorDecorator('twice', (factValue, jsonValue, next) => next(factValue, jsonValue))
+      expect(() => Engine.fromJSON(engine.toJSON(), options))
+        .to.throw(UnknownOperatorError, 'Engine: serialized operator decorator "twice" is not registered; supply it in options.decorators')
+      engine.removeOperatorDecorator('twice')
+      engine.addAction('notify', () => {})
+      expect(() => Engine.fromJSON(engine.toJSON(), options))
+        .to.throw(UnknownActionError, 'Engine: serialized action "notify" is not registered; supply it in options.actions')
+      expect(Engine.fromJSON(engine.toJSON(), Object.assign({ actions: { notify: () => {} } }, options))).to.be.an.instanceof(Engine)
+    })
+
+    it('throws when a dynamic fact has no implementation', () => {
+      expect(() => Engine.fromJSON(engine.toJSON(), { operators: [startsWith], decorators: [reverse] }))
+        .to.throw('Engine: no implementation provided for dynamic fact "code"')
+    })
+  })
+})
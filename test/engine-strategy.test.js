@@ -0,0 +1,132 @@
+'use strict'
+
+import engineFactory from '../src/index'
+import sinon from 'sinon'
+
+describe('Engine: strategies', () => {
+  let engine
+  let sandbox
+  before(() => {
+    sandbox = sinon.createSandbox()
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  function ageRule (name, threshold, priority = 1) {
+    return factories.rule({
+      name,
+      priority,
+      conditions: {
+        all: [{
+          fact: 'age',
+          operator: 'greaterThanInclusive',
+          value: threshold
+        }]
+      },
+      event: { type: name }
+    })
+  }
+
+  function setup (options) {
+    engine = engineFactory([], options)
+    engine.addRule(ageRule('senior', 65, 10))
+    engine.addRule(ageRule('adult', 18, 5))
+    engine.addRule(ageRule('teen', 13, 5))
+    engine.addRule(ageRule('child', 0, 1))
+  }
+
+  describe('all', () => {
+    it('is the default and evaluates every rule', async () => {
+      setup()
+      const { results, failureResults, strategy } = await engine.run({ age: 30 })
+      expect(strategy).to.equal('all')
+      expect(results.map(r => r.name)).to.have.members(['adult', 'teen', 'child'])
+      expect(failureResults.map(r => r.name)).to.deep.equal(['senior'])
+    })
+  })
+
+  describe('first', () => {
+    it('stops at the first passing rule in priority order', async () => {
+      setup({ strategy: 'first' })
+      const successSpy = sandbox.spy()
+      engine.on('success', successSpy)
+      const { results, failureResults, events, strategy } = await engine.run({ age: 30 })
+      expect(strategy).to.equal('first')
+      expect(results.map(r => r.name)).to.deep.equal(['adult'])
+      expect(failureResults.map(r => r.name)).to.deep.equal(['senior'])
+      expect(events).to.deep.equal([{ type: 'adult' }])
+      expect(successSpy).to.have.been.calledOnce()
+    })
+
+    it('evaluates every rule when none pass', async () => {
+      setup({ strategy: 'first' })
+      const { results, failureResults } = await engine.run({ age: -1 })
+      expect(results).to.be.empty()
+      expect(failureResults.length).to.equal(4)
+    })
+  })
+
+  describe('best', () => {
+    it('returns only the highest scoring rule', async () => {
+      setup({ strategy: 'best' })
+      const successSpy = sandbox.spy()
+      const failureSpy = sandbox.spy()
+      engine.on('success', successSpy)
+      engine.on('failure', failureSpy)
+      const { results, failureResults, events, failureEvents, strategy } = await engine.run({ age: 30 })
+      expect(strategy).to.equal('best')
+      expect(results.map(r => r.name)).to.deep.equal(['adult'])
+      expect(failureResults).to.be.empty()
+      expect(events).to.deep.equal([{ type: 'adult' }])
+      expect(failureEvents).to.be.empty()
+      expect(successSpy).to.have.been.calledOnce()
+      expect(failureSpy).to.not.have.been.called()
+    })
+
+    it('returns no rule when every rule fails', async () => {
+      engine = engineFactory([], { strategy: 'best' })
+      engine.addRule(ageRule('senior', 65))
+      engine.addRule(ageRule('retired', 70))
+      const failureSpy = sandbox.spy()
+      engine.on('failure', failureSpy)
+      const { results, failureResults, events, failureEvents } = await engine.run({ age: 60 })
+      expect(results).to.be.empty()
+      expect(failureResults).to.be.empty()
+      expect(events).to.be.empty()
+      expect(failureEvents).to.be.empty()
+      expect(failureSpy).to.not.have.been.called()
+    })
+
+    it('only emits rule level events for the selected rule', async () => {
+      engine = engineFactory([], { strategy: 'best' })
+      engine.addRule(ageRule('senior', 65))
+      engine.addRule(ageRule('adult', 18))
+      const seniorSpy = sandbox.spy()
+      const adultSpy = sandbox.spy()
+      engine.rules[0].on('failure', seniorSpy)
+      engine.rules[1].on('success', adultSpy)
+      await engine.run({ age: 30 })
+      expect(seniorSpy).to.not.have.been.called()
+      expect(adultSpy).to.have.been.calledOnce()
+    })
+  })
+
+  describe('runOptions.strategy', () => {
+    it('overrides the engine strategy for a single run', async () => {
+      setup({ strategy: 'first' })
+      const { results, strategy } = await engine.run({ age: 30 }, { strategy: 'all' })
+      expect(strategy).to.equal('all')
+      expect(results.length).to.equal(3)
+    })
+
+    it('rejects unknown strategies', async () => {
+      setup()
+      await expect(engine.run({ age: 30 }, { strategy: 'random' })).to.be.rejectedWith(/unknown strategy "random"/)
+    })
+  })
+
+  it('throws on an unknown engine strategy', () => {
+    expect(() => engineFactory([], { strategy: 'random' })).to.throw(/unknown strategy "random"/)
+  })
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+import engineFactory from '../src/index'
+import Almanac from '../src/almanac'
+import sinon from 'sinon'
+
+describe('Engine: runStream()', () => {
+  let engine
+  let sandbox
+  before(() => {
+    sandbox = sinon.createSandbox()
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  function rule (name, fact, priority) {
+    return factories.rule({
+      name,
+      priority,
+      conditions: {
+        all: [{
+          fact,
+          operator: 'equal',
+          value: true
+        }]
+      },
+      event: { type: name }
+    })
+  }
+
+  let releaseSlow
+  let lastStub
+
+  beforeEach(() => {
+    engine = engineFactory()
+    engine.addRule(rule('first', 'fast', 10))
+    engine.addRule(rule('second', 'slow', 5))
+    engine.addRule(rule('third', 'last', 1))
+    engine.addFact('fast', true)
+    const gate = new Promise(resolve => { releaseSlow = () => resolve(false) })
+    engine.addFact('slow', () => gate)
+    lastStub = sandbox.stub().returns(true)
+    engine.addFact('last', lastStub)
+  })
+
+  it('yields each rule result in priority order, then a summary', async () => {
+    const stream = engine.runStream()
+    const items = []
+    const first = await stream.next()
+    expect(first.value.name).to.equal('first')
+    expect(first.value.result).to.be.true()
+    expect(lastStub).to.not.have.been.called()
+    releaseSlow()
+    for await (const item of stream) {
+      items.push(item)
+    }
+    expect(items.map(item => item.name || item.type)).to.deep.equal(['second', 'third', 'summary'])
+    const summary = items[2]
+    expect(summary.almanac).to.be.an.instanceOf(Almanac)
+    expect(summary.results.map(r => r.name)).to.deep.equal(['first', 'third'])
+    expect(summary.failureResults.map(r => r.name)).to.deep.equal(['second'])
+  })
+
+  it('stops evaluating when the iteration is exited early', async () => {
+    const names = []
+    for await (const item of engine.runStream()) {
+      names.push(item.name)
+      if (names.length === 1) break
+    }
+    releaseSlow()
+    await new Promise(resolve => setTimeout(resolve, 5))
+    expect(names).to.deep.equal(['first'])
+    expect(lastStub).to.not.have.been.called()
+  })
+
+  it('rejects when the run fails', async () => {
+    engine.addFact('last', () => { throw new Error('fact failed') })
+    const stream = engine.runStream()
+    await stream.next()
+    releaseSlow()
+    await stream.next()
+    await expect(stream.next()).to.be.rejectedWith(/fact failed/)
+    const end = await stream.next()
+    expect(end.done).to.be.true()
+  })
+
+  it('passes run options through to the run', async () => {
+    const onResult = sandbox.spy()
+    const items = []
+    for await (const item of engine.runStream({}, { sets: [], onResult })) {
+      items.push(item)
+    }
+    expect(items.map(item => item.type)).to.deep.equal(['summary'])
+    expect(onResult).to.not.have.been.called()
+  })
+})
@@ -0,0 +1,87 @@
+'use strict'
+
+import engineFactory, { Fact } from '../src/index'
+import { FactTimeoutError, RunTimeoutError } from '../src/errors'
+
+describe('Engine: timeouts', () => {
+  let engine
+
+  const event = { type: 'adult' }
+  const conditions = {
+    all: [{
+      fact: 'age',
+      operator: 'greaterThanInclusive',
+      value: 18
+    }]
+  }
+
+  function delayed (value, ms) {
+    return () => new Promise(resolve => setTimeout(() => resolve(value), ms))
+  }
+
+  beforeEach(() => {
+    engine = engineFactory()
+    engine.addRule(factories.rule({ conditions, event }))
+  })
+
+  describe('fact timeout', () => {
+    it('resolves facts that finish within their timeout', async () => {
+      engine.addFact('age', delayed(20, 1), { timeout: 200 })
+      const { events, timedOutFacts } = await engine.run()
+      expect(events.length).to.equal(1)
+      expect(timedOutFacts).to.deep.equal([])
+    })
+
+    it('uses the fallback value when the fact times out', async () => {
+      engine.addFact('age', delayed(20, 200), { timeout: 5, fallback: 0 })
+      const { events, failureResults, timedOutFacts } = await engine.run()
+      expect(events.length).to.equal(0)
+      expect(failureResults[0].conditions.all[0].factResult).to.equal(0)
+      expect(timedOutFacts).to.deep.equal(['age'])
+    })
+
+    it('accepts an undefined fallback value', async () => {
+      engine.addFact('age', delayed(20, 200), { timeout: 5, fallback: undefined })
+      const { failureResults, timedOutFacts } = await engine.run()
+      expect(failureResults[0].conditions.all[0].factResult).to.be.undefined()
+      expect(timedOutFacts).to.deep.equal(['age'])
+    })
+
+    it('raises a FactTimeoutError when no fallback is declared', async () => {
+      engine.addFact('age', delayed(20, 200), { timeout: 5 })
+      const error = await engine.run().catch(e => e)
+      expect(error).to.be.an.instanceOf(FactTimeoutError)
+      expect(error.code).to.equal('FACT_TIMEOUT')
+      expect(error.factId).to.equal('age')
+      expect(error.timeout).to.equal(5)
+    })
+
+    it('honors timeouts on facts passed at runtime', async () => {
+      const age = new Fact('age', delayed(20, 200), { timeout: 5, fallback: 21 })
+      const { events, timedOutFacts } = await engine.run({ age })
+      expect(events.length).to.equal(1)
+      expect(timedOutFacts).to.deep.equal(['age'])
+    })
+
+    it('requires a positive timeout', () => {
+      expect(() => new Fact('age', delayed(20, 1), { timeout: -1 })).to.throw(/"timeout" must be a positive number/)
+    })
+  })
+
+  describe('run timeout', () => {
+    it('rejects with a RunTimeoutError when the run takes too long', async () => {
+      engine.addFact('age', delayed(20, 200))
+      const run = engine.run({}, { timeout: 5 })
+      const error = await run.catch(e => e)
+      expect(error).to.be.an.instanceOf(RunTimeoutError)
+      expect(error.code).to.equal('RUN_TIMEOUT')
+      expect(run.status).to.equal('CANCELLED')
+    })
+
+    it('resolves normally when the run finishes in time', async () => {
+      engine.addFact('age', 20)
+      const { events } = await engine.run({}, { timeout: 200 })
+      expect(events.length).to.equal(1)
+    })
+  })
+})
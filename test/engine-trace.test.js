@@ -0,0 +1,120 @@
+'use strict'
+
+import engineFactory from '../src/index'
+
+describe('Engine: trace', () => {
+  let engine
+
+  const conditions = {
+    all: [{
+      fact: 'age',
+      operator: 'greaterThanInclusive',
+      value: { fact: 'minimumAge' }
+    }, {
+      any: [{
+        fact: 'account',
+        path: '$.tier',
+        operator: 'in',
+        value: ['gold', 'platinum'],
+        name: 'premium'
+      }, {
+        condition: 'isStaff'
+      }]
+    }]
+  }
+
+  function setup (options = {}) {
+    engine = engineFactory([factories.rule({ name: 'discount', conditions, event: { type: 'discount' } })], options)
+    engine.setCondition('isStaff', { all: [{ fact: 'staff', operator: 'equal', value: true }] })
+    engine.addFact('account', (params, almanac) => almanac.factValue('accountId').then(id => ({ id, tier: 'gold' })))
+    return engine
+  }
+
+  it('does not trace by default', async () => {
+    setup()
+    const { results } = await engine.run({ age: 30, minimumAge: 21, accountId: 1, staff: false })
+    expect(results[0].trace).to.be.undefined()
+    expect(results[0].toJSON(false)).to.not.have.property('trace')
+  })
+
+  function check (trace) {
+    expect(trace.duration).to.be.a('number')
+    const root = trace.conditions
+    expect(root).to.include({ operator: 'all', score: 1, result: true })
+    expect(root.children).to.have.lengthOf(2)
+
+    const [age, any] = root.children
+    expect(age).to.include({ fact: 'age', operator: 'greaterThanInclusive', value: 21, factValue: 30, score: 1, result: true, cached: false })
+    expect(age.facts.map(lookup => lookup.id)).to.deep.equal(['minimumAge', 'age'])
+
+    expect(any).to.include({ operator: 'any', score: 1, result: true })
+    const [premium, staff] = any.children
+    expect(premium).to.include({ name: 'premium', fact: 'account', path: '$.tier', factValue: 'gold', score: 1 })
+    expect(premium.value).to.deep.equal(['gold', 'platinum'])
+    expect(premium.facts).to.deep.include({ id: 'accountId', cached: false, requestedBy: 'account', duration: premium.facts[1].duration })
+    expect(staff.operator).to.equal('all')
+    expect(staff.children[0]).to.include({ fact: 'staff', factValue: false, score: 0, result: false })
+
+    const nodes = [root, age, any, premium, staff, staff.children[0]]
+    nodes.forEach(node => {
+      expect(node.duration).to.be.a('number').and.at.least(0)
+      expect(node).to.not.have.any.keys('started', 'finished')
+    })
+    premium.facts.forEach(lookup => expect(lookup.duration).to.be.a('number').and.at.least(0))
+    expect(root.duration).to.be.at.least(age.duration)
+    expect(any.duration).to.be.at.least(premium.duration)
+  }
+
+  it('attaches a trace mirroring the condition tree', async () => {
+    setup()
+    const { results } = await engine.run({ age: 30, minimumAge: 21, accountId: 1, staff: false }, { trace: true })
+    check(results[0].trace)
+    expect(results[0].toJSON(false).trace).to.equal(results[0].trace)
+  })
+
+  it('traces rules that are not compiled', async () => {
+    setup({ compileRules: false })
+    const { results } = await engine.run({ age: 30, minimumAge: 21, accountId: 1, staff: false }, { trace: true })
+    check(results[0].trace)
+  })
+
+  it('traces failing rules', async () => {
+    setup()
+    const { failureResults } = await engine.run({ age: 18, minimumAge: 21, accountId: 1, staff: false }, { trace: true })
+    expect(failureResults[0].trace.conditions).to.include({ score: failureResults[0].score, result: false })
+    expect(failureResults[0].trace.conditions.children[0]).to.include({ factValue: 18, result: false })
+  })
+
+  it('reports values served from the fact cache', async () => {
+    setup()
+    engine.addRule(factories.rule({
+      name: 'gold',
+      priority: 1,
+      conditions: { all: [{ fact: 'account', path: '$.tier', operator: 'equal', value: 'gold' }] },
+      event: { type: 'gold' }
+    }))
+    engine.rules[0].setPriority(10)
+    const { results } = await engine.run({ age: 30, minimumAge: 21, accountId: 1, staff: false }, { trace: true })
+    const gold = results.find(result => result.name === 'gold')
+    expect(gold.trace.conditions.children[0].cached).to.be.true()
+    expect(gold.trace.conditions.children[0].facts).to.have.lengthOf(1)
+  })
+
+  it('traces rule conditions', async () => {
+    setup()
+    engine.addRule({ name: 'follow-up', conditions: { all: [{ rule: 'discount', operator: 'passed' }] }, event: { type: 'follow-up' } })
+    const { results } = await engine.run({ age: 30, minimumAge: 21, accountId: 1, staff: false }, { trace: true })
+    const followUp = results.find(result => result.name === 'follow-up')
+    expect(followUp.trace.conditions.children[0]).to.include({ rule: 'discount', operator: 'passed', factValue: true, result: true })
+    expect(followUp.trace.conditions.children[0].facts).to.be.empty()
+    expect(followUp.trace.conditions.children[0]).to.not.have.property('cached')
+  })
+
+  it('traces the root condition reference', async () => {
+    setup()
+    engine.addRule({ name: 'staff', conditions: { condition: 'isStaff' }, event: { type: 'staff' } })
+    const { results } = await engine.run({ age: 30, minimumAge: 21, accountId: 1, staff: true }, { trace: true })
+    const staff = results.find(result => result.name === 'staff')
+    expect(staff.trace.conditions).to.include({ operator: 'all', score: 1, result: true })
+  })
+})
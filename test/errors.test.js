@@ -0,0 +1,159 @@
+'use strict'
+
+import engineFactory, {
+  Engine, Rule, Fact, Operator, RuleEngineError, InvalidArgumentError, InvalidConditionError,
+  InvalidRuleError, InvalidPriorityError, InvalidScheduleError, InvalidFactError, InvalidActionError,
+  UndefinedFactError, UndefinedConditionError, ConditionCycleError, UnknownOperatorError,
+  UnknownActionError, RuleNotFoundError, RunTimeoutError, RuleCycleError
+} from '../src/index'
+
+describe('Errors', () => {
+  let engine
+  beforeEach(() => {
+    engine = engineFactory()
+  })
+
+  const event = { type: 'adult' }
+  const adult = (conditions) => ({ name: 'adult', conditions, event })
+
+  /**
+   * Returns the error thrown by fn
+   */
+  function thrown (fn) {
+    try {
+      fn()
+    } catch (error) {
+      return error
+    }
+    throw new Error('expected an error to be thrown')
+  }
+
+  it('exports every error class, sharing the RuleEngineError base', () => {
+    const error = new UndefinedFactError('age')
+    expect(error).to.be.an.instanceof(RuleEngineError)
+    expect(error).to.be.an.instanceof(Error)
+    expect(error).to.include({ name: 'UndefinedFactError', code: 'UNDEFINED_FACT', factId: 'age' })
+    expect(new InvalidPriorityError(0)).to.be.an.instanceof(InvalidRuleError)
+    expect(new RunTimeoutError(5)).to.include({ code: 'RUN_TIMEOUT', timeout: 5 })
+  })
+
+  describe('rule definitions', () => {
+    it('invalid conditions carry the rule and condition path', () => {
+      const error = thrown(() => new Rule(adult({ all: [{ fact: 'age', operator: 'equal', value: 1 }, { any: [{ fact: 'age' }] }] })))
+      expect(error).to.be.an.instanceof(InvalidConditionError)
+      expect(error).to.include({ code: 'INVALID_CONDITION', rule: 'adult', path: '/all/1/any/0', property: 'operator' })
+    })
+
+    it('invalid roots carry an empty path', () => {
+      const error = thrown(() => new Rule(adult({ fact: 'age' })))
+      expect(error).to.include({ code: 'INVALID_CONDITION', rule: 'adult', path: '' })
+    })
+
+    it('invalid priorities', () => {
+      const error = thrown(() => new Rule(Object.assign(adult({ all: [] }), { priority: -1 })))
+      expect(error).to.be.an.instanceof(InvalidPriorityError)
+      expect(error).to.include({ code: 'INVALID_PRIORITY', rule: 'adult', property: 'priority', priority: -1 })
+    })
+
+    it('invalid schedules', () => {
+      const error = thrown(() => new Rule(Object.assign(adult({ all: [] }), { schedule: { daysOfWeek: ['someday'] } })))
+      expect(error).to.be.an.instanceof(InvalidScheduleError)
+      expect(error).to.include({ code: 'INVALID_SCHEDULE', rule: 'adult', property: 'daysOfWeek', value: 'someday' })
+    })
+
+    it('rules missing a required property', () => {
+      const error = thrown(() => engine.addRule({ name: 'adult', conditions: { all: [] } }))
+      expect(error).to.be.an.instanceof(InvalidRuleError)
+      expect(error).to.include({ code: 'INVALID_RULE', rule: 'adult', property: 'event' })
+    })
+
+    it('rule cycles', () => {
+      engine.addRule({ name: 'a', conditions: { all: [{ rule: 'b', operator: 'passed' }] }, event })
+      const error = thrown(() => engine.addRule({ name: 'b', conditions: { all: [{ rule: 'a', operator: 'passed' }] }, event }))
+      expect(error).to.be.an.instanceof(RuleCycleError)
+      expect(error.code).to.equal('RULE_CYCLE')
+    })
+
+    it('updating an unknown rule', () => {
+      const error = thrown(() => engine.updateRule(new Rule(adult({ all: [] }))))
+      expect(error).to.be.an.instanceof(RuleNotFoundError)
+      expect(error).to.include({ code: 'RULE_NOT_FOUND', rule: 'adult' })
+    })
+
+    it('invalid named conditions carry the condition name', () => {
+      const error = thrown(() => engine.setCondition('isAdult', { all: [{ fact: 'age', value: 18 }] }))
+      expect(error).to.include({ code: 'INVALID_CONDITION', condition: 'isAdult', path: '/all/0' })
+    })
+  })
+
+  describe('evaluation', () => {
+    it('unknown operators carry the operator, rule and condition path', async () => {
+      engine.addRule(adult({ all: [{ fact: 'age', operator: 'equal', value: 1 }, { not: { fact: 'age', operator: 'greaterThen', value: 18 } }] }))
+      const error = await engine.run({ age: 30 }).catch(error => error)
+      expect(error).to.be.an.instanceof(UnknownOperatorError)
+      expect(error).to.include({ code: 'UNKNOWN_OPERATOR', operator: 'greaterThen', rule: 'adult', path: '/all/1/not' })
+    })
+
+    it('unknown operators are reported the same way by uncompiled rules', async () => {
+      engine = engineFactory([], { compileRules: false })
+      engine.addRule(adult({ any: [{ fact: 'age', operator: 'greaterThen', value: 18 }] }))
+      const error = await engine.run({ age: 30 }).catch(error => error)
+      expect(error).to.include({ code: 'UNKNOWN_OPERATOR', operator: 'greaterThen', rule: 'adult', path: '/any/0' })
+    })
+
+    it('undefined named conditions', async () => {
+      engine.addRule(adult({ all: [{ condition: 'isAdult' }] }))
+      const error = await engine.run({ age: 30 }).catch(error => error)
+      expect(error).to.be.an.instanceof(UndefinedConditionError)
+      expect(error).to.include({ code: 'UNDEFINED_CONDITION', condition: 'isAdult', rule: 'adult', path: '/all/0' })
+    })
+
+    it('named conditions referencing themselves', async () => {
+      engine.setCondition('isAdult', { all: [{ condition: 'isAdult' }] })
+      engine.addRule(adult({ all: [{ condition: 'isAdult' }] }))
+      const error = await engine.run({ age: 30 }).catch(error => error)
+      expect(error).to.be.an.instanceof(ConditionCycleError)
+      expect(error).to.include({ code: 'CONDITION_CYCLE', condition: 'isAdult', rule: 'adult' })
+    })
+
+    it('undefined facts', async () => {
+      engine.addRule(adult({ all: [{ fact: 'age', operator: 'equal', value: 1 }] }))
+      const error = await engine.run().catch(error => error)
+      expect(error).to.be.an.instanceof(UndefinedFactError)
+      expect(error).to.include({ code: 'UNDEFINED_FACT', factId: 'age' })
+    })
+
+    it('invalid actions carry the action and rule', async () => {
+      engine.addRule({ name: 'adult', conditions: { all: [] }, event: { type: 'adult', actions: [{ type: 'setFact', fact: 'tier' }] } })
+      const error = await engine.run().catch(error => error)
+      expect(error).to.be.an.instanceof(InvalidActionError)
+      expect(error).to.include({ code: 'INVALID_ACTION', action: 'setFact', property: 'value', rule: 'adult' })
+    })
+
+    it('unregistered actions', () => {
+      engine.addRule({ name: 'adult', conditions: { all: [] }, event: { type: 'adult', actions: [{ type: 'notify' }] } })
+      const error = thrown(() => engine.assertActionsRegistered())
+      expect(error).to.be.an.instanceof(UnknownActionError)
+      expect(error).to.include({ code: 'UNKNOWN_ACTION', action: 'notify', rule: 'adult' })
+    })
+  })
+
+  describe('arguments', () => {
+    it('invalid engine options', () => {
+      const error = thrown(() => new Engine([], { strategy: 'fastest' }))
+      expect(error).to.be.an.instanceof(InvalidArgumentError)
+      expect(error).to.include({ code: 'INVALID_ARGUMENT', argument: 'strategy', value: 'fastest' })
+    })
+
+    it('invalid facts and operators', () => {
+      expect(thrown(() => new Fact('', 1))).to.be.an.instanceof(InvalidFactError)
+      expect(thrown(() => new Fact('age', 1, { timeout: -1 }))).to.include({ code: 'INVALID_FACT', factId: 'age', property: 'timeout' })
+      expect(thrown(() => new Operator('near'))).to.include({ code: 'INVALID_ARGUMENT', argument: 'callback' })
+    })
+
+    it('invalid batches', async () => {
+      const error = await engine.runBatch([{}], { concurrency: 0 }).catch(error => error)
+      expect(error).to.include({ code: 'INVALID_ARGUMENT', argument: 'concurrency', value: 0 })
+    })
+  })
+})
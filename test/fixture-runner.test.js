@@ -0,0 +1,134 @@
+'use strict'
+
+import engineFactory, { runFixtures, InvalidArgumentError } from '../src/index'
+import sinon from 'sinon'
+
+describe('runFixtures', () => {
+  let engine
+  let sandbox
+  before(() => {
+    sandbox = sinon.createSandbox()
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  beforeEach(() => {
+    engine = engineFactory()
+    engine.addRule({
+      name: 'senior',
+      conditions: { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 65 }] },
+      event: { type: 'discount', params: { percent: 20 } }
+    })
+    engine.addRule({
+      name: 'gold',
+      conditions: {
+        any: [
+          { fact: 'account', params: { id: 1 }, path: '$.tier', operator: 'equal', value: 'gold', weight: 2 },
+          { fact: 'age', operator: 'lessThan', value: 18 }
+        ]
+      },
+      event: { type: 'upgrade' }
+    })
+    engine.addFact('account', () => { throw new Error('the account service must not be called') })
+  })
+
+  const seniorCase = {
+    name: 'seniors get a discount',
+    facts: { age: 70 },
+    mocks: { account: { value: { tier: 'silver' } } },
+    expect: { passingRules: ['senior'], eventTypes: ['discount'], minScores: { senior: 1 } }
+  }
+
+  it('reports passing cases', () => {
+    return runFixtures(engine, { cases: [seniorCase] }).then((report) => {
+      expect(report).to.deep.equal({
+        passed: true,
+        total: 1,
+        failed: 0,
+        cases: [{ name: 'seniors get a discount', passed: true, failures: [] }]
+      })
+    })
+  })
+
+  it('reports each unmet expectation with a diff', () => {
+    const fixtures = [{
+      facts: { age: 30 },
+      mocks: { account: { value: { tier: 'gold' } } },
+      expect: { passingRules: ['senior'], eventTypes: ['discount', 'discount'], minScores: { senior: 0.95, missing: 1 } }
+    }]
+    return runFixtures(engine, fixtures).then((report) => {
+      expect(report).to.include({ passed: false, total: 1, failed: 1 })
+      expect(report.cases[0].name).to.equal('case 1')
+      expect(report.cases[0].failures).to.deep.equal([
+        {
+          expectation: 'passingRules',
+          expected: ['senior'],
+          actual: ['gold'],
+          missing: ['senior'],
+          unexpected: ['gold'],
+          message: 'passingRules: missing "senior"; unexpected "gold"'
+        },
+        {
+          expectation: 'eventTypes',
+          expected: ['discount', 'discount'],
+          actual: ['upgrade'],
+          missing: ['discount', 'discount'],
+          unexpected: ['upgrade'],
+          message: 'eventTypes: missing "discount", "discount"; unexpected "upgrade"'
+        },
+        { expectation: 'minScores', rule: 'senior', expected: 0.95, actual: Math.exp(-35 / 250), message: `minScores: rule "senior" scored ${Math.exp(-35 / 250)}, expected at least 0.95` },
+        { expectation: 'minScores', rule: 'missing', expected: 1, actual: undefined, message: 'minScores: rule "missing" was not evaluated, expected at least 1' }
+      ])
+    })
+  })
+
+  it('mocks dynamic facts per case, by params', () => {
+    const fixtures = [
+      { name: 'gold', facts: { age: 30 }, mocks: { account: { byParams: [{ params: { id: 1 }, value: { tier: 'gold' } }] } }, expect: { passingRules: ['gold'] } },
+      { name: 'other account', facts: { age: 30 }, mocks: { account: { byParams: [{ params: { id: 2 }, value: { tier: 'gold' } }], value: {} } }, expect: { passingRules: [] } },
+      { name: 'function', facts: { age: 30 }, mocks: { account: (params) => ({ tier: params.id === 1 ? 'gold' : 'none' }) }, expect: { passingRules: ['gold'] } }
+    ]
+    return runFixtures(engine, fixtures).then((report) => {
+      expect(report.cases.map(result => result.passed)).to.deep.equal([true, true, true])
+    })
+  })
+
+  it('accepts JSON strings and run options', () => {
+    engine.addRule({ name: 'spring', validFrom: '2026-03-01T00:00:00Z', conditions: { all: [] }, event: { type: 'spring' } })
+    const fixtures = JSON.stringify({
+      cases: [
+        { facts: { age: 30 }, mocks: { account: { value: {} } }, options: { now: '2026-04-01T00:00:00Z' }, expect: { eventTypes: ['spring'] } },
+        { facts: { age: 30 }, mocks: { account: { value: {} } }, options: { now: '2026-01-01T00:00:00Z' }, expect: { eventTypes: [] } }
+      ]
+    })
+    return runFixtures(engine, fixtures).then((report) => {
+      expect(report.passed).to.be.true()
+    })
+  })
+
+  it('reports failing runs without stopping', () => {
+    const fixtures = [{ name: 'unmocked', facts: { age: 10 } }, seniorCase]
+    return runFixtures(engine, fixtures).then((report) => {
+      expect(report).to.include({ passed: false, total: 2, failed: 1 })
+      expect(report.cases[0].failures).to.deep.equal([{ expectation: 'run', message: 'run failed: the account service must not be called' }])
+      expect(report.cases[0].error).to.be.an('error')
+      expect(report.cases[1].passed).to.be.true()
+    })
+  })
+
+  it('runs cases one after another', () => {
+    const run = sandbox.spy(engine, 'run')
+    return runFixtures(engine, [seniorCase, seniorCase]).then(() => {
+      expect(run).to.have.been.calledTwice()
+    })
+  })
+
+  it('rejects malformed fixtures', () => {
+    return runFixtures(engine, { tests: [] }).then(() => {
+      throw new Error('expected runFixtures to reject')
+    }, (error) => {
+      expect(error).to.be.an.instanceof(InvalidArgumentError)
+    })
+  })
+})
@@ -3,6 +3,7 @@
 import engineFactory from '../src/index'
 import perfy from 'perfy'
 import deepClone from 'clone'
+import sinon from 'sinon'
 
 describe('Performance', () => {
   const baseConditions = {
@@ -30,10 +31,10 @@ describe('Performance', () => {
     return Array.from(Array(num).keys())
   }
 
-  function setup (conditions) {
-    const engine = engineFactory()
+  function setup (conditions, options = {}, ruleCount = 1000) {
+    const engine = engineFactory([], options)
     const config = deepClone({ conditions, event })
-    range(1000).forEach(() => {
+    range(ruleCount).forEach(() => {
       const rule = factories.rule(config)
       engine.addRule(rule)
     })
@@ -62,4 +63,64 @@ describe('Performance', () => {
     expect(result.time).to.be.greaterThan(0.001) // assert lower value
     expect(result.time).to.be.lessThan(0.5)
   })
+
+  describe('compiled rules', () => {
+    const nestedConditions = {
+      all: [{
+        fact: 'age',
+        operator: 'lessThan',
+        value: 50,
+        weight: 2
+      }, {
+        any: [{
+          fact: 'segment',
+          operator: 'someValue:equal',
+          value: ['european', 'asian']
+        }, {
+          not: { fact: 'segment', operator: 'equal', value: 'american' }
+        }]
+      }]
+    }
+
+    /*
+      * Runs the engine 'runs' times after a warm up run, returning the average time per run in seconds
+      */
+    async function benchmark (name, engine, runs = 3) {
+      await engine.run()
+      perfy.start(name)
+      for (let i = 0; i < runs; i++) {
+        await engine.run()
+      }
+      return perfy.end(name).time / runs
+    }
+
+    it('evaluates 5k compiled rules faster than walking the condition tree', async function () {
+      this.timeout(60000)
+      const compiled = await benchmark('compiled', setup(nestedConditions, {}, 5000))
+      const interpreted = await benchmark('interpreted', setup(nestedConditions, { compileRules: false }, 5000))
+      console.log(`      compiled: ${(compiled * 1000).toFixed(0)}ms per run, walking the condition tree: ${(interpreted * 1000).toFixed(0)}ms per run`)
+      // timings of a single process are noisy: only fail when compiled rules are clearly slower
+      expect(compiled).to.be.lessThan(interpreted * 1.25)
+    })
+
+    it('compiles 5k rules once, reusing them across runs', async function () {
+      this.timeout(30000)
+      const engine = setup(nestedConditions, {}, 5000)
+      await engine.run()
+      const compiled = engine.rules.map(rule => rule.compiled)
+      const lookups = sinon.spy(engine.operators, 'get')
+      await engine.run()
+      await engine.run()
+      expect(engine.rules.every((rule, index) => rule.compiled === compiled[index])).to.be.true()
+      expect(lookups).to.not.have.been.called()
+    })
+
+    it('resolves operators on every run when walking the condition tree', async function () {
+      this.timeout(30000)
+      const engine = setup(nestedConditions, { compileRules: false }, 5000)
+      const lookups = sinon.spy(engine.operators, 'get')
+      await engine.run()
+      expect(lookups.callCount).to.equal(5000 * 3)
+    })
+  })
 })
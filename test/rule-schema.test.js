@@ -0,0 +1,129 @@
+'use strict'
+
+import engineFactory, { getRuleSchema, validateSchema } from '../src/index'
+
+describe('Rule schema', () => {
+  let engine
+  let schema
+  beforeEach(() => {
+    engine = engineFactory()
+    schema = engine.getRuleSchema()
+  })
+
+  const rule = {
+    name: 'vip',
+    priority: 2,
+    ruleSet: 'loyalty',
+    validFrom: '2026-01-01T00:00:00Z',
+    schedule: { timezone: 'Europe/Paris', daysOfWeek: [1, 'tue'], timeWindows: [{ start: '09:00', end: '24:00' }] },
+    conditions: {
+      any: [
+        { fact: 'account', path: '$.tier', params: { accountId: 1 }, operator: 'equal', value: 'gold', weight: 2 },
+        { fact: 'orders', operator: 'someFact:greaterThan', value: { fact: 'threshold' }, priority: 3 },
+        { not: { rule: 'blocked', operator: 'passed' } },
+        { all: [{ condition: 'isAdult' }, { rule: 'regular', operator: 'greaterThan', value: 0.5 }] }
+      ]
+    },
+    event: { type: 'vip', params: { discount: 10 }, actions: [{ type: 'setFact', fact: 'tier', value: 'vip' }] }
+  }
+
+  function paths (errors) {
+    return errors.map(error => `${error.keyword} ${error.path}`)
+  }
+
+  it('is a draft 2020-12 schema', () => {
+    expect(schema.$schema).to.equal('https://json-schema.org/draft/2020-12/schema')
+    expect(schema.required).to.deep.equal(['conditions', 'event'])
+  })
+
+  it('lists the registered operators, decorators and actions', () => {
+    engine.addOperator('near', () => 1)
+    engine.addOperatorDecorator('trimmed', (factValue, jsonValue, next) => next(factValue, jsonValue))
+    engine.removeOperator('contains')
+    schema = engine.getRuleSchema()
+    const [names, decorated] = schema.$defs.operator.anyOf
+    expect(names.enum).to.include.members(['equal', 'near']).and.not.include('contains')
+    expect(new RegExp(decorated.pattern).test('trimmed:everyFact:near')).to.be.true()
+    expect(schema.$defs.action.properties.type.enum).to.deep.equal(['setFact', 'incrementFact', 'appendToFact', 'emit'])
+  })
+
+  it('accepts valid rules', () => {
+    expect(validateSchema(schema, rule)).to.deep.equal([])
+    expect(validateSchema(schema, factories.rule())).to.deep.equal([])
+  })
+
+  it('reports each violation with a JSON pointer into the rule', () => {
+    const errors = validateSchema(schema, {
+      priority: 0,
+      conditions: {
+        all: [
+          { fact: 'age', operator: 'greaterThen', value: 18 },
+          { fact: 'age', operator: 'equal' },
+          { rule: 'vip', operator: 'greaterThan' },
+          { not: [{ fact: 'age', operator: 'equal', value: 1 }] },
+          { condition: '' }
+        ]
+      },
+      event: { params: {}, actions: [{ type: 'notify' }] }
+    })
+    expect(paths(errors)).to.deep.equal([
+      'exclusiveMinimum /priority',
+      'anyOf /conditions/all/0/operator',
+      'required /conditions/all/1',
+      'required /conditions/all/2',
+      'type /conditions/all/3/not',
+      'minLength /conditions/all/4/condition',
+      'required /event',
+      'enum /event/actions/0/type'
+    ])
+    expect(errors[0]).to.deep.equal({
+      path: '/priority',
+      schemaPath: '#/$defs/priority/exclusiveMinimum',
+      keyword: 'exclusiveMinimum',
+      message: 'must be > 0'
+    })
+  })
+
+  it('requires a boolean or reference root condition', () => {
+    const errors = validateSchema(schema, { conditions: { fact: 'age', operator: 'equal', value: 1 }, event: { type: 'adult' } })
+    expect(paths(errors)).to.deep.equal(['anyOf /conditions'])
+  })
+
+  it('requires integer weights of at least 1', () => {
+    const errors = validateSchema(schema, {
+      conditions: {
+        all: [
+          { fact: 'age', operator: 'equal', value: 1, weight: 0.5 },
+          { fact: 'age', operator: 'equal', value: 1, weight: 0 },
+          { any: [{ fact: 'age', operator: 'equal', value: 1 }], weight: 2.5 }
+        ]
+      },
+      event: { type: 'adult' }
+    })
+    expect(paths(errors)).to.deep.equal([
+      'type /conditions/all/0/weight',
+      'minimum /conditions/all/1/weight',
+      'type /conditions/all/2/weight'
+    ])
+  })
+
+  it('validates schedules', () => {
+    const errors = validateSchema(schema, Object.assign({}, rule, { schedule: { daysOfWeek: [7], timeWindows: [{ start: '9h', end: '24:30' }] } }))
+    expect(paths(errors)).to.deep.equal([
+      'anyOf /schedule/daysOfWeek/0',
+      'pattern /schedule/timeWindows/0/start',
+      'pattern /schedule/timeWindows/0/end'
+    ])
+  })
+
+  it('getRuleSchema() without registries allows any operator and action name', () => {
+    const open = getRuleSchema()
+    expect(validateSchema(open, Object.assign({}, rule, { event: { type: 'vip', actions: [{ type: 'notify' }] } }))).to.deep.equal([])
+    expect(paths(validateSchema(open, { conditions: { all: [{ fact: 'age', operator: '', value: 1 }] }, event: { type: 'adult' } })))
+      .to.deep.equal(['minLength /conditions/all/0/operator'])
+  })
+
+  it('rejects references outside the schema', () => {
+    expect(() => validateSchema({ $ref: 'https://example.com/rule.json' }, {})).to.throw(/only references within the schema/)
+  })
+})
@@ -0,0 +1,140 @@
+'use strict'
+
+import engineFactory, { diffRuleSets, Rule, InvalidArgumentError } from '../src/index'
+
+describe('diffRuleSets', () => {
+  const vip = {
+    name: 'vip',
+    priority: 2,
+    conditions: {
+      all: [
+        { fact: 'country', operator: 'in', value: ['fr', 'de'] },
+        { fact: 'age', operator: 'greaterThan', value: 18 },
+        { any: [{ condition: 'isMember' }, { fact: 'tier', operator: 'equal', value: 'gold', weight: 2 }] }
+      ]
+    },
+    event: { type: 'discount', params: { percent: 10 } }
+  }
+
+  function withChanges (rule, changes) {
+    return Object.assign(JSON.parse(JSON.stringify(rule)), changes)
+  }
+
+  function summary (diff) {
+    return diff.changes.map(change => `${change.rule} ${change.code} ${change.path}`)
+  }
+
+  it('reports nothing for identical rule sets', () => {
+    const diff = diffRuleSets([vip], [new Rule(vip)])
+    expect(diff.toJSON()).to.deep.equal({ added: [], removed: [], changed: [], unchanged: 1, changes: [] })
+  })
+
+  it('matches rules by name, reporting added and removed rules', () => {
+    const diff = diffRuleSets([vip, factories.rule({ name: 'legacy' })], [factories.rule({ name: 'senior' }), vip])
+    expect(diff).to.include({ unchanged: 1 })
+    expect(diff.added).to.deep.equal(['senior'])
+    expect(diff.removed).to.deep.equal(['legacy'])
+    expect(summary(diff)).to.deep.equal(['senior RULE_ADDED ', 'legacy RULE_REMOVED '])
+  })
+
+  it('reports priority, event and property changes', () => {
+    const updated = withChanges(vip, {
+      priority: 3,
+      ruleSet: 'loyalty',
+      event: { type: 'discount', params: { percent: 15 }, actions: [{ type: 'emit' }] }
+    })
+    const diff = diffRuleSets([vip], [updated])
+    expect(diff.changed).to.deep.equal(['vip'])
+    expect(diff.changes).to.deep.equal([
+      { rule: 'vip', code: 'PRIORITY_CHANGED', path: '/priority', from: 2, to: 3, message: 'Priority changed from 2 to 3' },
+      { rule: 'vip', code: 'EVENT_CHANGED', path: '/event/params', from: { percent: 10 }, to: { percent: 15 }, message: 'Event params changed from {"percent":10} to {"percent":15}' },
+      { rule: 'vip', code: 'EVENT_CHANGED', path: '/event/actions', from: undefined, to: [{ type: 'emit' }], message: 'Event actions changed from none to [{"type":"emit"}]' },
+      { rule: 'vip', code: 'PROPERTY_CHANGED', path: '/ruleSet', from: undefined, to: 'loyalty', message: 'ruleSet changed from none to "loyalty"' }
+    ])
+  })
+
+  it('reports widened, narrowed and changed values', () => {
+    const updated = withChanges(vip, {
+      conditions: {
+        all: [
+          { fact: 'country', operator: 'in', value: ['fr'] },
+          { fact: 'age', operator: 'greaterThan', value: 16 },
+          { any: [{ condition: 'isMember' }, { fact: 'tier', operator: 'equal', value: 'platinum', weight: 2 }] }
+        ]
+      }
+    })
+    const diff = diffRuleSets([vip], [updated])
+    expect(diff.changes.map(change => [change.code, change.path, change.message])).to.deep.equal([
+      ['VALUE_NARROWED', '/conditions/all/0/value', 'Value narrowed from ["fr","de"] to ["fr"]'],
+      ['VALUE_WIDENED', '/conditions/all/1/value', 'Value widened from 18 to 16'],
+      ['VALUE_CHANGED', '/conditions/all/2/any/1/value', 'Value changed from "gold" to "platinum"']
+    ])
+  })
+
+  it('reports operator and weight changes', () => {
+    const updated = withChanges(vip, {
+      conditions: {
+        all: [
+          { fact: 'country', operator: 'in', value: ['fr', 'de'] },
+          { fact: 'age', operator: 'greaterThanInclusive', value: 18 },
+          { any: [{ condition: 'isMember' }, { fact: 'tier', operator: 'equal', value: 'gold', weight: 3 }] }
+        ]
+      }
+    })
+    const diff = diffRuleSets([vip], [updated])
+    expect(diff.changes.map(change => [change.code, change.path, change.from, change.to, change.message])).to.deep.equal([
+      ['OPERATOR_CHANGED', '/conditions/all/1/operator', 'greaterThan', 'greaterThanInclusive', 'Operator changed from "greaterThan" to "greaterThanInclusive", condition widened'],
+      ['WEIGHT_CHANGED', '/conditions/all/2/any/1/weight', 2, 3, 'Weight changed from 2 to 3']
+    ])
+  })
+
+  it('matches conditions regardless of their order', () => {
+    const updated = withChanges(vip, {
+      conditions: {
+        all: [
+          { fact: 'age', operator: 'greaterThan', value: 21 },
+          { fact: 'account', path: '$.verified', operator: 'equal', value: true },
+          { fact: 'country', operator: 'in', value: ['de', 'fr'] }
+        ]
+      }
+    })
+    expect(summary(diffRuleSets([vip], [updated]))).to.deep.equal([
+      'vip CONDITION_REMOVED /conditions/all/2',
+      'vip VALUE_NARROWED /conditions/all/0/value',
+      'vip CONDITION_ADDED /conditions/all/1'
+    ])
+  })
+
+  it('reports replaced conditions', () => {
+    const updated = withChanges(vip, { conditions: { any: vip.conditions.all } })
+    const diff = diffRuleSets([vip], [updated])
+    expect(diff.changes).to.have.lengthOf(1)
+    expect(diff.changes[0]).to.include({ code: 'CONDITION_CHANGED', path: '/conditions', message: 'Condition "all" replaced with "any"' })
+  })
+
+  it('accepts engines, engine JSON and JSON strings', () => {
+    const engine = engineFactory([vip])
+    const updated = withChanges(vip, { priority: 5 })
+    expect(summary(diffRuleSets(engine, JSON.stringify([updated])))).to.deep.equal(['vip PRIORITY_CHANGED /priority'])
+    expect(summary(diffRuleSets(engine.toJSON(false), engine))).to.be.empty()
+  })
+
+  it('rejects malformed rule sets', () => {
+    expect(() => diffRuleSets({}, [])).to.throw(InvalidArgumentError, /oldRules must be an array of rules/)
+    expect(() => diffRuleSets([], [vip, vip])).to.throw(InvalidArgumentError, /newRules has more than one rule named "vip"/)
+  })
+
+  it('renders the diff as text', () => {
+    const updated = withChanges(vip, { priority: 3, conditions: { all: vip.conditions.all.slice(1) } })
+    const diff = diffRuleSets([vip, factories.rule({ name: 'legacy' })], [updated, factories.rule({ name: 'senior' })])
+    expect(diff.toText()).to.equal([
+      'Rules: 1 added, 1 removed, 1 changed, 0 unchanged',
+      '+ senior',
+      '- legacy',
+      '~ vip',
+      '    /priority  Priority changed from 2 to 3',
+      '    /conditions/all/0  Condition removed: country in ["fr","de"]',
+      ''
+    ].join('\n'))
+  })
+})
@@ -0,0 +1,163 @@
+'use strict'
+
+import engineFactory, { Rule } from '../src/index'
+
+describe('Rule validation', () => {
+  const event = { type: 'adult' }
+
+  function paths (problems) {
+    return problems.map(problem => `${problem.code} ${problem.path}`)
+  }
+
+  describe('Rule.validate()', () => {
+    it('returns no problems for valid rules', () => {
+      const rule = {
+        name: 'adult',
+        priority: 2,
+        conditions: { any: [{ fact: 'age', operator: 'greaterThan', value: 18 }, { not: { rule: 'minor', operator: 'passed' } }] },
+        event
+      }
+      expect(Rule.validate(rule, { operators: ['greaterThan'] })).to.deep.equal([])
+    })
+
+    it('reports every problem, each located by a JSON pointer', () => {
+      const problems = Rule.validate({
+        priority: 0,
+        conditions: {
+          all: [
+            { fact: 'age', operator: 'greaterThan', value: 18 },
+            { fact: 'age', value: 65 },
+            { fact: 'country', operator: 'equal' },
+            { any: { fact: 'tier', operator: 'equal', value: 'vip' } }
+          ]
+        },
+        event: {}
+      })
+      expect(paths(problems)).to.deep.equal([
+        'INVALID_PRIORITY /priority',
+        'INVALID_CONDITION /conditions/all/1/operator',
+        'INVALID_CONDITION /conditions/all/2/value',
+        'INVALID_CONDITION /conditions/all/3/any',
+        'INVALID_RULE /event/type'
+      ])
+      expect(problems.every(problem => problem.severity === 'error' && problem.message)).to.be.true()
+    })
+
+    it('checks operators and decorators against the given registry', () => {
+      const conditions = {
+        all: [
+          { fact: 'age', operator: 'greaterThen', value: 18 },
+          { fact: 'scores', operator: 'everyFact:greaterThan', value: 1 },
+          { fact: 'scores', operator: 'eachFact:greaterThan', value: 1 }
+        ]
+      }
+      const problems = Rule.validate({ conditions, event }, { operators: ['greaterThan'], decorators: ['everyFact'] })
+      expect(paths(problems)).to.deep.equal([
+        'UNKNOWN_OPERATOR /conditions/all/0/operator',
+        'UNKNOWN_OPERATOR /conditions/all/2/operator'
+      ])
+      expect(problems[1].message).to.equal('Unknown operator decorator "eachFact" (in "eachFact:greaterThan")')
+    })
+
+    it('does not check references when no registry is given', () => {
+      const conditions = { all: [{ fact: 'age', operator: 'greaterThen', value: 18 }, { condition: 'isAdult' }] }
+      expect(Rule.validate({ conditions, event })).to.deep.equal([])
+    })
+
+    it('checks named conditions, rules and actions', () => {
+      const problems = Rule.validate({
+        conditions: { all: [{ condition: 'isAdult' }, { rule: 'minor', operator: 'failed' }] },
+        event: { type: 'adult', actions: [{ type: 'setFact', fact: 'tier', value: 'adult' }, { type: 'notify' }] }
+      }, { conditions: [], rules: ['adult'], actions: ['setFact'] })
+      expect(problems.map(problem => `${problem.severity} ${problem.code} ${problem.path}`)).to.deep.equal([
+        'error UNDEFINED_CONDITION /conditions/all/0/condition',
+        'warning UNDEFINED_RULE /conditions/all/1/rule',
+        'error UNKNOWN_ACTION /event/actions/1/type'
+      ])
+    })
+
+    it('reports each invalid schedule entry', () => {
+      const problems = Rule.validate({
+        conditions: { all: [] },
+        event,
+        schedule: { timezone: 'Mars/Olympus', daysOfWeek: ['mon', 'someday'], timeWindows: [{ start: '9:00', end: '25:00' }] }
+      })
+      expect(paths(problems)).to.deep.equal([
+        'INVALID_SCHEDULE /schedule/timezone',
+        'INVALID_SCHEDULE /schedule/daysOfWeek/1',
+        'INVALID_SCHEDULE /schedule/timeWindows/0'
+      ])
+    })
+
+    it('reports schedules and time windows that are not objects', () => {
+      const problems = Rule.validate({ conditions: { all: [] }, event, schedule: { timeWindows: [{ start: '09:00', end: '17:00' }, null] } })
+      expect(problems).to.deep.equal([{
+        severity: 'error',
+        code: 'INVALID_SCHEDULE',
+        path: '/schedule/timeWindows/1',
+        message: 'Schedule: "timeWindows" entries must be { start, end } objects'
+      }])
+      expect(paths(Rule.validate({ conditions: { all: [] }, event, schedule: 'weekdays' }))).to.deep.equal(['INVALID_SCHEDULE /schedule'])
+    })
+
+    it('reports missing and malformed properties', () => {
+      expect(paths(Rule.validate({ name: '', validFrom: 'soon' }))).to.deep.equal([
+        'INVALID_RULE /name',
+        'INVALID_RULE /validFrom',
+        'INVALID_RULE /conditions',
+        'INVALID_RULE /event'
+      ])
+      expect(paths(Rule.validate({ conditions: { fact: 'age' }, event }))).to.deep.equal(['INVALID_CONDITION /conditions'])
+      expect(paths(Rule.validate('{'))).to.deep.equal(['INVALID_RULE '])
+    })
+
+    it('accepts json strings', () => {
+      expect(Rule.validate(JSON.stringify({ conditions: { all: [] }, event }))).to.deep.equal([])
+    })
+  })
+
+  describe('engine.validate()', () => {
+    let engine
+    beforeEach(() => {
+      engine = engineFactory()
+    })
+
+    it('returns no problems for valid engines', () => {
+      engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThanInclusive', value: 18 }] })
+      engine.addRule({ name: 'adult', conditions: { all: [{ condition: 'isAdult' }] }, event: { type: 'adult', actions: [{ type: 'setFact', fact: 'tier', value: 'adult' }] } })
+      engine.addRule({ name: 'senior', conditions: { all: [{ rule: 'adult', operator: 'passed' }] }, event })
+      expect(engine.validate()).to.deep.equal([])
+    })
+
+    it('checks rules and named conditions against the engine registries', () => {
+      engine.setCondition('isAdult', { all: [{ fact: 'age', operator: 'greaterThen', value: 18 }] })
+      engine.addRule({
+        name: 'adult',
+        conditions: { any: [{ condition: 'isAdult' }, { condition: 'isSenior' }, { fact: 'age', operator: 'not:inn', value: [18] }] },
+        event: { type: 'adult', actions: [{ type: 'notify' }] }
+      })
+      expect(engine.validate()).to.deep.equal([
+        { rule: 'adult', severity: 'error', code: 'UNDEFINED_CONDITION', path: '/conditions/any/1/condition', message: 'No condition isSenior exists' },
+        { rule: 'adult', severity: 'error', code: 'UNKNOWN_OPERATOR', path: '/conditions/any/2/operator', message: 'Unknown operator "inn"' },
+        { rule: 'adult', severity: 'error', code: 'UNKNOWN_ACTION', path: '/event/actions/0/type', message: 'Unknown action "notify"' },
+        { condition: 'isAdult', severity: 'error', code: 'UNKNOWN_OPERATOR', path: '/all/0/operator', message: 'Unknown operator "greaterThen"' }
+      ])
+    })
+
+    it('reports undefined conditions as warnings when they are allowed', () => {
+      engine = engineFactory([], { allowUndefinedConditions: true })
+      engine.addRule({ name: 'adult', conditions: { all: [{ condition: 'isAdult' }] }, event })
+      expect(engine.validate().map(problem => problem.severity)).to.deep.equal(['warning'])
+    })
+
+    it('reports cycles of named conditions', () => {
+      engine.setCondition('isAdult', { all: [{ condition: 'isSenior' }] })
+      engine.setCondition('isSenior', { any: [{ fact: 'age', operator: 'greaterThan', value: 65 }, { condition: 'isAdult' }] })
+      engine.setCondition('isMinor', { not: { condition: 'isAdult' } })
+      expect(engine.validate().map(problem => `${problem.condition} ${problem.code} ${problem.path}`)).to.deep.equal([
+        'isAdult CONDITION_CYCLE /all/0/condition',
+        'isSenior CONDITION_CYCLE /any/1/condition'
+      ])
+    })
+  })
+})
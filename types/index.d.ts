@@ -3,13 +3,88 @@ export interface AlmanacOptions {
   pathResolver?: PathResolver;
 }
 
+export type ExecutionStrategy = "all" | "first" | "best" | "forward";
+
+export type ErrorPolicy = "throw" | "fail-rule" | "skip-rule";
+
+export type LogLevel = "trace" | "debug" | "info" | "warn" | "error";
+
+export interface LogRecord {
+  msg: string;
+  runId?: string;
+  [field: string]: unknown;
+}
+
+export type EngineLogger = Record<LogLevel, (record: LogRecord) => void>;
+
 export interface EngineOptions extends AlmanacOptions {
   allowUndefinedConditions?: boolean;
   replaceFactsInEventParams?: boolean;
+  strategy?: ExecutionStrategy;
+  clock?: () => Date;
+  compileRules?: boolean;
+  maxIterations?: number;
+  metrics?: MetricsCollectorInterface | boolean;
+  coverage?: CoverageCollectorInterface | boolean;
+  logger?: EngineLogger;
+  logLevel?: LogLevel;
+  errorPolicy?: ErrorPolicy;
 }
 
 export interface RunOptions {
   almanac?: Almanac;
+  signal?: AbortSignal;
+  timeout?: number;
+  strategy?: ExecutionStrategy;
+  sets?: string[];
+  now?: Date;
+  onResult?: (ruleResult: RuleResult) => void;
+  maxIterations?: number;
+  trace?: boolean;
+  runId?: string;
+}
+
+export interface RunSummary extends EngineResult {
+  type: "summary";
+}
+
+export interface RunStream extends AsyncIterableIterator<RuleResult | RunSummary> {}
+
+export interface BatchOptions extends Omit<RunOptions, "almanac"> {
+  concurrency?: number;
+}
+
+export type BatchItemResult =
+  | { index: number; status: "fulfilled"; result: EngineResult }
+  | { index: number; status: "rejected"; error: any };
+
+export interface BatchResult {
+  results: BatchItemResult[];
+  errors: Array<Extract<BatchItemResult, { status: "rejected" }>>;
+}
+
+export interface AddRuleOptions {
+  set?: string;
+}
+
+export type RunStatus = "READY" | "RUNNING" | "FINISHED" | "CANCELLED";
+
+// a thenable rather than a Promise: `instanceof Promise` is false for run handles
+export interface RunHandle extends PromiseLike<EngineResult> {
+  then<TResult1 = EngineResult, TResult2 = never>(
+    onfulfilled?: ((value: EngineResult) => TResult1 | PromiseLike<TResult1>) | null,
+    onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+  ): Promise<TResult1 | TResult2>;
+  catch<TResult = never>(
+    onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | null
+  ): Promise<EngineResult | TResult>;
+  finally(onfinally?: (() => void) | null): Promise<EngineResult>;
+  readonly id: string;
+  readonly status: RunStatus;
+  isRunning(): boolean;
+  isCancelled(): boolean;
+  stop(): void;
+  cancel(reason?: any): void;
 }
 
 export interface EngineResult {
@@ -18,6 +93,10 @@ export interface EngineResult {
   almanac: Almanac;
   results: RuleResult[];
   failureResults: RuleResult[];
+  timedOutFacts: string[];
+  erroredResults: RuleResult[];
+  strategy: ExecutionStrategy;
+  inactive: RuleResult[];
 }
 
 export default function engineFactory(
@@ -27,11 +106,18 @@ export default function engineFactory(
 
 export class Engine {
   constructor(rules?: Array<RuleProperties>, options?: EngineOptions);
+  metrics: MetricsCollectorInterface | null;
+  coverage: CoverageCollectorInterface | null;
 
-  addRule(rule: RuleProperties): this;
+  addRule(rule: RuleProperties, options?: AddRuleOptions): this;
   removeRule(ruleOrName: Rule | string): boolean;
   updateRule(rule: Rule): void;
 
+  enableRuleSet(name: string): this;
+  disableRuleSet(name: string): this;
+  isRuleSetEnabled(name: string): boolean;
+  getRuleSets(): string[];
+
   setCondition(name: string, conditions: TopLevelCondition): this;
   removeCondition(name: string): boolean;
 
@@ -46,6 +132,10 @@ export class Engine {
   addOperatorDecorator<A, B, NextA, NextB>(decoratorName: string, callback: OperatorDecoratorEvaluator<A, B, NextA, NextB>): void;
   removeOperatorDecorator(decorator: OperatorDecorator | string): boolean;
 
+  addAction(action: Action): void;
+  addAction<T extends RuleAction = RuleAction>(actionName: string, callback: ActionHandler<T>): void;
+  removeAction(action: Action | string): boolean;
+
   addFact<T>(fact: Fact<T>): this;
   addFact<T>(
     id: string,
@@ -57,8 +147,56 @@ export class Engine {
 
   on<T = Event>(eventName: string, handler: EventHandler<T>): this;
 
-  run(facts?: Record<string, any>, runOptions?: RunOptions): Promise<EngineResult>;
+  run(facts?: Record<string, any>, runOptions?: RunOptions): RunHandle;
+  runBatch(factsList: Array<Record<string, any>>, options?: BatchOptions): Promise<BatchResult>;
+  runStream(facts?: Record<string, any>, runOptions?: RunOptions): RunStream;
   stop(): this;
+  validate(): ValidationProblem[];
+  lint(): LintFinding[];
+  findConflicts(options?: FindConflictsOptions): RuleConflict[];
+  getRuleSchema(): RuleJSONSchema;
+
+  toJSON(): string;
+  toJSON<T extends boolean>(
+    stringify: T
+  ): T extends true ? string : EngineJSON;
+  static fromJSON<E extends Engine>(
+    this: new (rules?: Array<RuleProperties>, options?: EngineOptions) => E,
+    json: EngineJSON | string,
+    options?: FromJSONOptions
+  ): E;
+}
+
+export interface FactJSON {
+  id: string;
+  type: "CONSTANT" | "DYNAMIC";
+  options: FactOptions;
+  value?: unknown;
+}
+
+export interface EngineJSON {
+  options: {
+    allowUndefinedFacts: boolean;
+    allowUndefinedConditions: boolean;
+    replaceFactsInEventParams: boolean;
+    strategy: ExecutionStrategy;
+    maxIterations: number;
+    errorPolicy: ErrorPolicy;
+  };
+  rules: RuleSerializable[];
+  conditions: Record<string, TopLevelCondition>;
+  facts: FactJSON[];
+  operators: string[];
+  decorators: string[];
+  actions: string[];
+  disabledRuleSets: string[];
+}
+
+export interface FromJSONOptions extends EngineOptions {
+  operators?: Operator[] | Record<string, OperatorEvaluator<any, any>>;
+  decorators?: OperatorDecorator[] | Record<string, OperatorDecoratorEvaluator<any, any, any, any>>;
+  actions?: Action[] | Record<string, ActionHandler<any>>;
+  facts?: Record<string, DynamicFactCallback | Fact>;
 }
 
 export interface OperatorEvaluator<A, B> {
@@ -87,8 +225,220 @@ export class OperatorDecorator<A = unknown, B = unknown, NextA = unknown, NextB
   )
 }
 
+export interface ActionContext {
+  almanac: Almanac;
+  ruleResult: RuleResult;
+  engine: Engine;
+}
+
+export type ActionHandler<T extends RuleAction = RuleAction> = (
+  action: T,
+  context: ActionContext
+) => void | Promise<unknown>;
+
+export class Action<T extends RuleAction = RuleAction> {
+  public name: string;
+  constructor(name: string, handler: ActionHandler<T>);
+  execute(action: T, context: ActionContext): Promise<unknown>;
+}
+
+export type RunOutcome = "completed" | "cancelled" | "failed";
+
+export interface MetricsCollectorInterface {
+  recordRun(run: { strategy: ExecutionStrategy; outcome: RunOutcome; duration: number }): void;
+  recordRule(evaluation: { name: string; result: boolean; score: number; duration: number }): void;
+  recordFact(lookup: { id: string; cached: boolean; duration: number }): void;
+}
+
+export interface HistogramSnapshot {
+  count: number;
+  sum: number;
+  buckets: Record<string, number>;
+}
+
+export interface MetricsSnapshot {
+  runs: {
+    total: number;
+    outcomes: Array<{ strategy: ExecutionStrategy; outcome: RunOutcome; count: number }>;
+    duration: HistogramSnapshot;
+  };
+  rules: Record<string, {
+    evaluations: number;
+    passed: number;
+    failed: number;
+    passRate: number;
+    score: HistogramSnapshot;
+    duration: HistogramSnapshot;
+  }>;
+  facts: Record<string, {
+    lookups: number;
+    cacheHits: number;
+    cacheMisses: number;
+    cacheHitRatio: number;
+    duration: HistogramSnapshot;
+  }>;
+}
+
+export class MetricsCollector implements MetricsCollectorInterface {
+  constructor();
+  recordRun(run: { strategy: ExecutionStrategy; outcome: RunOutcome; duration: number }): void;
+  recordRule(evaluation: { name: string; result: boolean; score: number; duration: number }): void;
+  recordFact(lookup: { id: string; cached: boolean; duration: number }): void;
+  snapshot(): MetricsSnapshot;
+  toJSON(): MetricsSnapshot;
+  toPrometheus(): string;
+  reset(): void;
+}
+
+export interface CoverageCollectorInterface {
+  attach(engine: Engine): void;
+  recordRule(evaluation: { rule: Rule; conditions: TopLevelConditionResult; result: boolean; score: number }): void;
+}
+
+export interface ConditionCoverage {
+  rule?: string;
+  condition?: string;
+  /** JSON pointer of the condition within its rule or named condition */
+  path: string;
+  label: string;
+  evaluations: number;
+  passed: number;
+  failed: number;
+  score: HistogramSnapshot;
+}
+
+export interface CoverageSnapshot {
+  summary: { conditions: number; evaluated: number; passed: number };
+  conditions: ConditionCoverage[];
+}
+
+export class CoverageCollector implements CoverageCollectorInterface {
+  constructor();
+  attach(engine: Engine): void;
+  recordRule(evaluation: { rule: Rule; conditions: TopLevelConditionResult; result: boolean; score: number }): void;
+  snapshot(): CoverageSnapshot;
+  toJSON(): CoverageSnapshot;
+  toTable(): string;
+  reset(): void;
+}
+
+export class RuleEngineError extends Error {
+  constructor(message: string, context?: Record<string, unknown>);
+  code: string;
+  rule?: string;
+  condition?: string;
+  path?: string;
+  property?: string;
+  value?: unknown;
+}
+
+export class UndefinedFactError extends RuleEngineError {
+  constructor(factId: string);
+  code: "UNDEFINED_FACT";
+  factId: string;
+}
+
+export class InvalidFactError extends RuleEngineError {
+  code: "INVALID_FACT";
+  factId?: string;
+}
+
+export class UnknownOperatorError extends RuleEngineError {
+  code: "UNKNOWN_OPERATOR";
+  operator: string;
+  decorator?: string;
+}
+
+export class UndefinedConditionError extends RuleEngineError {
+  constructor(condition: string, context?: Record<string, unknown>);
+  code: "UNDEFINED_CONDITION";
+  condition: string;
+}
+
+export class ConditionCycleError extends RuleEngineError {
+  constructor(condition: string, context?: Record<string, unknown>);
+  code: "CONDITION_CYCLE";
+  condition: string;
+}
+
+export class InvalidConditionError extends RuleEngineError {
+  code: "INVALID_CONDITION";
+}
+
+export class InvalidRuleError extends RuleEngineError {
+  code: "INVALID_RULE" | "INVALID_PRIORITY" | "INVALID_SCHEDULE";
+}
+
+export class InvalidPriorityError extends InvalidRuleError {
+  constructor(priority: unknown, context?: Record<string, unknown>);
+  code: "INVALID_PRIORITY";
+  priority: unknown;
+}
+
+export class InvalidScheduleError extends InvalidRuleError {
+  code: "INVALID_SCHEDULE";
+}
+
+export class RuleNotFoundError extends RuleEngineError {
+  code: "RULE_NOT_FOUND";
+}
+
+export class UnknownActionError extends RuleEngineError {
+  code: "UNKNOWN_ACTION";
+  action: string;
+}
+
+export class InvalidActionError extends RuleEngineError {
+  code: "INVALID_ACTION";
+  action: string;
+  factId?: string;
+}
+
+export class InvalidArgumentError extends RuleEngineError {
+  code: "INVALID_ARGUMENT";
+  argument: string;
+}
+
+export class RunCancelledError extends RuleEngineError {
+  constructor(reason?: unknown);
+  code: "RUN_CANCELLED";
+  reason?: unknown;
+}
+
+export class RunTimeoutError extends RuleEngineError {
+  constructor(timeout: number);
+  code: "RUN_TIMEOUT";
+  timeout: number;
+}
+
+export class FactTimeoutError extends RuleEngineError {
+  constructor(factId: string, timeout: number);
+  code: "FACT_TIMEOUT";
+  factId: string;
+  timeout: number;
+}
+
+export class FactCycleError extends RuleEngineError {
+  constructor(cycle: string[]);
+  code: "FACT_CYCLE";
+  cycle: string[];
+}
+
+export class MaxIterationsError extends RuleEngineError {
+  constructor(maxIterations: number);
+  code: "MAX_ITERATIONS";
+  maxIterations: number;
+}
+
+export class RuleCycleError extends RuleEngineError {
+  constructor(cycle: string[]);
+  code: "RULE_CYCLE";
+  cycle: string[];
+}
+
 export class Almanac {
   constructor(options?: AlmanacOptions);
+  run?: RunHandle;
   factValue<T>(
     factId: string,
     params?: Record<string, any>,
@@ -101,11 +451,17 @@ export class Almanac {
     options?: FactOptions
   ): this;
   addRuntimeFact(factId: string, value: any): void;
+  getTimedOutFacts(): string[];
+  getFactDependencyGraph(): Record<string, string[]>;
+  getRuleResult(name: string): RuleResult | undefined;
 }
 
 export type FactOptions = {
   cache?: boolean;
   priority?: number;
+  timeout?: number;
+  fallback?: any;
+  shared?: boolean;
 };
 
 export type DynamicFactCallback<T = unknown> = (
@@ -125,11 +481,24 @@ export class Fact<T = unknown> {
     value: T | DynamicFactCallback<T>,
     options?: FactOptions
   );
+
+  toJSON(): string;
+  toJSON<T extends boolean>(
+    stringify: T
+  ): T extends true ? string : FactJSON;
 }
 
+export type RuleAction =
+  | { type: "setFact"; fact: string; value: unknown }
+  | { type: "incrementFact"; fact: string; by?: number | { fact: string } }
+  | { type: "appendToFact"; fact: string; value: unknown }
+  | { type: "emit"; event: string; params?: Record<string, unknown> }
+  | { type: string; [key: string]: unknown };
+
 export interface Event {
   type: string;
   params?: Record<string, any>;
+  actions?: RuleAction[];
 }
 
 export type PathResolver = (value: object, path: string) => any;
@@ -140,11 +509,29 @@ export type EventHandler<T = Event> = (
   ruleResult: RuleResult
 ) => void;
 
+export type DayOfWeek = 0 | 1 | 2 | 3 | 4 | 5 | 6 | string;
+
+export interface TimeWindow {
+  start: string;
+  end: string;
+}
+
+export interface ScheduleProperties {
+  daysOfWeek?: DayOfWeek[];
+  timeWindows?: TimeWindow[];
+  timezone?: string;
+}
+
 export interface RuleProperties {
   conditions: TopLevelCondition;
   event: Event;
   name?: string;
   priority?: number;
+  ruleSet?: string;
+  validFrom?: Date | string | number;
+  validTo?: Date | string | number;
+  schedule?: ScheduleProperties;
+  noLoop?: boolean;
   onSuccess?: EventHandler;
   onFailure?: EventHandler;
 }
@@ -156,9 +543,43 @@ export type RuleSerializable = Pick<
 export type RuleResultSerializable = Pick<
   Required<RuleResult>,
   "name" | "event" | "priority" | "result" | "score"> & {
-    conditions: TopLevelConditionResultSerializable
+    conditions: TopLevelConditionResultSerializable;
+    trace?: RuleTrace;
+    error?: { message: string; code?: string };
   }
 
+export interface FactLookupTrace {
+  id: string;
+  params?: Record<string, any>;
+  path?: string;
+  requestedBy?: string;
+  cached: boolean;
+  duration: number;
+}
+
+export interface ConditionTrace {
+  name?: string;
+  operator?: string;
+  children?: ConditionTrace[];
+  condition?: string;
+  fact?: string;
+  rule?: string;
+  params?: Record<string, any>;
+  path?: string;
+  value?: unknown;
+  factValue?: unknown;
+  score?: number;
+  result?: boolean;
+  cached?: boolean;
+  facts?: FactLookupTrace[];
+  duration: number;
+}
+
+export interface RuleTrace {
+  duration: number;
+  conditions: ConditionTrace;
+}
+
 export interface RuleResult {
   name: string;
   conditions: TopLevelConditionResult;
@@ -166,6 +587,8 @@ export interface RuleResult {
   priority?: number;
   result: any;
   score: number;
+  trace?: RuleTrace;
+  error?: Error;
   toJSON(): string;
   toJSON<T extends boolean>(
     stringify: T
@@ -182,13 +605,179 @@ export class Rule implements RuleProperties {
   ruleEvent: Event;
   event: Event
   priority: number;
+  ruleSet?: string;
   setConditions(conditions: TopLevelCondition): this;
+  setRuleSet(ruleSet: string): this;
+  getRuleSet(): string | undefined;
+  setValidFrom(validFrom: Date | string | number | null): this;
+  setValidTo(validTo: Date | string | number | null): this;
+  setSchedule(schedule: ScheduleProperties | null): this;
+  setNoLoop(noLoop: boolean): this;
+  isActive(date?: Date): boolean;
   setEvent(event: Event): this;
   setPriority(priority: number): this;
   toJSON(): string;
   toJSON<T extends boolean>(
     stringify: T
   ): T extends true ? string : RuleSerializable;
+  static validate(json: RuleProperties | object | string, options?: RuleValidationOptions): ValidationProblem[];
+}
+
+export type ValidationSeverity = "error" | "warning";
+
+export interface ValidationProblem {
+  severity: ValidationSeverity;
+  code: string;
+  /** JSON pointer into the rule, or the named condition, e.g. "/conditions/all/2/operator" */
+  path: string;
+  message: string;
+  /** engine.validate(): the rule the problem is found in */
+  rule?: string;
+  /** engine.validate(): the named condition the problem is found in */
+  condition?: string;
+}
+
+export type LintCode =
+  | "CONTRADICTION"
+  | "DUPLICATE_CONDITION"
+  | "SHADOWED_CONDITION"
+  | "EMPTY_ALL"
+  | "EMPTY_ANY"
+  | "DOUBLE_NEGATION";
+
+export interface LintFinding extends ValidationProblem {
+  code: LintCode;
+  /** paths of the other conditions involved */
+  related: string[];
+}
+
+export interface FindConflictsOptions {
+  eventTypes?: string[];
+}
+
+export interface RuleConflict {
+  rules: [string, string];
+  events: [Event, Event];
+  /** fact values triggering both rules */
+  example: Record<string, any>;
+  /** some conditions could not be analyzed; the rules may not actually fire together */
+  approximate: boolean;
+}
+
+export type RuleJSONSchema = { $schema: string; [keyword: string]: any };
+
+export interface RuleSchemaOptions {
+  operators?: string[];
+  decorators?: string[];
+  actions?: string[];
+}
+
+export interface SchemaValidationError {
+  /** JSON pointer into the validated value */
+  path: string;
+  /** JSON pointer into the schema, e.g. "#/$defs/priority/exclusiveMinimum" */
+  schemaPath: string;
+  keyword: string;
+  message: string;
+}
+
+export function getRuleSchema(options?: RuleSchemaOptions): RuleJSONSchema;
+export function validateSchema(schema: object | boolean, value: unknown): SchemaValidationError[];
+
+export type FactMock =
+  | DynamicFactCallback
+  | { value?: unknown; byParams?: Array<{ params?: Record<string, any>; value: unknown }> };
+
+export interface FixtureCase {
+  name?: string;
+  facts?: Record<string, any>;
+  mocks?: Record<string, FactMock>;
+  options?: Omit<RunOptions, "now"> & { now?: Date | string | number };
+  expect?: {
+    passingRules?: string[];
+    eventTypes?: string[];
+    minScores?: Record<string, number>;
+  };
+}
+
+export interface FixtureFailure {
+  expectation: "passingRules" | "eventTypes" | "minScores" | "run";
+  message: string;
+  expected?: unknown;
+  actual?: unknown;
+  missing?: string[];
+  unexpected?: string[];
+  rule?: string;
+}
+
+export interface FixtureCaseReport {
+  name: string;
+  passed: boolean;
+  failures: FixtureFailure[];
+  error?: Error;
+}
+
+export interface FixtureReport {
+  passed: boolean;
+  total: number;
+  failed: number;
+  cases: FixtureCaseReport[];
+}
+
+export function runFixtures(
+  engine: Engine,
+  fixtures: { cases: FixtureCase[] } | FixtureCase[] | string
+): Promise<FixtureReport>;
+
+export type RuleSetChangeCode =
+  | "RULE_ADDED"
+  | "RULE_REMOVED"
+  | "PRIORITY_CHANGED"
+  | "EVENT_CHANGED"
+  | "PROPERTY_CHANGED"
+  | "CONDITION_ADDED"
+  | "CONDITION_REMOVED"
+  | "CONDITION_CHANGED"
+  | "OPERATOR_CHANGED"
+  | "VALUE_WIDENED"
+  | "VALUE_NARROWED"
+  | "VALUE_CHANGED"
+  | "WEIGHT_CHANGED";
+
+export interface RuleSetChange {
+  rule: any;
+  code: RuleSetChangeCode;
+  path: string;
+  from: unknown;
+  to: unknown;
+  message: string;
+}
+
+export interface RuleSetDiff {
+  added: any[];
+  removed: any[];
+  changed: any[];
+  unchanged: number;
+  changes: RuleSetChange[];
+  toJSON(): Omit<RuleSetDiff, "toJSON" | "toText">;
+  toText(): string;
+}
+
+export type RuleSetInput =
+  | Array<RuleProperties | RuleSerializable | Rule>
+  | { rules: Array<RuleProperties | RuleSerializable | Rule> }
+  | Engine
+  | string;
+
+export function diffRuleSets(oldRules: RuleSetInput, newRules: RuleSetInput): RuleSetDiff;
+
+export interface RuleValidationOptions {
+  operators?: Iterable<string>;
+  decorators?: Iterable<string>;
+  conditions?: Iterable<string>;
+  actions?: Iterable<string>;
+  rules?: Iterable<string>;
+  allowUndefinedConditions?: boolean;
 }
 
 interface BooleanConditionResultProperties {
@@ -214,8 +803,14 @@ interface ConditionProperties {
 
 type ConditionPropertiesResult = ConditionProperties & ConditionResultProperties
 
-type NestedCondition = ConditionProperties | TopLevelCondition;
-type NestedConditionResult = ConditionPropertiesResult | TopLevelConditionResult;
+type RuleConditionProperties =
+  | { rule: string; operator: "passed" | "failed"; value?: unknown; priority?: number; weight?: number; name?: string }
+  | { rule: string; operator: string; value: { fact: string } | any; priority?: number; weight?: number; name?: string };
+
+type RuleConditionPropertiesResult = RuleConditionProperties & ConditionResultProperties
+
+type NestedCondition = ConditionProperties | RuleConditionProperties | TopLevelCondition;
+type NestedConditionResult = ConditionPropertiesResult | RuleConditionPropertiesResult | TopLevelConditionResult;
 
 type AllConditions = {
   all: NestedCondition[];
@@ -1,4 +1,4 @@
-import { expectType } from "tsd";
+import { expectType, expectNotAssignable } from "tsd";
 
 import rulesEngine, {
   Almanac,
@@ -19,7 +19,40 @@ import rulesEngine, {
   AnyConditionsResult,
   AllConditionsResult,
   NotConditionsResult,
-  RuleSatisfactionResult
+  RuleSatisfactionResult,
+  RunHandle,
+  RunStatus,
+  ExecutionStrategy,
+  BatchResult,
+  RunStream,
+  RunSummary,
+  EngineJSON,
+  Action,
+  ActionContext,
+  RuleAction,
+  RuleTrace,
+  MetricsCollector,
+  MetricsCollectorInterface,
+  CoverageCollector,
+  CoverageCollectorInterface,
+  CoverageSnapshot,
+  MetricsSnapshot,
+  EngineLogger,
+  LogRecord,
+  RuleEngineError,
+  UnknownOperatorError,
+  InvalidPriorityError,
+  InvalidRuleError,
+  ValidationProblem,
+  LintFinding,
+  RuleConflict,
+  FixtureReport,
+  runFixtures,
+  RuleSetDiff,
+  diffRuleSets,
+  SchemaValidationError,
+  getRuleSchema,
+  validateSchema
 } from "../";
 
 // setup basic fixture data
@@ -68,6 +101,17 @@ const ruleFromString: Rule = new Rule(JSON.stringify(ruleProps));
 expectType<Engine>(engine.addRule(rule));
 expectType<boolean>(engine.removeRule(ruleFromString));
 expectType<void>(engine.updateRule(ruleFromString));
+expectType<Engine>(engine.addRule(ruleProps, { set: "pricing" }));
+expectType<Engine>(engine.disableRuleSet("pricing"));
+expectType<Engine>(engine.enableRuleSet("pricing"));
+expectType<boolean>(engine.isRuleSetEnabled("pricing"));
+expectType<string[]>(engine.getRuleSets());
+expectType<Rule>(rule.setRuleSet("pricing"));
+expectType<string | undefined>(rule.getRuleSet());
+expectType<Rule>(rule.setValidFrom("2025-06-01T00:00:00Z"));
+expectType<Rule>(rule.setValidTo(new Date()));
+expectType<Rule>(rule.setSchedule({ daysOfWeek: ["mon", 2], timeWindows: [{ start: "09:00", end: "17:00" }], timezone: "UTC" }));
+expectType<boolean>(rule.isActive(new Date()));
 
 expectType<Rule>(rule.setConditions({ any: [] }));
 expectType<Rule>(rule.setEvent({ type: "test" }));
@@ -109,12 +153,35 @@ const operatorDecorator: OperatorDecorator = new OperatorDecorator(
 expectType<void>(engine.addOperatorDecorator(operatorDecorator));
 expectType<boolean>(engine.removeOperatorDecorator(operatorDecorator));
 
+// Action tests
+const ruleActions: RuleAction[] = [
+  { type: "setFact", fact: "tier", value: "gold" },
+  { type: "incrementFact", fact: "points", by: { fact: "cartTotal" } },
+  { type: "appendToFact", fact: "badges", value: "vip" },
+  { type: "emit", event: "notify", params: { channel: "email" } }
+];
+const actionEvent: Event = { type: "vip", actions: ruleActions };
+expectType<void>(
+  engine.addAction("audit", (action: RuleAction, context: ActionContext) => {
+    expectType<Almanac>(context.almanac);
+  })
+);
+const action: Action = new Action("audit", async () => undefined);
+expectType<void>(engine.addAction(action));
+expectType<boolean>(engine.removeAction("audit"));
+
 // Fact tests
 const fact = new Fact<number>("test-fact", 3);
 const dynamicFact = new Fact<number[]>("test-fact", () => [42]);
 expectType<Engine>(
   engine.addFact<string>("test-fact", "value", { priority: 10 })
 );
+expectType<Engine>(
+  engine.addFact<number>("slow-fact", () => 1, { timeout: 50, fallback: 0 })
+);
+expectType<Engine>(
+  engine.addFact<number>("shared-fact", () => 1, { shared: true })
+);
 expectType<Engine>(engine.addFact(fact));
 expectType<Engine>(engine.addFact(dynamicFact));
 expectType<boolean>(engine.removeFact(fact));
@@ -132,7 +199,43 @@ engine.on<{ foo: Array<string> }>('foo', (event, almanac, ruleResult) => {
 
 // Run the Engine
 const result = engine.run({ displayMessage: true })
-expectType<Promise<EngineResult>>(result);
+expectType<RunHandle>(result);
+expectType<RunStatus>(result.status);
+expectType<void>(result.stop());
+expectType<void>(result.cancel("no longer needed"));
+expectType<RunHandle>(engine.run({}, { signal: new AbortController().signal }));
+expectType<EngineResult>(await result);
+expectType<Promise<EngineResult>>(result.finally(() => {}));
+expectType<Promise<EngineResult | null>>(result.catch(() => null));
+expectNotAssignable<Promise<EngineResult>>(result);
+expectType<string[]>((await engine.run({}, { timeout: 1000 })).timedOutFacts);
+expectType<ExecutionStrategy>((await engine.run({}, { strategy: "first" })).strategy);
+expectType<Engine>(rulesEngine([ruleProps], { strategy: "best" }));
+expectType<RunHandle>(engine.run({}, { sets: ["pricing"] }));
+expectType<RuleResult[]>((await engine.run({}, { now: new Date() })).inactive);
+expectType<Engine>(rulesEngine([ruleProps], { clock: () => new Date() }));
+expectType<RunHandle>(engine.run({}, { strategy: "forward", maxIterations: 10 }));
+expectType<Engine>(rulesEngine([{ ...ruleProps, noLoop: true }], { strategy: "forward", maxIterations: 50 }));
+const stream = engine.runStream({ age: 30 });
+expectType<RunStream>(stream);
+(async () => {
+  for await (const item of stream) {
+    if ("type" in item) {
+      expectType<RunSummary>(item);
+    } else {
+      expectType<RuleResult>(item);
+    }
+  }
+})();
+expectType<Promise<BatchResult>>(engine.runBatch([{ age: 30 }, { age: 40 }], { concurrency: 5 }));
+
+// Engine serialization
+expectType<string>(engine.toJSON());
+expectType<EngineJSON>(engine.toJSON(false));
+expectType<Engine>(Engine.fromJSON(engine.toJSON(), {
+  operators: { startsWith: (a: string, b: string) => a.startsWith(b) ? 1 : 0 },
+  facts: { account: (params, almanac) => almanac.factValue("accountId") }
+}));
 
 const topLevelConditionResult = result.then(r => r.results[0].conditions);
 expectType<Promise<TopLevelConditionResult>>(topLevelConditionResult)
@@ -151,6 +254,103 @@ const almanac: Almanac = (await engine.run()).almanac;
 
 expectType<Promise<string>>(almanac.factValue<string>("test-fact"));
 expectType<void>(almanac.addRuntimeFact("test-fact", "some-value"));
+expectType<Record<string, string[]>>(almanac.getFactDependencyGraph());
+expectType<RuleResult | undefined>(almanac.getRuleResult("test-rule"));
+
+// Trace tests
+const traced = await engine.run({}, { trace: true });
+expectType<RuleTrace | undefined>(traced.results[0].trace);
+
+// Metrics tests
+const metrics = new MetricsCollector();
+const metered = new Engine([], { metrics });
+expectType<MetricsCollectorInterface | null>(metered.metrics);
+expectType<MetricsSnapshot>(metrics.snapshot());
+expectType<string>(metrics.toPrometheus());
+new Engine([], { metrics: true });
+
+// Coverage tests
+const coverage = new CoverageCollector();
+const covered = new Engine([], { coverage });
+expectType<CoverageCollectorInterface | null>(covered.coverage);
+expectType<CoverageSnapshot>(coverage.snapshot());
+expectType<string | undefined>(coverage.snapshot().conditions[0].rule);
+expectType<string>(coverage.toTable());
+new Engine([], { coverage: true });
+
+// Logger tests
+const logRecord = (record: LogRecord) => console.log(record.msg, record.runId);
+const logger: EngineLogger = { trace: logRecord, debug: logRecord, info: logRecord, warn: logRecord, error: logRecord };
+const logged = new Engine([], { logger, logLevel: "info" }).run({}, { runId: "request-1" });
+expectType<string>(logged.id);
+
+// Error policy tests
+const isolated = await new Engine([], { errorPolicy: "skip-rule" }).run({});
+expectType<RuleResult[]>(isolated.erroredResults);
+expectType<Error | undefined>(isolated.erroredResults[0].error);
+
+// Validation tests
+expectType<ValidationProblem[]>(Rule.validate({ conditions: { all: [] }, event: { type: "test" } }, { operators: ["equal"] }));
+expectType<ValidationProblem[]>(new Engine().validate());
+expectType<"error" | "warning">(new Engine().validate()[0].severity);
+
+// Lint tests
+const findings = new Engine().lint();
+expectType<LintFinding[]>(findings);
+expectType<string[]>(findings[0].related);
+
+// Conflict tests
+const conflicts = new Engine().findConflicts({ eventTypes: ["discount"] });
+expectType<RuleConflict[]>(conflicts);
+expectType<[Event, Event]>(conflicts[0].events);
+expectType<boolean>(conflicts[0].approximate);
+
+// Fixture tests
+expectType<Promise<FixtureReport>>(runFixtures(new Engine(), [{
+  facts: { age: 70 },
+  mocks: { account: { byParams: [{ params: { id: 1 }, value: { tier: "gold" } }] }, rate: () => 0.5 },
+  options: { now: "2026-04-01T00:00:00Z" },
+  expect: { passingRules: ["senior"], eventTypes: ["discount"], minScores: { senior: 1 } }
+}]));
+
+// Rule set diff tests
+const ruleSetDiff = diffRuleSets([ruleProps], new Engine());
+expectType<RuleSetDiff>(ruleSetDiff);
+expectType<string>(ruleSetDiff.changes[0].path);
+expectType<string>(diffRuleSets("[]", { rules: [new Rule(ruleProps)] }).toText());
+
+// Schema tests
+const ruleSchema = new Engine().getRuleSchema();
+expectType<string>(ruleSchema.$schema);
+expectType<SchemaValidationError[]>(validateSchema(ruleSchema, { conditions: { all: [] }, event: { type: "test" } }));
+expectType<string>(getRuleSchema({ operators: ["equal"] }).$schema);
+
+// Error class tests
+const failure: unknown = new InvalidPriorityError(0, { rule: "test-rule" });
+if (failure instanceof RuleEngineError) {
+  expectType<string>(failure.code);
+  expectType<string | undefined>(failure.rule);
+}
+if (failure instanceof UnknownOperatorError) {
+  expectType<"UNKNOWN_OPERATOR">(failure.code);
+  expectType<string>(failure.operator);
+}
+const invalidRule: InvalidRuleError = new InvalidPriorityError(-1);
+expectType<"INVALID_RULE" | "INVALID_PRIORITY" | "INVALID_SCHEDULE">(invalidRule.code);
+expectType<number | undefined>(traced.results[0].trace?.conditions.children?.[0].facts?.[0].duration);
+
+// Rule condition tests
+const dependentRule: RuleProperties = {
+  name: "dependent",
+  conditions: {
+    any: [
+      { rule: "test-rule", operator: "passed" },
+      { rule: "test-rule", operator: "greaterThan", value: 0.7 }
+    ]
+  },
+  event: { type: "dependent" }
+};
+expectType<Engine>(engine.addRule(dependentRule));
 
 // ValidateEngine tests
 import {